@@ -0,0 +1,79 @@
+const database = require('./db');
+require('dotenv').config();
+
+const MAX_LABEL_LENGTH = 64;
+
+// Characters that would break the bot's Markdown messages
+const LABEL_FORBIDDEN = /[_*`[\]\\]/;
+
+class AddressManager {
+    // Trimmed label, or an error explaining what is wrong with it
+    validateLabel(label) {
+        const trimmed = String(label ?? '').trim().replace(/\s+/g, ' ');
+        if (!trimmed) {
+            throw new Error('Label cannot be empty');
+        }
+        if (trimmed.length > MAX_LABEL_LENGTH) {
+            throw new Error(`Label must be at most ${MAX_LABEL_LENGTH} characters`);
+        }
+        if (LABEL_FORBIDDEN.test(trimmed)) {
+            throw new Error('Label cannot contain _ * ` [ ] or \\');
+        }
+        return trimmed;
+    }
+
+    // Load an address owned by the user or throw
+    async getOwnedAddress(userId, addressIdOrAddress) {
+        const address = await database.getUserAddress(userId, addressIdOrAddress);
+        if (!address) {
+            throw new Error('Address not found');
+        }
+        return address;
+    }
+
+    async renameAddress(userId, addressIdOrAddress, label) {
+        try {
+            const address = await this.getOwnedAddress(userId, addressIdOrAddress);
+            const newLabel = this.validateLabel(label);
+
+            await database.updateAddressLabel(address.id, newLabel);
+            console.log(`✏️  Renamed ${address.address} to "${newLabel}"`);
+
+            return { ...address, label: newLabel };
+        } catch (error) {
+            console.error('Error renaming address:', error);
+            throw error;
+        }
+    }
+
+    // Archived addresses are hidden from the user's lists but still scanned and swept,
+    // so anything sent to them later is still picked up (and flagged as a stray deposit)
+    async archiveAddress(userId, addressIdOrAddress) {
+        return await this.setArchived(userId, addressIdOrAddress, true);
+    }
+
+    async restoreAddress(userId, addressIdOrAddress) {
+        return await this.setArchived(userId, addressIdOrAddress, false);
+    }
+
+    async setArchived(userId, addressIdOrAddress, archived) {
+        try {
+            const address = await this.getOwnedAddress(userId, addressIdOrAddress);
+            if (Boolean(address.is_active) === !archived) {
+                return { ...address, is_active: !archived };
+            }
+
+            await database.setAddressActive(address.id, !archived);
+            console.log(`${archived ? '🗄️  Archived' : '♻️  Restored'} ${address.address}`);
+
+            return { ...address, is_active: !archived };
+        } catch (error) {
+            console.error(`Error ${archived ? 'archiving' : 'restoring'} address:`, error);
+            throw error;
+        }
+    }
+}
+
+// Export singleton instance
+const addressManager = new AddressManager();
+module.exports = addressManager;
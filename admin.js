@@ -0,0 +1,138 @@
+const database = require('./db');
+const walletManager = require('./wallet');
+const sweepQueue = require('./sweeps');
+const auditLog = require('./audit');
+require('dotenv').config();
+
+class AdminManager {
+    constructor() {
+        // Admins from ADMIN_IDS can only be removed by changing the environment
+        this.envAdminIds = process.env.ADMIN_IDS ? process.env.ADMIN_IDS.split(',').map(id => parseInt(id)) : [];
+    }
+
+    isEnvAdmin(telegramId) {
+        return this.envAdminIds.includes(Number(telegramId));
+    }
+
+    // ADMIN_IDS, or users.is_admin on an account that is not disabled
+    async isAdmin(telegramId) {
+        if (this.isEnvAdmin(telegramId)) {
+            return true;
+        }
+
+        const user = await database.getUserByTelegramId(telegramId);
+        return Boolean(user && user.is_admin && !user.is_disabled);
+    }
+
+    // Telegram ids of everyone who should get admin alerts
+    async getAdminTelegramIds() {
+        const stored = (await database.getAdminUsers())
+            .filter(user => !user.is_disabled)
+            .map(user => Number(user.telegram_id));
+
+        return [...new Set([...this.envAdminIds, ...stored])];
+    }
+
+    // Admin actions go to the audit log as admin.<action>
+    async audit(adminTelegramId, action, { userId = null, target = null, details = null } = {}) {
+        return await auditLog.record(auditLog.telegramActor(adminTelegramId), `admin.${action}`, {
+            target,
+            parameters: userId === null && details === null ? null : { userId, ...details }
+        });
+    }
+
+    // Find a user by Telegram ID, or by any address they own (archived ones included)
+    async findUser(adminTelegramId, query) {
+        const text = String(query || '').trim();
+        let user = null;
+
+        if (/^\d+$/.test(text)) {
+            user = await database.getUserByTelegramId(text);
+        } else if (walletManager.isValidAddress(text)) {
+            const [address] = await database.getAddressesByAddressList([text]);
+            user = address ? await database.getUserById(address.user_id) : null;
+        } else {
+            throw new Error('Send a numeric Telegram ID or a TRON address');
+        }
+
+        await this.audit(adminTelegramId, 'lookup_user', {
+            userId: user ? user.id : null,
+            target: text,
+            details: { found: Boolean(user) }
+        });
+        return user;
+    }
+
+    async getUser(userId) {
+        const user = await database.getUserById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        return user;
+    }
+
+    // Disabled users cannot use the bot, withdraw or get new addresses
+    async setDisabled(adminTelegramId, userId, disabled) {
+        const user = await this.getUser(userId);
+
+        if (disabled && Number(user.telegram_id) === Number(adminTelegramId)) {
+            throw new Error('You cannot disable your own account');
+        }
+        if (disabled && (user.is_admin || this.isEnvAdmin(user.telegram_id))) {
+            throw new Error('Remove admin rights before disabling an admin');
+        }
+
+        await database.setUserDisabled(user.id, disabled);
+        await this.audit(adminTelegramId, disabled ? 'disable_user' : 'enable_user', {
+            userId: user.id,
+            target: String(user.telegram_id)
+        });
+
+        console.log(`🛡️ Admin ${adminTelegramId} ${disabled ? 'disabled' : 'enabled'} user ${user.telegram_id}`);
+        return { ...user, is_disabled: disabled };
+    }
+
+    async setAdmin(adminTelegramId, userId, isAdmin) {
+        const user = await this.getUser(userId);
+
+        if (!isAdmin && this.isEnvAdmin(user.telegram_id)) {
+            throw new Error('This admin is listed in ADMIN_IDS; remove them there');
+        }
+        if (!isAdmin && Number(user.telegram_id) === Number(adminTelegramId)) {
+            throw new Error('You cannot remove your own admin rights');
+        }
+        if (isAdmin && user.is_disabled) {
+            throw new Error('Enable the account before making it an admin');
+        }
+
+        await database.setUserAdmin(user.id, isAdmin);
+        await this.audit(adminTelegramId, isAdmin ? 'promote_admin' : 'demote_admin', {
+            userId: user.id,
+            target: String(user.telegram_id)
+        });
+
+        console.log(`🛡️ Admin ${adminTelegramId} ${isAdmin ? 'promoted' : 'demoted'} user ${user.telegram_id}`);
+        return { ...user, is_admin: isAdmin };
+    }
+
+    // Queue a sweep of one address; the sweep cron picks it up on its next run
+    async sweepAddress(adminTelegramId, addressId) {
+        const address = await database.getAddressById(addressId);
+        if (!address) {
+            throw new Error('Address not found');
+        }
+
+        const queued = await sweepQueue.enqueueAddress(address.id, 'admin');
+        await this.audit(adminTelegramId, 'sweep_address', {
+            userId: address.user_id,
+            target: address.address,
+            details: { queued }
+        });
+
+        return { address, queued };
+    }
+}
+
+// Export singleton instance
+const adminManager = new AdminManager();
+module.exports = adminManager;
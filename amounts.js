@@ -0,0 +1,77 @@
+// Exact amount helpers. On-chain values are BigInt base units (sun for TRX); the database,
+// REST API and bot carry decimal strings, so an amount never passes through a float.
+
+const TRX_DECIMALS = 6;
+
+// Scale used to compare and add decimal strings of any token (matches DECIMAL(40, 18))
+const MAX_DECIMALS = 18;
+
+const DECIMAL_PATTERN = /^(-?)(\d+)(?:\.(\d+))?$/;
+
+// Parse a decimal string into base units; throws on more precision than decimals
+function toBaseUnits(value, decimals) {
+    const match = DECIMAL_PATTERN.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid amount: ${value}`);
+    }
+
+    const [, sign, whole, fraction = ''] = match;
+    const significant = fraction.replace(/0+$/, '');
+    if (significant.length > decimals) {
+        throw new Error(`Amount ${value} has more than ${decimals} decimals`);
+    }
+
+    const units = BigInt(whole + significant.padEnd(decimals, '0'));
+    return sign ? -units : units;
+}
+
+// Render base units as a canonical decimal string without trailing zeros
+function fromBaseUnits(baseUnits, decimals) {
+    const units = BigInt(baseUnits);
+    const negative = units < 0n;
+    const digits = (negative ? -units : units).toString().padStart(decimals + 1, '0');
+
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+    return `${negative ? '-' : ''}${whole}${fraction ? '.' + fraction : ''}`;
+}
+
+// Canonical form of a decimal string, e.g. DECIMAL column output "1.500000000000000000" -> "1.5"
+function normalizeAmount(value) {
+    return fromBaseUnits(toBaseUnits(value ?? 0, MAX_DECIMALS), MAX_DECIMALS);
+}
+
+function addAmounts(...values) {
+    const total = values.reduce((sum, value) => sum + toBaseUnits(value ?? 0, MAX_DECIMALS), 0n);
+    return fromBaseUnits(total, MAX_DECIMALS);
+}
+
+function subtractAmounts(a, b) {
+    return fromBaseUnits(toBaseUnits(a, MAX_DECIMALS) - toBaseUnits(b, MAX_DECIMALS), MAX_DECIMALS);
+}
+
+// -1, 0 or 1, like a sort comparator
+function compareAmounts(a, b) {
+    const difference = toBaseUnits(a ?? 0, MAX_DECIMALS) - toBaseUnits(b ?? 0, MAX_DECIMALS);
+    return difference === 0n ? 0 : difference > 0n ? 1 : -1;
+}
+
+// Display a decimal string with at least 6 decimals and never rounded, e.g. "12.500000 USDT"
+function formatAmount(value, symbol = '') {
+    const [whole, fraction = ''] = normalizeAmount(value).split('.');
+    const formatted = `${whole}.${fraction.padEnd(6, '0')}`;
+    return symbol ? `${formatted} ${symbol}` : formatted;
+}
+
+module.exports = {
+    TRX_DECIMALS,
+    MAX_DECIMALS,
+    toBaseUnits,
+    fromBaseUnits,
+    normalizeAmount,
+    addAmounts,
+    subtractAmounts,
+    compareAmounts,
+    formatAmount
+};
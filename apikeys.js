@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const database = require('./db');
+require('dotenv').config();
+
+// Scopes a key can hold; 'admin' grants every other scope, and alone covers webhook endpoints
+const SCOPES = ['balances:read', 'transactions:read', 'addresses:create', 'addresses:manage', 'invoices', 'sweep', 'admin'];
+
+const KEY_PREFIX = 'twk_';
+const RATE_LIMIT_WINDOW = 60 * 1000;
+
+class ApiKeyManager {
+    constructor() {
+        this.scopes = SCOPES;
+        this.defaultRateLimit = parseInt(process.env.API_KEY_RATE_LIMIT) || 60;
+        this.usage = new Map(); // key id -> { windowStart, count }
+    }
+
+    hashKey(rawKey) {
+        return crypto.createHash('sha256').update(rawKey).digest('hex');
+    }
+
+    // Create a key and return it in plaintext; it cannot be recovered afterwards
+    async issueKey(name, scopes, rateLimitPerMinute = this.defaultRateLimit, createdBy = null) {
+        try {
+            if (!name) {
+                throw new Error('Key name required');
+            }
+            const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+            if (scopes.length === 0 || unknown.length > 0) {
+                throw new Error(`Invalid scopes: ${unknown.join(', ') || 'none given'}. Valid scopes: ${SCOPES.join(', ')}`);
+            }
+            if (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute <= 0) {
+                throw new Error('Rate limit must be a positive number of requests per minute');
+            }
+
+            // The prefix identifies the key in listings and revocation without exposing the secret
+            const prefix = KEY_PREFIX + crypto.randomBytes(4).toString('hex');
+            const rawKey = `${prefix}.${crypto.randomBytes(24).toString('base64url')}`;
+
+            await database.createApiKey(name, prefix, this.hashKey(rawKey), scopes, rateLimitPerMinute, createdBy);
+            console.log(`🔑 Issued API key ${prefix} (${name}) with scopes ${scopes.join(', ')}`);
+
+            return { key: rawKey, prefix, name, scopes, rateLimitPerMinute };
+        } catch (error) {
+            console.error('Error issuing API key:', error);
+            throw error;
+        }
+    }
+
+    async revokeKey(prefix) {
+        const revoked = await database.revokeApiKey(prefix);
+        if (revoked) {
+            console.log(`🔒 Revoked API key ${prefix}`);
+        }
+        return revoked;
+    }
+
+    async listKeys() {
+        const keys = await database.getApiKeys();
+        return keys.map(key => ({ ...key, scopes: key.scopes.split(',') }));
+    }
+
+    // Resolve a raw key to its active record, or null
+    async authenticate(rawKey) {
+        if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) {
+            return null;
+        }
+
+        const key = await database.getApiKeyByHash(this.hashKey(rawKey));
+        if (!key) {
+            return null;
+        }
+
+        return { ...key, scopes: key.scopes.split(',') };
+    }
+
+    hasScope(key, scope) {
+        return key.scopes.includes('admin') || key.scopes.includes(scope);
+    }
+
+    // Fixed one-minute window per key; returns seconds until the window resets when limited
+    checkRateLimit(key) {
+        const now = Date.now();
+        let usage = this.usage.get(key.id);
+
+        if (!usage || now - usage.windowStart >= RATE_LIMIT_WINDOW) {
+            usage = { windowStart: now, count: 0 };
+            this.usage.set(key.id, usage);
+
+            // Record usage once per window rather than on every request
+            database.touchApiKey(key.id).catch(() => {});
+        }
+
+        usage.count++;
+        if (usage.count > key.rate_limit_per_minute) {
+            return Math.ceil((usage.windowStart + RATE_LIMIT_WINDOW - now) / 1000);
+        }
+        return 0;
+    }
+
+    // Express middleware: require a key with the given scope in the X-API-Key header
+    requireScope(scope) {
+        return async (req, res, next) => {
+            try {
+                const bearer = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+                const rawKey = req.headers['x-api-key'] || (bearer && bearer[1]);
+
+                const key = await this.authenticate(rawKey);
+                if (!key) {
+                    return res.status(401).json({ error: 'Invalid or missing API key' });
+                }
+
+                if (!this.hasScope(key, scope)) {
+                    return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+                }
+
+                const retryAfter = this.checkRateLimit(key);
+                if (retryAfter > 0) {
+                    res.setHeader('Retry-After', String(retryAfter));
+                    return res.status(429).json({ error: 'Rate limit exceeded' });
+                }
+
+                req.apiKey = key;
+                next();
+            } catch (error) {
+                console.error('Error authenticating API key:', error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        };
+    }
+}
+
+// Export singleton instance
+const apiKeyManager = new ApiKeyManager();
+module.exports = apiKeyManager;
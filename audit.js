@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const database = require('./db');
+require('dotenv').config();
+
+const CHANNELS = ['bot', 'api', 'cron', 'system'];
+const FILTER_KEYS = ['actor', 'action', 'channel', 'from', 'to'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rows read per query while verifying the chain
+const VERIFY_BATCH_SIZE = 500;
+
+// Fields covered by each entry's hash, in order
+function hashEntry(prevHash, entry) {
+    return crypto.createHash('sha256').update(JSON.stringify([
+        prevHash,
+        entry.createdAt.toISOString(),
+        entry.actor,
+        entry.channel,
+        entry.action,
+        entry.target,
+        entry.parameters,
+        entry.outcome,
+        entry.error
+    ])).digest('hex');
+}
+
+class AuditLog {
+    constructor() {
+        this.channels = CHANNELS;
+        this.cron = { actor: 'cron', channel: 'cron' };
+        this.system = { actor: 'system', channel: 'system' };
+        // Maintenance scripts run from a shell
+        this.cli = { actor: 'cli', channel: 'system' };
+    }
+
+    // Who did something, as { actor, channel }
+    telegramActor(telegramId) {
+        return { actor: `telegram:${telegramId}`, channel: 'bot' };
+    }
+
+    apiActor(apiKey) {
+        return { actor: `api:${apiKey.key_prefix}`, channel: 'api' };
+    }
+
+    // Append an entry for by ({ actor, channel }). Auditing never breaks the operation
+    // being audited: failures are logged and null is returned.
+    async record(by, action, { target = null, parameters = null, error = null } = {}) {
+        try {
+            if (!CHANNELS.includes(by.channel)) {
+                throw new Error(`Unknown audit channel ${by.channel}`);
+            }
+
+            const entry = {
+                actor: String(by.actor).substring(0, 128),
+                channel: by.channel,
+                action,
+                target: target === null ? null : String(target).substring(0, 255),
+                parameters: parameters === null ? null : JSON.stringify(parameters),
+                outcome: error ? 'failure' : 'success',
+                error: error ? String(error.message || error).substring(0, 512) : null,
+                // TIMESTAMP columns keep whole seconds; hash what is stored
+                createdAt: new Date(Math.floor(Date.now() / 1000) * 1000)
+            };
+
+            const { id } = await database.appendAuditEntry(entry, prevHash => hashEntry(prevHash, entry));
+            return id;
+        } catch (auditError) {
+            console.error(`❌ Could not write audit entry ${action}:`, auditError);
+            return null;
+        }
+    }
+
+    // Move rows from admin_audit_log (the admin-only log this one replaced) onto the chain,
+    // mapped the way admin actions are recorded now. Copied entries keep their original
+    // time, so they are older than entries written before the copy.
+    async importLegacyAdminLog() {
+        try {
+            const imported = await database.importLegacyAdminAudit(row => {
+                const details = row.details ? JSON.parse(row.details) : null;
+                const entry = {
+                    actor: `telegram:${row.admin_telegram_id}`,
+                    channel: 'bot',
+                    action: `admin.${row.action}`.substring(0, 64),
+                    target: row.target,
+                    parameters: row.target_user_id === null && details === null
+                        ? null
+                        : JSON.stringify({ userId: row.target_user_id, ...details }),
+                    outcome: 'success',
+                    error: null,
+                    createdAt: new Date(row.created_at)
+                };
+                return { entry, computeHash: prevHash => hashEntry(prevHash, entry) };
+            });
+
+            if (imported > 0) {
+                console.log(`📜 Copied ${imported} admin_audit_log entries into the audit log`);
+            }
+        } catch (error) {
+            // Logged in importLegacyAdminAudit; retried on the next start
+        }
+    }
+
+    serialize(row) {
+        return {
+            id: row.id,
+            timestamp: new Date(row.created_at).toISOString(),
+            actor: row.actor,
+            channel: row.channel,
+            action: row.action,
+            target: row.target,
+            parameters: row.parameters ? JSON.parse(row.parameters) : null,
+            outcome: row.outcome,
+            error: row.error,
+            prevHash: row.prev_hash,
+            hash: row.hash
+        };
+    }
+
+    // Validate filters given as { actor, action, channel, from, to }. action matches as a
+    // prefix ("admin." for every admin command); a date-only "to" includes that whole day.
+    resolveFilters(input = {}) {
+        const filters = {};
+
+        if (input.actor) {
+            filters.actor = String(input.actor);
+        }
+        if (input.action) {
+            filters.action = String(input.action);
+        }
+        if (input.channel) {
+            if (!CHANNELS.includes(input.channel)) {
+                throw new Error(`Unknown channel ${input.channel}. Use one of: ${CHANNELS.join(', ')}`);
+            }
+            filters.channel = input.channel;
+        }
+        for (const key of ['from', 'to']) {
+            if (input[key]) {
+                const date = new Date(input[key]);
+                if (isNaN(date.getTime())) {
+                    throw new Error(`Invalid ${key} date: ${input[key]}`);
+                }
+                if (key === 'to' && DATE_ONLY.test(input[key])) {
+                    date.setUTCDate(date.getUTCDate() + 1);
+                }
+                filters[key] = date;
+            }
+        }
+
+        return filters;
+    }
+
+    // Parse bot arguments like "actor:telegram:123 action:admin. from:2026-01-01"
+    parseFilterArgs(args) {
+        const input = {};
+        for (const part of (args || '').trim().split(/\s+/).filter(Boolean)) {
+            const [key, ...rest] = part.split(':');
+            if (!FILTER_KEYS.includes(key) || rest.length === 0) {
+                throw new Error(`Unknown filter "${part}". Use actor:, action:, channel:, from: or to:`);
+            }
+            input[key] = rest.join(':');
+        }
+        return input;
+    }
+
+    // Newest first; pass the last id seen as beforeId for the next page
+    async list(filters = {}, { beforeId = null, limit = 20 } = {}) {
+        const rows = await database.queryAuditEntries(filters, { beforeId, limit });
+        return rows.map(row => this.serialize(row));
+    }
+
+    // Cursors are opaque to clients; they wrap the id of the last entry returned
+    decodeCursor(cursor) {
+        if (!cursor) {
+            return null;
+        }
+
+        const beforeId = parseInt(Buffer.from(String(cursor), 'base64url').toString());
+        if (!(beforeId > 0)) {
+            throw new Error('Invalid cursor');
+        }
+        return beforeId;
+    }
+
+    // Cursor page for the API: { entries, nextCursor }
+    async getCursorPage(filters, cursor = null, limit = 100) {
+        // Fetch one extra entry to know whether another page exists
+        const entries = await this.list(filters, { beforeId: this.decodeCursor(cursor), limit: limit + 1 });
+        const page = entries.slice(0, limit);
+
+        return {
+            entries: page,
+            nextCursor: entries.length > limit ? Buffer.from(String(page[page.length - 1].id)).toString('base64url') : null
+        };
+    }
+
+    // Walk the whole chain recomputing every hash. Returns { checked, valid, brokenAt, reason }.
+    async verify() {
+        // Deleting the newest entries leaves a consistent chain, but loses the recorded head.
+        // Read it first so entries appended meanwhile do not matter.
+        const head = await database.getSetting(database.auditHeadKey);
+        let headSeen = !head || head === database.auditGenesisHash;
+
+        let prevHash = database.auditGenesisHash;
+        let afterId = 0;
+        let checked = 0;
+
+        for (;;) {
+            const rows = await database.getAuditEntriesAfter(afterId, VERIFY_BATCH_SIZE);
+            if (rows.length === 0) {
+                break;
+            }
+
+            for (const row of rows) {
+                const entry = {
+                    createdAt: new Date(row.created_at),
+                    actor: row.actor,
+                    channel: row.channel,
+                    action: row.action,
+                    target: row.target,
+                    parameters: row.parameters,
+                    outcome: row.outcome,
+                    error: row.error
+                };
+
+                if (row.prev_hash !== prevHash) {
+                    return { checked, valid: false, brokenAt: row.id, reason: 'Does not link to the previous entry' };
+                }
+                if (hashEntry(prevHash, entry) !== row.hash) {
+                    return { checked, valid: false, brokenAt: row.id, reason: 'Contents do not match the hash' };
+                }
+
+                prevHash = row.hash;
+                headSeen = headSeen || row.hash === head;
+                checked++;
+            }
+
+            afterId = rows[rows.length - 1].id;
+        }
+
+        if (!headSeen) {
+            return { checked, valid: false, brokenAt: afterId || null, reason: 'Newest entries are missing' };
+        }
+
+        return { checked, valid: true, brokenAt: null, reason: null };
+    }
+}
+
+// Export singleton instance
+const auditLog = new AuditLog();
+module.exports = auditLog;
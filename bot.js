@@ -1,61 +1,235 @@
 const TelegramBot = require('node-telegram-bot-api');
 const database = require('./db');
 const walletManager = require('./wallet');
+const withdrawalManager = require('./withdrawals');
+const apiKeyManager = require('./apikeys');
+const webhookManager = require('./webhooks');
+const invoiceManager = require('./invoices');
+const addressManager = require('./addresses');
+const transactionHistory = require('./history');
+const notificationManager = require('./notifications');
+const broadcastManager = require('./broadcasts');
+const adminManager = require('./admin');
+const sweepQueue = require('./sweeps');
+const auditLog = require('./audit');
+const systemSettings = require('./settings');
+const { TRX_DECIMALS, fromBaseUnits, subtractAmounts, compareAmounts, formatAmount } = require('./amounts');
 require('dotenv').config();
 
+// How long a multi-step flow waits for the next reply
+const CONVERSATION_TIMEOUT = 5 * 60 * 1000;
+
+// Entries per page in /history and /addresses
+const HISTORY_PAGE_SIZE = 10;
+const ADDRESSES_PAGE_SIZE = 10;
+
+// Entries per page in /audit
+const AUDIT_PAGE_SIZE = 10;
+
+// Queued notifications give up after this many failed sends
+const NOTIFICATION_MAX_ATTEMPTS = 5;
+
+// Broadcast messages give up on a user after this many rate-limited attempts
+const BROADCAST_MAX_ATTEMPTS = 3;
+
+// Write each user's last_seen_at at most this often
+const ACTIVITY_WRITE_INTERVAL = 10 * 60 * 1000;
+
+// Entries per page in the admin views of a user's addresses and history
+const ADMIN_PAGE_SIZE = 10;
+
+const DISABLED_MESSAGE = '🚫 Your account has been disabled. Please contact the administrator.';
+
 class TelegramBotHandler {
     constructor() {
-        this.bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: true });
-        this.adminIds = process.env.ADMIN_IDS ? process.env.ADMIN_IDS.split(',').map(id => parseInt(id)) : [];
+        // Polling starts once the server has verified the wallet; see startPolling
+        this.bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: { autoStart: false } });
         this.userSessions = new Map(); // Rate limiting and session management
+        this.conversations = new Map(); // Multi-step flows waiting for user input
+        this.historyFilters = new Map(); // Last /history filters per user, reused by page buttons
+        this.auditFilters = new Map(); // Last /audit filters per admin, reused by page buttons
+        this.lastSeenWrites = new Map(); // When each user's activity was last saved
+        this.activeBroadcast = null; // Id of the broadcast being sent, one at a time
         
         this.setupBotHandlers();
         this.setupErrorHandling();
         console.log('🤖 Telegram bot initialized');
     }
 
+    startPolling() {
+        this.bot.startPolling();
+        console.log('🤖 Telegram bot polling');
+    }
+
     setupBotHandlers() {
         // Start command
-        this.bot.onText(/\/start/, async (msg) => {
+        this.onCommand(/\/start/, async (msg) => {
             await this.handleStart(msg);
         });
 
         // Generate new address
-        this.bot.onText(/\/generate/, async (msg) => {
+        this.onCommand(/\/generate/, async (msg) => {
             await this.handleGenerate(msg);
         });
 
         // Check balance
-        this.bot.onText(/\/balance/, async (msg) => {
+        this.onCommand(/\/balance/, async (msg) => {
             await this.handleBalance(msg);
         });
 
-        // Transaction history
-        this.bot.onText(/\/history/, async (msg) => {
-            await this.handleHistory(msg);
+        // Transaction history, optionally filtered: /history type:deposit token:USDT from:2026-01-01
+        this.onCommand(/\/history(?:\s+(.+))?/, async (msg, match) => {
+            await this.handleHistory(msg, 0, match[1] || '');
+        });
+
+        // Full history as a CSV file, with the same filters as /history
+        this.onCommand(/\/export(?:\s+(.+))?/, async (msg, match) => {
+            await this.handleExport(msg, match[1] || '');
         });
 
         // Admin commands
-        this.bot.onText(/\/admin/, async (msg) => {
+        this.onCommand(/\/admin/, async (msg) => {
             await this.handleAdmin(msg);
         });
 
+        // Look up a user by Telegram ID or address (admin)
+        this.onCommand(/^\/user(?:\s+(.+))?$/, async (msg, match) => {
+            await this.handleUserLookup(msg, match[1]);
+        });
+
+        // Runtime settings (admin): /settings_admin [key value]
+        this.onCommand(/^\/settings_admin(?:\s+(.+))?$/, async (msg, match) => {
+            await this.handleSystemSettings(msg, match[1]);
+        });
+
+        // Audit log (admin): /audit [actor:.. action:.. channel:.. from:.. to:..]
+        this.onCommand(/^\/audit(?:\s+(.+))?$/, async (msg, match) => {
+            await this.handleAudit(msg, match[1]);
+        });
+
         // Help command
-        this.bot.onText(/\/help/, async (msg) => {
+        this.onCommand(/\/help/, async (msg) => {
             await this.handleHelp(msg);
         });
 
         // Address list
-        this.bot.onText(/\/addresses/, async (msg) => {
+        this.onCommand(/\/addresses/, async (msg) => {
             await this.handleAddresses(msg);
         });
 
+        // Token registry (admin)
+        this.onCommand(/\/tokens/, async (msg) => {
+            await this.handleTokens(msg);
+        });
+
+        this.onCommand(/\/addtoken(?:\s+(.+))?/, async (msg, match) => {
+            await this.handleAddToken(msg, match[1]);
+        });
+
+        this.onCommand(/\/toggletoken(?:\s+(.+))?/, async (msg, match) => {
+            await this.handleToggleToken(msg, match[1]);
+        });
+
+        // REST API keys (admin)
+        this.onCommand(/\/apikeys/, async (msg) => {
+            await this.handleApiKeys(msg);
+        });
+
+        this.onCommand(/\/newapikey(?:\s+(.+))?/, async (msg, match) => {
+            await this.handleNewApiKey(msg, match[1]);
+        });
+
+        this.onCommand(/\/revokeapikey(?:\s+(.+))?/, async (msg, match) => {
+            await this.handleRevokeApiKey(msg, match[1]);
+        });
+
+        // Merchant webhooks (admin)
+        this.onCommand(/\/webhooks/, async (msg) => {
+            await this.handleWebhooks(msg);
+        });
+
+        this.onCommand(/\/replaywebhook(?:\s+(.+))?/, async (msg, match) => {
+            await this.handleReplayWebhook(msg, match[1]);
+        });
+
+        // Broadcasts (admin): /broadcast [all|depositors|active <days>], /broadcasts for past reports
+        this.onCommand(/^\/broadcast(?:\s+(.+))?$/, async (msg, match) => {
+            await this.handleBroadcast(msg, match[1]);
+        });
+
+        this.onCommand(/^\/broadcasts$/, async (msg) => {
+            await this.handleBroadcasts(msg);
+        });
+
+        // Address lifecycle: pick an address from inline buttons
+        this.onCommand(/\/rename/, async (msg) => {
+            await this.handleAddressPicker(msg, 'rename');
+        });
+
+        this.onCommand(/\/archive/, async (msg) => {
+            await this.handleAddressPicker(msg, 'archive');
+        });
+
+        this.onCommand(/\/restore/, async (msg) => {
+            await this.handleAddressPicker(msg, 'restore');
+        });
+
+        // Payment invoices
+        this.onCommand(/\/invoice(?:\s+(.+))?/, async (msg, match) => {
+            await this.handleInvoice(msg, match[1]);
+        });
+
+        // Notification preferences
+        this.onCommand(/^\/settings$/, async (msg) => {
+            await this.handleSettings(msg);
+        });
+
+        // Withdraw funds
+        this.onCommand(/\/withdraw/, async (msg) => {
+            await this.handleWithdraw(msg);
+        });
+
+        // Cancel the current multi-step flow
+        this.onCommand(/\/cancel/, async (msg) => {
+            this.conversations.delete(msg.from.id);
+            await this.bot.sendMessage(msg.chat.id, '❎ Cancelled.');
+        });
+
+        // Free-text replies for multi-step flows
+        this.bot.on('message', async (msg) => {
+            this.recordActivity(msg.from);
+            await this.handleConversationMessage(msg);
+        });
+
         // Callback query handler for inline keyboards
         this.bot.on('callback_query', async (callbackQuery) => {
+            this.recordActivity(callbackQuery.from);
             await this.handleCallbackQuery(callbackQuery);
         });
     }
 
+    // Register a command; disabled accounts get a notice instead of the handler
+    onCommand(regexp, handler) {
+        this.bot.onText(regexp, async (msg, match) => {
+            try {
+                if (await this.isDisabled(msg.from.id)) {
+                    await this.bot.sendMessage(msg.chat.id, DISABLED_MESSAGE);
+                    return;
+                }
+            } catch (error) {
+                console.error('Error checking account status:', error);
+                return;
+            }
+
+            await handler(msg, match);
+        });
+    }
+
+    async isDisabled(telegramId) {
+        const user = await database.getUserByTelegramId(telegramId);
+        return Boolean(user && user.is_disabled);
+    }
+
     setupErrorHandling() {
         this.bot.on('polling_error', (error) => {
             console.error('❌ Telegram polling error:', error);
@@ -84,8 +258,8 @@ class TelegramBotHandler {
             return false;
         }
 
-        // Allow max 10 commands per minute
-        if (userSession.commandCount >= 10) {
+        // Allow max bot_commands_per_minute commands per minute
+        if (userSession.commandCount >= systemSettings.get('bot_commands_per_minute')) {
             return true;
         }
 
@@ -94,6 +268,18 @@ class TelegramBotHandler {
         return false;
     }
 
+    // Save when a user last talked to the bot, for broadcast segments. Runs in the
+    // background; database errors are already logged there.
+    recordActivity(from) {
+        const now = Date.now();
+        if (!from || now - (this.lastSeenWrites.get(from.id) || 0) < ACTIVITY_WRITE_INTERVAL) {
+            return;
+        }
+
+        this.lastSeenWrites.set(from.id, now);
+        database.touchUser(from.id).catch(() => {});
+    }
+
     // Start command handler
     async handleStart(msg) {
         try {
@@ -121,7 +307,10 @@ I can help you manage TRC20 tokens (USDT) on the TRON network.
 🏦 /generate - Generate new wallet address
 💰 /balance - Check your balances
 📊 /addresses - View all your addresses
+✏️ /rename, 🗄️ /archive, ♻️ /restore - Manage addresses
 📋 /history - Transaction history
+💸 /withdraw - Withdraw your funds
+🧾 /invoice - Request a payment
 ℹ️ /help - Show this help message
 
 *Features:*
@@ -166,31 +355,21 @@ Start by generating your first address with /generate
             const loadingMessage = await this.bot.sendMessage(chatId, '⏳ Generating new address...');
 
             // Get user from database
-            const user = await database.getUserByTelegramId(userId);
+            let user = await database.getUserByTelegramId(userId);
             if (!user) {
                 await database.createUser(userId, {
                     username: msg.from.username,
                     first_name: msg.from.first_name,
                     last_name: msg.from.last_name
                 });
+                user = await database.getUserByTelegramId(userId);
             }
 
-            // Get next derivation index
-            const userAddresses = await database.getUserAddresses(user?.id || userId);
-            const derivationIndex = userAddresses.length;
-
-            // Generate new HD wallet address
-            const walletData = walletManager.generateHDWallet(derivationIndex);
-            const encryptedPrivateKey = walletManager.encryptPrivateKey(walletData.privateKey);
-
-            // Save to database
-            await database.createAddress(
-                user?.id || userId,
-                walletData.address,
-                encryptedPrivateKey,
-                derivationIndex,
-                `Address ${derivationIndex + 1}`
-            );
+            // Allocate a globally unique derivation index and save the address
+            const userAddresses = await database.getUserAddresses(user.id);
+            const label = `Address ${userAddresses.length + 1}`;
+            const walletData = await walletManager.createUserAddress(user.id, label, auditLog.telegramActor(userId));
+            const derivationIndex = walletData.derivationIndex;
 
             // Delete loading message
             await this.bot.deleteMessage(chatId, loadingMessage.message_id);
@@ -200,7 +379,7 @@ Start by generating your first address with /generate
 
 🏦 *Address:* \`${walletData.address}\`
 🔢 *Index:* ${derivationIndex}
-📱 *Label:* Address ${derivationIndex + 1}
+📱 *Label:* ${label}
 
 ⚡ *Important Notes:*
 • Send USDT (TRC20) to this address
@@ -263,59 +442,26 @@ Send USDT to this address and it will automatically be swept to the master walle
                 return;
             }
 
-            // Get master wallet balance
-            const masterWalletInfo = await walletManager.getAccountInfo(process.env.MASTER_ADDRESS);
-            
-            let totalTRX = 0;
-            let totalUSDT = 0;
-            let addressBalances = [];
-
-            // Check balance for each address
-            for (const addr of addresses) {
-                const balanceInfo = await walletManager.getAccountInfo(addr.address);
-                totalTRX += balanceInfo.trxBalance;
-                totalUSDT += balanceInfo.usdtBalance;
-
-                if (balanceInfo.trxBalance > 0 || balanceInfo.usdtBalance > 0) {
-                    addressBalances.push({
-                        address: addr.address.substring(0, 6) + '...' + addr.address.substring(addr.address.length - 6),
-                        label: addr.label,
-                        trx: balanceInfo.trxBalance,
-                        usdt: balanceInfo.usdtBalance
-                    });
-                }
-
-                // Update database with latest balance
-                await database.updateAddressBalance(addr.id, balanceInfo.usdtBalance);
-            }
+            // Balances come from the ledger: credited deposits minus withdrawals
+            const balances = await database.getUserBalances(user.id);
 
             let balanceMessage = `
 💰 *Your Wallet Balances*
 
-🏦 *Master Wallet:*
-• TRX: ${masterWalletInfo.trxBalance.toFixed(6)} TRX
-• USDT: ${masterWalletInfo.usdtBalance.toFixed(6)} USDT
-
-📊 *Generated Addresses:*
-• Total Addresses: ${addresses.length}
-• TRX Balance: ${totalTRX.toFixed(6)} TRX
-• USDT Balance: ${totalUSDT.toFixed(6)} USDT
+📊 *Generated Addresses:* ${addresses.length}
 
-💼 *Total Portfolio:*
-• TRX: ${(masterWalletInfo.trxBalance + totalTRX).toFixed(6)} TRX
-• USDT: ${(masterWalletInfo.usdtBalance + totalUSDT).toFixed(6)} USDT
-            `;
+💼 *Available Balance:*
+`;
 
-            if (addressBalances.length > 0) {
-                balanceMessage += '\n🔍 *Active Addresses:*\n';
-                for (const bal of addressBalances.slice(0, 5)) {
-                    balanceMessage += `• ${bal.address}: ${bal.usdt.toFixed(6)} USDT\n`;
-                }
-                if (addressBalances.length > 5) {
-                    balanceMessage += `... and ${addressBalances.length - 5} more addresses`;
-                }
+            if (balances.length === 0) {
+                balanceMessage += '• No confirmed deposits yet\n';
+            }
+            for (const bal of balances) {
+                balanceMessage += `• ${formatAmount(bal.balance, bal.token)}\n`;
             }
 
+            balanceMessage += '\n_Deposits are credited once confirmed on chain._';
+
             await this.bot.editMessageText(balanceMessage, {
                 chat_id: chatId,
                 message_id: loadingMessage.message_id,
@@ -336,7 +482,7 @@ Send USDT to this address and it will automatically be swept to the master walle
     }
 
     // Addresses handler
-    async handleAddresses(msg) {
+    async handleAddresses(msg, page = 0) {
         try {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
@@ -357,28 +503,46 @@ Send USDT to this address and it will automatically be swept to the master walle
                 return;
             }
 
-            let message = `📊 *Your Generated Addresses (${addresses.length})*\n\n`;
+            const tokens = await walletManager.getTokens();
+            const pageCount = Math.ceil(addresses.length / ADDRESSES_PAGE_SIZE);
+            page = Math.min(Math.max(page, 0), pageCount - 1);
+            const start = page * ADDRESSES_PAGE_SIZE;
+            const pageAddresses = addresses.slice(start, start + ADDRESSES_PAGE_SIZE);
+
+            let message = `📊 *Your Generated Addresses (${addresses.length})*\n`;
+            message += pageCount > 1 ? `_Page ${page + 1} of ${pageCount}_\n\n` : '\n';
             
-            for (let i = 0; i < Math.min(addresses.length, 10); i++) {
+            // One batched lookup for the whole page
+            const balances = await walletManager.getAccountInfos(pageAddresses.map(addr => addr.address));
+
+            for (let i = start; i < start + pageAddresses.length; i++) {
                 const addr = addresses[i];
                 const shortAddress = addr.address.substring(0, 8) + '...' + addr.address.substring(addr.address.length - 8);
-                const balanceInfo = await walletManager.getAccountInfo(addr.address);
+                const balanceInfo = balances[addr.address];
                 
                 message += `${i + 1}. *${addr.label || 'Address ' + (i + 1)}*\n`;
                 message += `   📍 \`${shortAddress}\`\n`;
-                message += `   💰 ${balanceInfo.usdtBalance.toFixed(6)} USDT\n`;
-                message += `   ⚡ ${balanceInfo.trxBalance.toFixed(6)} TRX\n\n`;
+                for (const token of tokens) {
+                    const balance = fromBaseUnits(balanceInfo.tokenBalances[token.symbol] || 0n, token.decimals);
+                    message += `   💰 ${formatAmount(balance, token.symbol)}\n`;
+                }
+                message += `   ⚡ ${formatAmount(fromBaseUnits(balanceInfo.trxBalance, TRX_DECIMALS), 'TRX')}\n\n`;
             }
 
-            if (addresses.length > 10) {
-                message += `... and ${addresses.length - 10} more addresses`;
-            }
+            // One row of actions per listed address
+            const addressButtons = pageAddresses.map((addr, i) => [
+                { text: `✏️ Rename ${start + i + 1}`, callback_data: `addr_rename_${addr.id}` },
+                { text: `🗄️ Archive ${start + i + 1}`, callback_data: `addr_archive_${addr.id}` }
+            ]);
 
             await this.bot.sendMessage(chatId, message, {
                 parse_mode: 'Markdown',
                 reply_markup: {
                     inline_keyboard: [
+                        ...addressButtons,
+                        ...this.pageButtons('addresses_page', page, pageCount),
                         [{ text: '🏦 Generate New', callback_data: 'generate' }],
+                        [{ text: '♻️ Archived Addresses', callback_data: 'addr_archived' }],
                         [{ text: '💰 Check Balance', callback_data: 'balance' }]
                     ]
                 }
@@ -391,7 +555,8 @@ Send USDT to this address and it will automatically be swept to the master walle
     }
 
     // History handler
-    async handleHistory(msg) {
+    // History handler. filterArgs replaces the user's saved filters; page callbacks reuse them.
+    async handleHistory(msg, page = 0, filterArgs = null) {
         try {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
@@ -402,23 +567,41 @@ Send USDT to this address and it will automatically be swept to the master walle
                 return;
             }
 
-            const transactions = await database.getTransactionsByUser(user.id, 20);
-            if (transactions.length === 0) {
-                await this.bot.sendMessage(chatId, '📋 No transactions found yet.');
+            let filterInput;
+            let filters;
+            try {
+                filterInput = filterArgs === null
+                    ? this.historyFilters.get(userId) || {}
+                    : transactionHistory.parseFilterArgs(filterArgs);
+                filters = await transactionHistory.resolveFilters(filterInput);
+            } catch (error) {
+                await this.bot.sendMessage(chatId, `❌ ${error.message}\n\nExample: /history type:deposit status:confirmed token:USDT from:2026-01-01 to:2026-01-31`);
+                return;
+            }
+            this.historyFilters.set(userId, filterInput);
+
+            const result = await transactionHistory.getPage(user.id, filters, page, HISTORY_PAGE_SIZE);
+            const filterText = transactionHistory.describeFilters(filterInput);
+
+            if (result.total === 0) {
+                await this.bot.sendMessage(chatId, filterText ? `📋 No transactions match ${filterText}.` : '📋 No transactions found yet.');
                 return;
             }
 
-            let message = `📋 *Recent Transactions (${transactions.length})*\n\n`;
+            let message = `📋 *Transactions (${result.total})*\n`;
+            if (filterText) {
+                message += `🔎 ${filterText.replace(/_/g, ' ')}\n`;
+            }
+            message += `_Page ${result.page + 1} of ${result.pageCount}_\n\n`;
 
-            for (let i = 0; i < Math.min(transactions.length, 10); i++) {
-                const tx = transactions[i];
-                const shortHash = tx.tx_hash.substring(0, 10) + '...';
+            for (const tx of result.transactions) {
+                const shortHash = tx.txHash.substring(0, 10) + '...';
                 const statusEmoji = tx.status === 'confirmed' ? '✅' : tx.status === 'pending' ? '⏳' : '❌';
-                const typeEmoji = tx.tx_type === 'deposit' ? '📥' : tx.tx_type === 'sweep' ? '📤' : '💸';
+                const typeEmoji = tx.type === 'deposit' ? '📥' : tx.type === 'sweep' ? '📤' : tx.type === 'gas_funding' ? '⛽' : '💸';
                 
-                message += `${typeEmoji} *${tx.tx_type.toUpperCase()}* ${statusEmoji}\n`;
+                message += `${typeEmoji} *${tx.type.replace('_', ' ').toUpperCase()}* ${statusEmoji}\n`;
                 message += `   🔗 \`${shortHash}\`\n`;
-                message += `   💰 ${tx.amount} ${tx.token_contract ? 'USDT' : 'TRX'}\n`;
+                message += `   💰 ${formatAmount(tx.amount, tx.token)}\n`;
                 message += `   📅 ${new Date(tx.timestamp).toLocaleDateString()}\n\n`;
             }
 
@@ -426,7 +609,9 @@ Send USDT to this address and it will automatically be swept to the master walle
                 parse_mode: 'Markdown',
                 reply_markup: {
                     inline_keyboard: [
-                        [{ text: '🔄 Refresh', callback_data: 'history' }],
+                        ...this.pageButtons('history_page', result.page, result.pageCount),
+                        [{ text: '🔄 Refresh', callback_data: `history_page_${result.page}` }],
+                        [{ text: '📄 Export CSV', callback_data: 'history_export' }],
                         [{ text: '💰 Check Balance', callback_data: 'balance' }]
                     ]
                 }
@@ -438,160 +623,1854 @@ Send USDT to this address and it will automatically be swept to the master walle
         }
     }
 
-    // Admin handler
-    async handleAdmin(msg) {
+    // Send the full (filtered) history as a CSV document
+    async handleExport(msg, filterArgs = null) {
         try {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
 
-            if (!this.adminIds.includes(userId)) {
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+            if (this.isRateLimited(userId)) {
+                await this.bot.sendMessage(chatId, '⏱️ Please wait a moment before sending another command.');
                 return;
             }
 
-            const stats = await database.getSystemStats();
-            const masterWalletStats = await database.getMasterWalletStats();
-            const networkStatus = await walletManager.getNetworkStatus();
-
-            const adminMessage = `
-🛠️ *Admin Dashboard*
-
-📊 *System Statistics:*
-• Total Users: ${stats.totalUsers}
-• Total Addresses: ${stats.totalAddresses}
-• Total Transactions: ${stats.totalTransactions}
-• Total Balance: ${stats.totalBalance.toFixed(6)} USDT
-
-🏦 *Master Wallet:*
-• Balance: ${masterWalletStats?.current_balance || 0} USDT
-• Total Received: ${masterWalletStats?.total_received || 0} USDT
+            const user = await database.getUserByTelegramId(userId);
+            if (!user) {
+                await this.bot.sendMessage(chatId, '❌ User not found. Please start with /start');
+                return;
+            }
 
-🌐 *Network Status:*
-• Status: ${networkStatus.status}
-• Block: ${networkStatus.blockNumber || 'N/A'}
+            let filterInput;
+            let filters;
+            try {
+                filterInput = filterArgs === null
+                    ? this.historyFilters.get(userId) || {}
+                    : transactionHistory.parseFilterArgs(filterArgs);
+                filters = await transactionHistory.resolveFilters(filterInput);
+            } catch (error) {
+                await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+                return;
+            }
 
-⏱️ *Last Updated:* ${new Date().toLocaleString()}
-            `;
+            const { csv, count } = await transactionHistory.exportCsv(user.id, filters);
+            const filterText = transactionHistory.describeFilters(filterInput);
 
-            await this.bot.sendMessage(chatId, adminMessage, {
-                parse_mode: 'Markdown',
-                reply_markup: {
-                    inline_keyboard: [
-                        [{ text: '🔄 Refresh Stats', callback_data: 'admin_refresh' }],
-                        [{ text: '📊 Detailed Report', callback_data: 'admin_report' }]
-                    ]
-                }
+            await this.bot.sendDocument(chatId, Buffer.from(csv, 'utf8'), {
+                caption: `📄 ${count} transactions${filterText ? ` (${filterText})` : ''}`
+            }, {
+                filename: `transactions-${new Date().toISOString().substring(0, 10)}.csv`,
+                contentType: 'text/csv'
             });
 
         } catch (error) {
-            console.error('Error in admin handler:', error);
-            await this.bot.sendMessage(msg.chat.id, '❌ Error getting admin info.');
+            console.error('Error exporting history:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error exporting transaction history.');
         }
     }
 
-    // Help handler
-    async handleHelp(msg) {
-        const helpMessage = `
-ℹ️ *TRC20 Wallet Bot Help*
-
-*Available Commands:*
-/start - Start the bot and show welcome message
-/generate - Generate a new TRC20 address
-/balance - Check all your balances
-/addresses - View all your generated addresses
-/history - View transaction history
-/help - Show this help message
+    // ◀️ / ▶️ row for a paged list, empty when everything fits on one page
+    pageButtons(prefix, page, pageCount) {
+        if (pageCount <= 1) {
+            return [];
+        }
 
-*How it works:*
-1. Generate addresses with /generate
-2. Send USDT (TRC20) to any generated address
-3. Funds automatically sweep to master wallet
-4. Check balances and history anytime
+        const row = [];
+        if (page > 0) {
+            row.push({ text: '◀️ Prev', callback_data: `${prefix}_${page - 1}` });
+        }
+        row.push({ text: `${page + 1}/${pageCount}`, callback_data: `${prefix}_${page}` });
+        if (page < pageCount - 1) {
+            row.push({ text: 'Next ▶️', callback_data: `${prefix}_${page + 1}` });
+        }
+        return [row];
+    }
 
-*Security Features:*
-✅ Private keys are encrypted
-✅ HD wallet for unlimited addresses
-✅ Auto-sweep for security
-✅ Rate limiting protection
+    // /rename, /archive and /restore: list the user's addresses as buttons for the chosen action
+    async handleAddressPicker(msg, action) {
+        try {
+            const chatId = msg.chat.id;
 
-*Support:*
-If you encounter any issues, please contact the administrator.
+            const user = await database.getUserByTelegramId(msg.from.id);
+            if (!user) {
+                await this.bot.sendMessage(chatId, '❌ User not found. Please start with /start');
+                return;
+            }
 
-*Powered by TRON Network*
-        `;
+            const addresses = action === 'restore'
+                ? await database.getArchivedUserAddresses(user.id)
+                : await database.getUserAddresses(user.id);
 
-        await this.bot.sendMessage(msg.chat.id, helpMessage, {
-            parse_mode: 'Markdown',
-            reply_markup: {
-                inline_keyboard: [
-                    [{ text: '🏦 Generate Address', callback_data: 'generate' }],
-                    [{ text: '💰 Check Balance', callback_data: 'balance' }]
-                ]
+            if (addresses.length === 0) {
+                await this.bot.sendMessage(chatId, action === 'restore' ? '📭 You have no archived addresses.' : '📭 No addresses found. Generate one with /generate');
+                return;
             }
-        });
+
+            const prompts = {
+                rename: '✏️ Which address do you want to rename?',
+                archive: '🗄️ Which address do you want to archive?\n\nArchived addresses are hidden but still monitored.',
+                restore: '♻️ Which address do you want to restore?'
+            };
+
+            await this.bot.sendMessage(chatId, prompts[action], {
+                reply_markup: {
+                    inline_keyboard: addresses.slice(0, 20).map(addr => [{
+                        text: `${addr.label || 'Address'} (${addr.address.substring(0, 6)}...${addr.address.substring(addr.address.length - 4)})`,
+                        callback_data: `addr_${action}_${addr.id}`
+                    }])
+                }
+            });
+
+        } catch (error) {
+            console.error(`Error listing addresses to ${action}:`, error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error loading addresses. Please try again.');
+        }
     }
 
-    // Callback query handler
-    async handleCallbackQuery(callbackQuery) {
+    async handleAddressCallback(chatId, from, data) {
         try {
-            const chatId = callbackQuery.message.chat.id;
-            const messageId = callbackQuery.message.message_id;
-            const data = callbackQuery.data;
+            const user = await database.getUserByTelegramId(from.id);
+            if (!user) {
+                await this.bot.sendMessage(chatId, '❌ User not found. Please start with /start');
+                return;
+            }
 
-            await this.bot.answerCallbackQuery(callbackQuery.id);
+            if (data === 'addr_archived') {
+                await this.handleAddressPicker({ chat: { id: chatId }, from }, 'restore');
+                return;
+            }
 
-            // Handle different callback actions
-            switch (data) {
-                case 'generate':
-                    await this.handleGenerate({ chat: { id: chatId }, from: callbackQuery.from });
-                    break;
-                case 'balance':
-                    await this.handleBalance({ chat: { id: chatId }, from: callbackQuery.from });
-                    break;
-                case 'addresses':
-                    await this.handleAddresses({ chat: { id: chatId }, from: callbackQuery.from });
-                    break;
-                case 'history':
-                    await this.handleHistory({ chat: { id: chatId }, from: callbackQuery.from });
-                    break;
-                case 'admin_refresh':
-                    await this.handleAdmin({ chat: { id: chatId }, from: callbackQuery.from });
-                    break;
-                default:
-                    if (data.startsWith('copy_')) {
-                        const address = data.replace('copy_', '');
-                        await this.bot.sendMessage(chatId, `📋 Address copied:\n\`${address}\``, {
-                            parse_mode: 'Markdown'
-                        });
+            const [, action, addressId] = data.match(/^addr_(rename|archive|restore)_(\d+)$/) || [];
+            if (!action) {
+                return;
+            }
+
+            const address = await addressManager.getOwnedAddress(user.id, parseInt(addressId));
+
+            if (action === 'rename') {
+                this.conversations.set(from.id, {
+                    flow: 'rename',
+                    addressId: address.id,
+                    userDbId: user.id,
+                    expiresAt: Date.now() + CONVERSATION_TIMEOUT
+                });
+                await this.bot.sendMessage(chatId, `✏️ Send the new label for ${address.label || address.address}, or /cancel.`);
+                return;
+            }
+
+            if (action === 'archive') {
+                await addressManager.archiveAddress(user.id, address.id);
+                await this.bot.sendMessage(chatId, `🗄️ Archived ${address.label || address.address}. Deposits to it will still be detected.`, {
+                    reply_markup: {
+                        inline_keyboard: [[{ text: '↩️ Undo', callback_data: `addr_restore_${address.id}` }]]
                     }
-                    break;
+                });
+                return;
             }
 
+            await addressManager.restoreAddress(user.id, address.id);
+            await this.bot.sendMessage(chatId, `♻️ Restored ${address.label || address.address}.`, {
+                reply_markup: {
+                    inline_keyboard: [[{ text: '📊 View Addresses', callback_data: 'addresses' }]]
+                }
+            });
+
         } catch (error) {
-            console.error('Error handling callback query:', error);
+            console.error('Error handling address action:', error);
+            await this.bot.sendMessage(chatId, `❌ ${error.message}`);
         }
     }
 
-    // Send notification to user
-    async sendNotification(userId, message, options = {}) {
+    async handleRenameInput(msg, conversation) {
         try {
-            const user = await database.getUserByTelegramId(userId);
-            if (user) {
-                await this.bot.sendMessage(userId, message, options);
-            }
+            const address = await addressManager.renameAddress(conversation.userDbId, conversation.addressId, msg.text);
+            this.conversations.delete(msg.from.id);
+            await this.bot.sendMessage(msg.chat.id, `✅ Renamed to "${address.label}"`, {
+                reply_markup: {
+                    inline_keyboard: [[{ text: '📊 View Addresses', callback_data: 'addresses' }]]
+                }
+            });
         } catch (error) {
-            console.error('Error sending notification:', error);
+            await this.bot.sendMessage(msg.chat.id, `❌ ${error.message}. Please send another label or /cancel.`);
         }
     }
 
-    // Broadcast message to all users
-    async broadcast(message, options = {}) {
+    // Invoice handler: /invoice <amount> [token] [minutes] [note] creates one, bare /invoice lists recent ones
+    async handleInvoice(msg, args) {
         try {
-            // This would require getting all users from database
-            // Implementation depends on your needs
-            console.log('Broadcast message:', message);
-        } catch (error) {
-            console.error('Error broadcasting:', error);
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            if (this.isRateLimited(userId)) {
+                await this.bot.sendMessage(chatId, '⏱️ Please wait a moment before sending another command.');
+                return;
+            }
+
+            let user = await database.getUserByTelegramId(userId);
+            if (!user) {
+                await database.createUser(userId, {
+                    username: msg.from.username,
+                    first_name: msg.from.first_name,
+                    last_name: msg.from.last_name
+                });
+                user = await database.getUserByTelegramId(userId);
+            }
+
+            if (!args || !args.trim()) {
+                const invoices = await database.getUserInvoices(user.id);
+                let message = '🧾 *Your Invoices*\n\n';
+
+                if (invoices.length === 0) {
+                    message += 'No invoices yet.\n';
+                }
+                for (const invoice of invoices) {
+                    const summary = invoiceManager.serialize(invoice);
+                    message += `• \`${summary.id.substring(0, 8)}\` ${summary.status.replace('_', ' ')}: ${formatAmount(summary.amountReceived)} / ${formatAmount(summary.amountExpected, summary.token)}\n`;
+                }
+
+                message += '\nCreate: /invoice <amount> [token] [minutes] [note]';
+                await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+                return;
+            }
+
+            const [amount, token = 'USDT', minutes, ...note] = args.trim().split(/\s+/);
+            const invoice = await invoiceManager.createInvoice(user.id, token.toUpperCase(), amount, {
+                expiresInMinutes: minutes || undefined,
+                description: note.length > 0 ? note.join(' ').substring(0, 255) : null,
+                by: auditLog.telegramActor(msg.from.id)
+            });
+
+            const invoiceMessage = `
+🧾 *Invoice Created*
+
+💰 *Amount:* ${formatAmount(invoice.amountExpected, invoice.token)}
+🏦 *Pay to:* \`${invoice.address}\`
+⏰ *Expires:* ${new Date(invoice.expiresAt).toLocaleString()}
+🆔 *Invoice:* \`${invoice.id}\`
+
+Send exactly this amount of ${invoice.token} (TRC20) to the address above. You will be notified when it is paid.
+            `;
+
+            await this.bot.sendMessage(chatId, invoiceMessage, { parse_mode: 'Markdown' });
+
+        } catch (error) {
+            console.error('Error creating invoice:', error);
+            await this.bot.sendMessage(msg.chat.id, `❌ Could not create invoice: ${error.message}`);
+        }
+    }
+
+    // Withdraw handler: asks for destination, token and amount, then confirms
+    async handleWithdraw(msg) {
+        try {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            if (this.isRateLimited(userId)) {
+                await this.bot.sendMessage(chatId, '⏱️ Please wait a moment before sending another command.');
+                return;
+            }
+
+            const user = await database.getUserByTelegramId(userId);
+            if (!user) {
+                await this.bot.sendMessage(chatId, '❌ User not found. Please start with /start');
+                return;
+            }
+
+            const balances = (await database.getUserBalances(user.id)).filter(bal => compareAmounts(bal.balance, 0) > 0);
+            if (balances.length === 0) {
+                await this.bot.sendMessage(chatId, '📭 You have no funds available to withdraw.');
+                return;
+            }
+
+            this.conversations.set(userId, {
+                flow: 'withdraw',
+                step: 'address',
+                userDbId: user.id,
+                expiresAt: Date.now() + CONVERSATION_TIMEOUT
+            });
+
+            let message = '💸 *Withdraw Funds*\n\n*Available:*\n';
+            for (const bal of balances) {
+                message += `• ${formatAmount(bal.balance, bal.token)}\n`;
+            }
+            message += '\nSend the destination TRON address:';
+
+            await this.bot.sendMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [[{ text: '❎ Cancel', callback_data: 'withdraw_cancel' }]]
+                }
+            });
+
+        } catch (error) {
+            console.error('Error starting withdrawal:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error starting withdrawal. Please try again.');
+        }
+    }
+
+    // Route free-text replies to the active multi-step flow
+    async handleConversationMessage(msg) {
+        try {
+            if (msg.text ? msg.text.startsWith('/') : !msg.photo) {
+                return;
+            }
+
+            const conversation = this.conversations.get(msg.from.id);
+            if (!conversation) {
+                return;
+            }
+
+            // Only broadcasts accept photos
+            if (!msg.text && conversation.flow !== 'broadcast') {
+                return;
+            }
+
+            if (await this.isDisabled(msg.from.id)) {
+                this.conversations.delete(msg.from.id);
+                await this.bot.sendMessage(msg.chat.id, DISABLED_MESSAGE);
+                return;
+            }
+
+            if (Date.now() > conversation.expiresAt) {
+                this.conversations.delete(msg.from.id);
+                await this.bot.sendMessage(msg.chat.id, '⌛ That operation timed out. Please start again.');
+                return;
+            }
+
+            if (conversation.flow === 'withdraw') {
+                await this.handleWithdrawInput(msg, conversation);
+            } else if (conversation.flow === 'rename') {
+                await this.handleRenameInput(msg, conversation);
+            } else if (conversation.flow === 'settings') {
+                await this.handleSettingsInput(msg, conversation);
+            } else if (conversation.flow === 'broadcast') {
+                await this.handleBroadcastInput(msg, conversation);
+            } else if (conversation.flow === 'lookup') {
+                this.conversations.delete(msg.from.id);
+                await this.handleUserLookup(msg, msg.text);
+            } else if (conversation.flow === 'system_setting') {
+                await this.handleSystemSettingInput(msg, conversation);
+            }
+
+        } catch (error) {
+            console.error('Error handling conversation message:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ An error occurred. Please try again.');
+        }
+    }
+
+    async handleWithdrawInput(msg, conversation) {
+        const chatId = msg.chat.id;
+        const text = msg.text.trim();
+
+        if (conversation.step === 'address') {
+            if (!walletManager.isValidAddress(text) || text === walletManager.masterAddress) {
+                await this.bot.sendMessage(chatId, '❌ Invalid TRON address. Please send a valid address or /cancel.');
+                return;
+            }
+
+            conversation.toAddress = text;
+            conversation.step = 'token';
+
+            const balances = (await database.getUserBalances(conversation.userDbId)).filter(bal => compareAmounts(bal.balance, 0) > 0);
+            await this.bot.sendMessage(chatId, '🪙 Which token do you want to withdraw?', {
+                reply_markup: {
+                    inline_keyboard: [
+                        balances.map(bal => ({ text: bal.token, callback_data: `withdraw_token_${bal.token}` })),
+                        [{ text: '❎ Cancel', callback_data: 'withdraw_cancel' }]
+                    ]
+                }
+            });
+            return;
+        }
+
+        if (conversation.step === 'amount') {
+            let preview;
+            try {
+                preview = await withdrawalManager.previewWithdrawal(conversation.userDbId, conversation.token, conversation.toAddress, text);
+            } catch (error) {
+                await this.bot.sendMessage(chatId, `❌ ${error.message}. Please send another amount or /cancel.`);
+                return;
+            }
+
+            if (!preview.sufficient) {
+                await this.bot.sendMessage(chatId, `❌ Insufficient balance. Available: ${formatAmount(preview.available, preview.token)}`);
+                return;
+            }
+
+            conversation.amount = preview.amount;
+            conversation.step = 'confirm';
+            conversation.expiresAt = Date.now() + CONVERSATION_TIMEOUT;
+
+            const previewMessage = `
+🧾 *Confirm Withdrawal*
+
+💰 *Amount:* ${formatAmount(preview.amount, preview.token)}
+📍 *To:* \`${preview.toAddress}\`
+⛽ *Network Fee:* ~${formatAmount(preview.networkFee, 'TRX')} (paid by the service)
+💼 *Balance After:* ${formatAmount(subtractAmounts(preview.available, preview.amount), preview.token)}
+
+Please double-check the address. Withdrawals cannot be reversed.
+            `;
+
+            await this.bot.sendMessage(chatId, previewMessage, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: '✅ Confirm', callback_data: 'withdraw_confirm' }],
+                        [{ text: '❎ Cancel', callback_data: 'withdraw_cancel' }]
+                    ]
+                }
+            });
+        }
+    }
+
+    async handleWithdrawCallback(chatId, from, data) {
+        const conversation = this.conversations.get(from.id);
+
+        if (data === 'withdraw_cancel') {
+            this.conversations.delete(from.id);
+            await this.bot.sendMessage(chatId, '❎ Withdrawal cancelled.');
+            return;
+        }
+
+        if (!conversation || conversation.flow !== 'withdraw' || Date.now() > conversation.expiresAt) {
+            this.conversations.delete(from.id);
+            await this.bot.sendMessage(chatId, '⌛ This withdrawal has expired. Start again with /withdraw');
+            return;
+        }
+
+        if (data.startsWith('withdraw_token_') && conversation.step === 'token') {
+            conversation.token = data.replace('withdraw_token_', '');
+            conversation.step = 'amount';
+
+            const available = await database.getUserBalance(conversation.userDbId, conversation.token);
+            await this.bot.sendMessage(chatId, `💰 How much ${conversation.token} do you want to withdraw?\nAvailable: ${formatAmount(available, conversation.token)}`);
+            return;
+        }
+
+        if (data === 'withdraw_confirm' && conversation.step === 'confirm') {
+            // Remove the flow first so a second tap cannot send twice
+            this.conversations.delete(from.id);
+
+            const loadingMessage = await this.bot.sendMessage(chatId, '⏳ Sending withdrawal...');
+            try {
+                const result = await withdrawalManager.executeWithdrawal(
+                    conversation.userDbId,
+                    conversation.token,
+                    conversation.toAddress,
+                    conversation.amount,
+                    auditLog.telegramActor(from.id)
+                );
+
+                await this.bot.editMessageText(
+                    `✅ *Withdrawal sent!*\n\n💰 ${formatAmount(result.amount, result.token)}\n📍 \`${result.toAddress}\`\n🔗 \`${result.txHash}\`\n\n⏳ You will be notified once it is confirmed.`,
+                    { chat_id: chatId, message_id: loadingMessage.message_id, parse_mode: 'Markdown' }
+                );
+            } catch (error) {
+                await this.bot.editMessageText(`❌ Withdrawal failed: ${error.message}`, {
+                    chat_id: chatId,
+                    message_id: loadingMessage.message_id
+                });
+            }
+        }
+    }
+
+    // Admin handler
+    async handleAdmin(msg) {
+        try {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            if (!(await adminManager.isAdmin(userId))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            const stats = await database.getSystemStats();
+            const masterWalletStats = await database.getMasterWalletStats();
+            const networkStatus = await walletManager.getNetworkStatus();
+            const sweepCost = await walletManager.estimateSweepCost();
+
+            const adminMessage = `
+🛠️ *Admin Dashboard*
+
+📊 *System Statistics:*
+• Total Users: ${stats.totalUsers}
+• Total Addresses: ${stats.totalAddresses}
+• Total Transactions: ${stats.totalTransactions}
+
+💼 *Ledger Balances:*
+${this.formatLedgerSummary(stats.ledger)}
+
+🏦 *Master Wallet:*
+• Balance: ${formatAmount(masterWalletStats?.current_balance || 0, 'USDT')}
+• Total Received: ${formatAmount(masterWalletStats?.total_received || 0, 'USDT')}
+
+🌐 *Network Status:*
+• Status: ${networkStatus.status}
+• Block: ${networkStatus.blockNumber || 'N/A'}
+
+⛽ *Estimated Sweep Cost${sweepCost ? ` (${sweepCost.symbol})` : ''}:*
+${sweepCost ? `• Energy: ${sweepCost.energyRequired ?? 'N/A'} (${sweepCost.energyPrice ?? 'N/A'} sun/unit)
+• Burn: ${formatAmount(fromBaseUnits(sweepCost.estimatedBurn, TRX_DECIMALS), 'TRX')}
+• Fee Limit: ${formatAmount(fromBaseUnits(sweepCost.feeLimit, TRX_DECIMALS), 'TRX')}` : '• No tokens enabled'}
+
+⏱️ *Last Updated:* ${new Date().toLocaleString()}
+            `;
+
+            await this.bot.sendMessage(chatId, adminMessage, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            { text: '🔄 Refresh Stats', callback_data: 'admin_refresh' },
+                            { text: '📊 Detailed Report', callback_data: 'admin_report' }
+                        ],
+                        [
+                            { text: '🔍 Find User', callback_data: 'admin_lookup' },
+                            { text: '👮 Admins', callback_data: 'admin_admins' }
+                        ],
+                        [
+                            { text: '⚙️ Settings', callback_data: 'admin_settings' },
+                            { text: '🧾 Audit Log', callback_data: 'admin_audit' }
+                        ]
+                    ]
+                }
+            });
+
+        } catch (error) {
+            console.error('Error in admin handler:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error getting admin info.');
+        }
+    }
+
+    // Admin menu buttons, and the actions on a looked-up user
+    async handleAdminCallback(chatId, from, data) {
+        try {
+            if (!(await adminManager.isAdmin(from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            switch (data) {
+                case 'admin_refresh':
+                    await this.handleAdmin({ chat: { id: chatId }, from });
+                    return;
+                case 'admin_report':
+                    await this.handleAdminReport(chatId);
+                    return;
+                case 'admin_admins':
+                    await this.handleAdminList(chatId);
+                    return;
+                case 'admin_lookup':
+                    this.conversations.set(from.id, { flow: 'lookup', expiresAt: Date.now() + CONVERSATION_TIMEOUT });
+                    await this.bot.sendMessage(chatId, '🔍 Send a Telegram ID or a TRON address, or /cancel.');
+                    return;
+                case 'admin_settings':
+                    await this.handleSystemSettings({ chat: { id: chatId }, from }, '');
+                    return;
+                case 'admin_audit':
+                    await this.handleAudit({ chat: { id: chatId }, from }, '');
+                    return;
+                case 'admin_audit_verify':
+                    await this.handleAuditVerify(chatId, from.id);
+                    return;
+            }
+
+            const [, settingKey] = data.match(/^admin_setting_(\w+)$/) || [];
+            if (settingKey && systemSettings.definitions[settingKey]) {
+                this.conversations.set(from.id, {
+                    flow: 'system_setting',
+                    key: settingKey,
+                    expiresAt: Date.now() + CONVERSATION_TIMEOUT
+                });
+                await this.bot.sendMessage(chatId, `⚙️ ${settingKey}: ${systemSettings.definitions[settingKey].description}\n\nCurrently ${this.formatSettingValue(systemSettings.get(settingKey))}. Send the new value, "default" to restore the default, or /cancel.`);
+                return;
+            }
+
+            const [, beforeId] = data.match(/^admin_audit_before_(\d+)$/) || [];
+            if (beforeId) {
+                const filters = auditLog.resolveFilters(this.auditFilters.get(from.id) || {});
+                await this.sendAuditPage(chatId, filters, parseInt(beforeId));
+                return;
+            }
+
+            const [, action, id, page] = data.match(/^admin_(user|addrs|hist|disable|enable|promote|demote|sweep)_(\d+)(?:_(\d+))?$/) || [];
+            const targetId = parseInt(id);
+            const pageNumber = parseInt(page) || 0;
+
+            if (action === 'user') {
+                const user = await adminManager.getUser(targetId);
+                await adminManager.audit(from.id, 'view_user', { userId: user.id, target: String(user.telegram_id) });
+                await this.sendUserCard(chatId, user);
+            } else if (action === 'addrs') {
+                await this.handleAdminAddresses(chatId, from.id, targetId, pageNumber);
+            } else if (action === 'hist') {
+                await this.handleAdminHistory(chatId, from.id, targetId, pageNumber);
+            } else if (action === 'disable' || action === 'enable') {
+                const user = await adminManager.setDisabled(from.id, targetId, action === 'disable');
+                await this.sendUserCard(chatId, user, user.is_disabled ? '🚫 Account disabled.' : '✅ Account enabled.');
+            } else if (action === 'promote' || action === 'demote') {
+                const user = await adminManager.setAdmin(from.id, targetId, action === 'promote');
+                await this.sendUserCard(chatId, user, user.is_admin ? '⭐ Admin rights granted.' : '⬇️ Admin rights removed.');
+            } else if (action === 'sweep') {
+                const { address, queued } = await adminManager.sweepAddress(from.id, targetId);
+                await this.bot.sendMessage(chatId, queued
+                    ? `🧹 Sweep of ${address.address} queued. It runs with the next sweep cycle.`
+                    : `⏳ ${address.address} already has a sweep queued or running.`);
+            }
+
+        } catch (error) {
+            console.error('Error handling admin action:', error);
+            await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+        }
+    }
+
+    // /user <telegram id | address>
+    async handleUserLookup(msg, query) {
+        try {
+            const chatId = msg.chat.id;
+
+            if (!(await adminManager.isAdmin(msg.from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            if (!query || !query.trim()) {
+                await this.bot.sendMessage(chatId, 'Usage: /user <telegram id | TRON address>');
+                return;
+            }
+
+            let user;
+            try {
+                user = await adminManager.findUser(msg.from.id, query);
+            } catch (error) {
+                await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+                return;
+            }
+
+            if (!user) {
+                await this.bot.sendMessage(chatId, '🔍 No user found for that ID or address.');
+                return;
+            }
+
+            await this.sendUserCard(chatId, user);
+
+        } catch (error) {
+            console.error('Error looking up user:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error looking up user.');
+        }
+    }
+
+    // Plain text: names and usernames may contain Markdown characters
+    async sendUserCard(chatId, user, notice = null) {
+        const balances = await database.getUserBalances(user.id);
+        const active = await database.getUserAddresses(user.id);
+        const archived = await database.getArchivedUserAddresses(user.id);
+        const envAdmin = adminManager.isEnvAdmin(user.telegram_id);
+
+        const name = [user.first_name, user.last_name].filter(Boolean).join(' ') || 'unknown';
+        const role = envAdmin ? 'Admin (ADMIN_IDS)' : user.is_admin ? 'Admin' : 'User';
+        const status = `${user.is_disabled ? '🚫 Disabled' : '✅ Enabled'}${user.is_active ? '' : ' · bot blocked'}`;
+
+        let text = notice ? `${notice}\n\n` : '';
+        text += `👤 User #${user.id}\n\n`;
+        text += `🆔 Telegram ID: ${user.telegram_id}\n`;
+        text += `📛 Name: ${name}${user.username ? ` (@${user.username})` : ''}\n`;
+        text += `📅 Joined: ${new Date(user.created_at).toLocaleString()}\n`;
+        text += `👀 Last seen: ${user.last_seen_at ? new Date(user.last_seen_at).toLocaleString() : 'never'}\n`;
+        text += `🛡️ Role: ${role}\n`;
+        text += `🚦 Status: ${status}\n`;
+        text += `🏦 Addresses: ${active.length} active, ${archived.length} archived\n`;
+        text += `💰 Balances: ${balances.map(bal => formatAmount(bal.balance, bal.token)).join(', ') || 'none'}`;
+
+        const actions = [
+            { text: user.is_disabled ? '✅ Enable' : '🚫 Disable', callback_data: `admin_${user.is_disabled ? 'enable' : 'disable'}_${user.id}` }
+        ];
+        if (!envAdmin) {
+            actions.push({ text: user.is_admin ? '⬇️ Remove Admin' : '⭐ Make Admin', callback_data: `admin_${user.is_admin ? 'demote' : 'promote'}_${user.id}` });
+        }
+
+        await this.bot.sendMessage(chatId, text, {
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: '🏦 Addresses', callback_data: `admin_addrs_${user.id}_0` },
+                        { text: '📋 History', callback_data: `admin_hist_${user.id}_0` }
+                    ],
+                    actions,
+                    [{ text: '🔄 Refresh', callback_data: `admin_user_${user.id}` }]
+                ]
+            }
+        });
+    }
+
+    // Every address of a user, archived ones included, with live balances and sweep buttons
+    async handleAdminAddresses(chatId, adminId, userId, page) {
+        const user = await adminManager.getUser(userId);
+        const addresses = [
+            ...await database.getUserAddresses(user.id),
+            ...await database.getArchivedUserAddresses(user.id)
+        ];
+        await adminManager.audit(adminId, 'view_addresses', { userId: user.id, target: String(user.telegram_id), details: { page } });
+
+        if (addresses.length === 0) {
+            await this.bot.sendMessage(chatId, `📭 User ${user.telegram_id} has no addresses.`);
+            return;
+        }
+
+        const tokens = await walletManager.getTokens();
+        const pageCount = Math.ceil(addresses.length / ADMIN_PAGE_SIZE);
+        page = Math.min(Math.max(page, 0), pageCount - 1);
+        const start = page * ADMIN_PAGE_SIZE;
+        const pageAddresses = addresses.slice(start, start + ADMIN_PAGE_SIZE);
+        const balances = await walletManager.getAccountInfos(pageAddresses.map(addr => addr.address));
+
+        let message = `🏦 Addresses of user ${user.telegram_id} (${addresses.length})\n`;
+        message += pageCount > 1 ? `Page ${page + 1} of ${pageCount}\n\n` : '\n';
+
+        pageAddresses.forEach((addr, i) => {
+            const balanceInfo = balances[addr.address];
+
+            message += `${start + i + 1}. ${addr.label || 'Unlabelled'}${addr.is_active ? '' : ' (archived)'}\n`;
+            message += `   📍 ${addr.address}\n`;
+            message += `   🔢 Index ${addr.derivation_index}\n`;
+            if (balanceInfo.error) {
+                message += '   ⚠️ Balance unavailable\n\n';
+                return;
+            }
+            for (const token of tokens) {
+                message += `   💰 ${formatAmount(fromBaseUnits(balanceInfo.tokenBalances[token.symbol] || 0n, token.decimals), token.symbol)}\n`;
+            }
+            message += `   ⚡ ${formatAmount(fromBaseUnits(balanceInfo.trxBalance, TRX_DECIMALS), 'TRX')}\n\n`;
+        });
+
+        // Sweep buttons, three to a row
+        const sweepButtons = [];
+        pageAddresses.forEach((addr, i) => {
+            if (i % 3 === 0) {
+                sweepButtons.push([]);
+            }
+            sweepButtons[sweepButtons.length - 1].push({ text: `🧹 Sweep ${start + i + 1}`, callback_data: `admin_sweep_${addr.id}` });
+        });
+
+        await this.bot.sendMessage(chatId, message, {
+            reply_markup: {
+                inline_keyboard: [
+                    ...sweepButtons,
+                    ...this.pageButtons(`admin_addrs_${user.id}`, page, pageCount),
+                    [{ text: '👤 Back to User', callback_data: `admin_user_${user.id}` }]
+                ]
+            }
+        });
+    }
+
+    async handleAdminHistory(chatId, adminId, userId, page) {
+        const user = await adminManager.getUser(userId);
+        const result = await transactionHistory.getPage(user.id, {}, page, ADMIN_PAGE_SIZE);
+        await adminManager.audit(adminId, 'view_history', { userId: user.id, target: String(user.telegram_id), details: { page: result.page } });
+
+        if (result.total === 0) {
+            await this.bot.sendMessage(chatId, `📋 User ${user.telegram_id} has no transactions.`);
+            return;
+        }
+
+        let message = `📋 Transactions of user ${user.telegram_id} (${result.total})\n`;
+        message += `Page ${result.page + 1} of ${result.pageCount}\n\n`;
+
+        for (const tx of result.transactions) {
+            const statusEmoji = tx.status === 'confirmed' ? '✅' : tx.status === 'pending' ? '⏳' : '❌';
+
+            message += `${statusEmoji} ${tx.type.replace('_', ' ').toUpperCase()} ${formatAmount(tx.amount, tx.token)}\n`;
+            message += `   📍 ${tx.address || tx.toAddress}\n`;
+            message += `   🔗 ${tx.txHash}\n`;
+            message += `   📅 ${new Date(tx.timestamp).toLocaleString()}\n\n`;
+        }
+
+        await this.bot.sendMessage(chatId, message, {
+            disable_web_page_preview: true,
+            reply_markup: {
+                inline_keyboard: [
+                    ...this.pageButtons(`admin_hist_${user.id}`, result.page, result.pageCount),
+                    [{ text: '👤 Back to User', callback_data: `admin_user_${user.id}` }]
+                ]
+            }
+        });
+    }
+
+    async handleAdminReport(chatId) {
+        const users = await database.getUserStats();
+        const sweepStats = await sweepQueue.getStats();
+        const keyVersions = await database.getKeyVersionCounts();
+
+        const versions = keyVersions
+            .map(row => `${row.key_version === null ? 'derived' : `v${row.key_version}`}: ${row.count}`)
+            .join(', ');
+
+        let message = '📊 Detailed Report\n\n';
+        message += `👥 Users: ${users.total}\n`;
+        message += `• Seen in the last 7 days: ${users.seenThisWeek}\n`;
+        message += `• Admins: ${users.admins} (+ ${adminManager.envAdminIds.length} from ADMIN_IDS)\n`;
+        message += `• Disabled: ${users.disabled}\n`;
+        message += `• Blocked the bot: ${users.blocked}\n\n`;
+        message += '🧹 Sweep Queue\n';
+        message += `• Queued: ${sweepStats.jobs.queued} · Running: ${sweepStats.jobs.running}\n`;
+        message += `• Completed: ${sweepStats.jobs.completed} · Failed: ${sweepStats.jobs.failed}\n`;
+        message += `• Last sweep: ${sweepStats.lastSweepTime ? new Date(sweepStats.lastSweepTime).toLocaleString() : 'never'}\n`;
+        if (sweepStats.lastError) {
+            message += `• Last error: ${sweepStats.lastError}\n`;
+        }
+        message += `\n🔐 Key storage: ${versions || 'no addresses'}\n`;
+        message += `\n⏱️ ${new Date().toLocaleString()}`;
+
+        await this.bot.sendMessage(chatId, message);
+    }
+
+    async handleAdminList(chatId) {
+        const stored = await database.getAdminUsers();
+
+        let message = '👮 Admins\n\n';
+        for (const telegramId of adminManager.envAdminIds) {
+            message += `• ${telegramId} (ADMIN_IDS)\n`;
+        }
+        for (const user of stored.filter(user => !adminManager.isEnvAdmin(user.telegram_id))) {
+            message += `• ${user.telegram_id}${user.username ? ` @${user.username}` : ''}${user.is_disabled ? ' (disabled)' : ''}\n`;
+        }
+        message += '\nGrant or remove admin rights from a user card: /user <telegram id>';
+
+        await this.bot.sendMessage(chatId, message);
+    }
+
+    // Runtime settings: list them, or change one with /settings_admin <key> <value>
+    async handleSystemSettings(msg, args) {
+        try {
+            const chatId = msg.chat.id;
+
+            if (!(await adminManager.isAdmin(msg.from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            const [key, ...rest] = (args || '').trim().split(/\s+/).filter(Boolean);
+            if (key) {
+                if (rest.length === 0) {
+                    await this.bot.sendMessage(chatId, 'Usage: /settings_admin <key> <value>, or /settings_admin to list settings');
+                    return;
+                }
+                await this.applySystemSetting(chatId, msg.from.id, key, rest.join(' '));
+                return;
+            }
+
+            await this.sendSystemSettings(chatId);
+
+        } catch (error) {
+            console.error('Error showing system settings:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error showing system settings.');
+        }
+    }
+
+    async handleSystemSettingInput(msg, conversation) {
+        if (!(await adminManager.isAdmin(msg.from.id))) {
+            this.conversations.delete(msg.from.id);
+            await this.bot.sendMessage(msg.chat.id, '❌ You are not authorized to use admin commands.');
+            return;
+        }
+
+        if (await this.applySystemSetting(msg.chat.id, msg.from.id, conversation.key, msg.text)) {
+            this.conversations.delete(msg.from.id);
+        }
+    }
+
+    // Returns false when the value was rejected
+    async applySystemSetting(chatId, adminId, key, input) {
+        const definition = systemSettings.definitions[key];
+        if (!definition) {
+            await this.bot.sendMessage(chatId, `❌ Unknown setting ${key}. Send /settings_admin to list them.`);
+            return false;
+        }
+
+        const value = input.trim().toLowerCase() === 'default' ? definition.default : input;
+        try {
+            await systemSettings.update({ [key]: value }, auditLog.telegramActor(adminId));
+        } catch (error) {
+            await this.bot.sendMessage(chatId, `❌ ${error.message}. Please try again or /cancel.`);
+            return false;
+        }
+
+        await this.sendSystemSettings(chatId, `✅ ${key} set to ${this.formatSettingValue(systemSettings.get(key))}.`);
+        return true;
+    }
+
+    // Plain text: setting keys contain underscores
+    async sendSystemSettings(chatId, notice = null) {
+        let text = notice ? `${notice}\n\n` : '';
+        text += '⚙️ System Settings\n\n';
+        for (const setting of systemSettings.list()) {
+            const changed = setting.value !== setting.default;
+            text += `• ${setting.key}: ${this.formatSettingValue(setting.value)}${changed ? ` (default ${this.formatSettingValue(setting.default)})` : ''}\n`;
+            text += `   ${setting.description}\n`;
+        }
+        text += '\nTap a setting to change it, or send /settings_admin <key> <value>. Changes apply without a restart.';
+
+        await this.bot.sendMessage(chatId, text, {
+            reply_markup: {
+                inline_keyboard: systemSettings.list().map(setting => [
+                    { text: `✏️ ${setting.key}`, callback_data: `admin_setting_${setting.key}` }
+                ])
+            }
+        });
+    }
+
+    formatSettingValue(value) {
+        return typeof value === 'boolean' ? (value ? 'on' : 'off') : String(value);
+    }
+
+    // Audit log viewer, newest first
+    async handleAudit(msg, args) {
+        try {
+            const chatId = msg.chat.id;
+
+            if (!(await adminManager.isAdmin(msg.from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            let input;
+            let filters;
+            try {
+                input = auditLog.parseFilterArgs(args);
+                filters = auditLog.resolveFilters(input);
+            } catch (error) {
+                await this.bot.sendMessage(chatId, `❌ ${error.message}\n\nExample: /audit action:admin. channel:bot from:2026-01-01`);
+                return;
+            }
+
+            this.auditFilters.set(msg.from.id, input);
+            await adminManager.audit(msg.from.id, 'view_audit', { details: { filters: input } });
+            await this.sendAuditPage(chatId, filters, null);
+
+        } catch (error) {
+            console.error('Error showing audit log:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error showing audit log.');
+        }
+    }
+
+    // Plain text: targets and parameters are free-form
+    async sendAuditPage(chatId, filters, beforeId) {
+        const entries = await auditLog.list(filters, { beforeId, limit: AUDIT_PAGE_SIZE + 1 });
+        const page = entries.slice(0, AUDIT_PAGE_SIZE);
+
+        if (page.length === 0) {
+            await this.bot.sendMessage(chatId, beforeId ? '📭 No older audit entries.' : '📭 No audit entries match.');
+            return;
+        }
+
+        const lines = page.map(entry => {
+            const parameters = entry.parameters === null ? null : JSON.stringify(entry.parameters);
+            let line = `${entry.outcome === 'success' ? '✅' : '❌'} #${entry.id} ${entry.action}`;
+            line += `\n   🕒 ${new Date(entry.timestamp).toLocaleString()}`;
+            line += `\n   👤 ${entry.actor} (${entry.channel})`;
+            if (entry.target) {
+                line += `\n   🎯 ${entry.target}`;
+            }
+            if (parameters) {
+                line += `\n   ⚙️ ${parameters.length > 150 ? `${parameters.substring(0, 150)}...` : parameters}`;
+            }
+            if (entry.error) {
+                line += `\n   ⚠️ ${entry.error}`;
+            }
+            return line;
+        });
+
+        const keyboard = [];
+        if (entries.length > AUDIT_PAGE_SIZE) {
+            keyboard.push([{ text: '⬅️ Older', callback_data: `admin_audit_before_${page[page.length - 1].id}` }]);
+        }
+        keyboard.push([{ text: '🔐 Verify Chain', callback_data: 'admin_audit_verify' }]);
+
+        await this.bot.sendMessage(chatId, `🧾 Audit Log\n\n${lines.join('\n\n')}`, {
+            reply_markup: { inline_keyboard: keyboard }
+        });
+    }
+
+    // Recompute the hash chain; may take a while on a long log
+    async handleAuditVerify(chatId, adminId) {
+        await this.bot.sendMessage(chatId, '🔐 Verifying the audit log...');
+
+        const result = await auditLog.verify();
+        await adminManager.audit(adminId, 'verify_audit', { details: result });
+
+        await this.bot.sendMessage(chatId, result.valid
+            ? `✅ Audit log intact: ${result.checked} entries verified.`
+            : `🚨 Audit log broken${result.brokenAt ? ` at entry #${result.brokenAt}` : ''}: ${result.reason}\n\n${result.checked} entries verified before it.`);
+    }
+
+    // Token registry admin: /tokens, /addtoken <contract> [minSweep], /toggletoken <symbol>
+    async handleTokens(msg) {
+        try {
+            const chatId = msg.chat.id;
+
+            if (!(await adminManager.isAdmin(msg.from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            const tokens = await database.getTokens(false);
+            let message = `🪙 *Registered Tokens (${tokens.length})*\n\n`;
+
+            for (const token of tokens) {
+                message += `${token.is_enabled ? '✅' : '⏸️'} *${token.symbol}* (${token.decimals} decimals)\n`;
+                message += `   📍 \`${token.contract_address}\`\n`;
+                message += `   🧹 Min sweep: ${formatAmount(token.min_sweep_amount)}\n\n`;
+            }
+
+            message += 'Add: /addtoken <contract> [min sweep]\nEnable/disable: /toggletoken <symbol>';
+
+            await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+
+        } catch (error) {
+            console.error('Error listing tokens:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error listing tokens.');
+        }
+    }
+
+    async handleAddToken(msg, args) {
+        try {
+            const chatId = msg.chat.id;
+
+            if (!(await adminManager.isAdmin(msg.from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            const [contractAddress, minSweep] = (args || '').trim().split(/\s+/);
+            if (!contractAddress) {
+                await this.bot.sendMessage(chatId, 'Usage: /addtoken <contract> [min sweep]');
+                return;
+            }
+
+            const token = await walletManager.registerToken(contractAddress, minSweep);
+            await adminManager.audit(msg.from.id, 'add_token', {
+                target: token.contract_address || contractAddress,
+                details: { symbol: token.symbol, minSweep: token.min_sweep_amount }
+            });
+            await this.bot.sendMessage(chatId, `✅ Registered *${token.symbol}* with ${token.decimals} decimals`, {
+                parse_mode: 'Markdown'
+            });
+
+        } catch (error) {
+            console.error('Error adding token:', error);
+            await this.bot.sendMessage(msg.chat.id, `❌ Could not register token: ${error.message}`);
+        }
+    }
+
+    async handleToggleToken(msg, args) {
+        try {
+            const chatId = msg.chat.id;
+
+            if (!(await adminManager.isAdmin(msg.from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            const token = await walletManager.getTokenBySymbol((args || '').trim().toUpperCase());
+            if (!token) {
+                await this.bot.sendMessage(chatId, 'Usage: /toggletoken <symbol>');
+                return;
+            }
+
+            await walletManager.setTokenEnabled(token.symbol, !token.is_enabled);
+            await adminManager.audit(msg.from.id, token.is_enabled ? 'disable_token' : 'enable_token', { target: token.symbol });
+            await this.bot.sendMessage(chatId, `${token.is_enabled ? '⏸️ Disabled' : '✅ Enabled'} ${token.symbol}`);
+
+        } catch (error) {
+            console.error('Error toggling token:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error updating token.');
+        }
+    }
+
+    // API key admin: /apikeys, /newapikey <name> <scopes> [rate/min], /revokeapikey <prefix>
+    async handleApiKeys(msg) {
+        try {
+            const chatId = msg.chat.id;
+
+            if (!(await adminManager.isAdmin(msg.from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            const keys = await apiKeyManager.listKeys();
+            let message = `🔑 *Active API Keys (${keys.length})*\n\n`;
+
+            for (const key of keys) {
+                message += `• \`${key.key_prefix}\` ${key.name.replace(/([_*`[])/g, '\\$1')}\n`;
+                message += `   🛡️ ${key.scopes.join(', ')} · ${key.rate_limit_per_minute}/min\n`;
+                message += `   🕒 Last used: ${key.last_used_at ? new Date(key.last_used_at).toLocaleString() : 'never'}\n\n`;
+            }
+
+            message += `Issue: /newapikey <name> <scopes> [requests per minute]\nScopes: ${apiKeyManager.scopes.join(', ')}\nRevoke: /revokeapikey <prefix>`;
+
+            await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+
+        } catch (error) {
+            console.error('Error listing API keys:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error listing API keys.');
+        }
+    }
+
+    async handleNewApiKey(msg, args) {
+        try {
+            const chatId = msg.chat.id;
+
+            if (!(await adminManager.isAdmin(msg.from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            // The key is shown once, so never post it into a group
+            if (msg.chat.type !== 'private') {
+                await this.bot.sendMessage(chatId, '🔒 Please issue API keys in a private chat with the bot.');
+                return;
+            }
+
+            const [name, scopes, rateLimit] = (args || '').trim().split(/\s+/);
+            if (!name || !scopes) {
+                await this.bot.sendMessage(chatId, `Usage: /newapikey <name> <scopes> [requests per minute]\nScopes (comma separated): ${apiKeyManager.scopes.join(', ')}`);
+                return;
+            }
+
+            const issued = await apiKeyManager.issueKey(
+                name,
+                scopes.split(',').filter(Boolean),
+                rateLimit ? parseInt(rateLimit) : undefined,
+                msg.from.id
+            );
+            await adminManager.audit(msg.from.id, 'create_api_key', {
+                target: issued.prefix,
+                details: { name, scopes: issued.scopes, rateLimitPerMinute: issued.rateLimitPerMinute }
+            });
+
+            await this.bot.sendMessage(chatId,
+                `✅ *API key issued*\n\n🔑 \`${issued.key}\`\n🛡️ ${issued.scopes.join(', ')}\n⏱️ ${issued.rateLimitPerMinute} requests/min\n\n⚠️ Store it now: it cannot be shown again. Send it in the X-API-Key header.`,
+                { parse_mode: 'Markdown' }
+            );
+
+        } catch (error) {
+            console.error('Error issuing API key:', error);
+            await this.bot.sendMessage(msg.chat.id, `❌ Could not issue API key: ${error.message}`);
+        }
+    }
+
+    async handleRevokeApiKey(msg, args) {
+        try {
+            const chatId = msg.chat.id;
+
+            if (!(await adminManager.isAdmin(msg.from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            const prefix = (args || '').trim();
+            if (!prefix) {
+                await this.bot.sendMessage(chatId, 'Usage: /revokeapikey <prefix>');
+                return;
+            }
+
+            const revoked = await apiKeyManager.revokeKey(prefix);
+            await adminManager.audit(msg.from.id, 'revoke_api_key', { target: prefix, details: { revoked } });
+            await this.bot.sendMessage(chatId, revoked ? `🔒 Revoked API key ${prefix}` : `❌ No active API key with prefix ${prefix}`);
+
+        } catch (error) {
+            console.error('Error revoking API key:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error revoking API key.');
+        }
+    }
+
+    // Webhook admin: /webhooks lists endpoints and failed deliveries, /replaywebhook <delivery id>
+    async handleWebhooks(msg) {
+        try {
+            const chatId = msg.chat.id;
+
+            if (!(await adminManager.isAdmin(msg.from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            const endpoints = await database.getWebhookEndpoints();
+            const failed = await database.getWebhookDeliveries({ status: 'failed' }, 10);
+
+            let message = `🪝 Webhook Endpoints (${endpoints.length})\n\n`;
+            for (const endpoint of endpoints) {
+                message += `#${endpoint.id} ${endpoint.url}\n   📨 ${endpoint.events}${endpoint.user_id ? ` · user ${endpoint.user_id}` : ''}\n`;
+            }
+
+            message += `\n❌ Failed Deliveries (${failed.length})\n\n`;
+            for (const delivery of failed) {
+                message += `#${delivery.id} ${delivery.event_type} → ${delivery.url}\n   ${delivery.attempts} attempts, last: ${delivery.last_error || delivery.last_status_code}\n`;
+            }
+
+            message += '\nReplay: /replaywebhook <delivery id>';
+
+            // Plain text: URLs and event names are full of Markdown characters
+            await this.bot.sendMessage(chatId, message, { disable_web_page_preview: true });
+
+        } catch (error) {
+            console.error('Error listing webhooks:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error listing webhooks.');
+        }
+    }
+
+    async handleReplayWebhook(msg, args) {
+        try {
+            const chatId = msg.chat.id;
+
+            if (!(await adminManager.isAdmin(msg.from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            const deliveryId = parseInt(args);
+            if (!deliveryId) {
+                await this.bot.sendMessage(chatId, 'Usage: /replaywebhook <delivery id>');
+                return;
+            }
+
+            const replayed = await webhookManager.replay(deliveryId);
+            await adminManager.audit(msg.from.id, 'replay_webhook', { target: String(deliveryId), details: { replayed } });
+            await this.bot.sendMessage(chatId, replayed ? `🔁 Delivery #${deliveryId} queued for replay` : `❌ Delivery #${deliveryId} not found`);
+
+        } catch (error) {
+            console.error('Error replaying webhook:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error replaying webhook.');
+        }
+    }
+
+    // Admin broadcast: pick a segment, send the message, check the preview, confirm
+    async handleBroadcast(msg, args) {
+        try {
+            const chatId = msg.chat.id;
+
+            if (!(await adminManager.isAdmin(msg.from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            if (this.activeBroadcast) {
+                await this.bot.sendMessage(chatId, `⏳ Broadcast #${this.activeBroadcast} is still sending. Wait for its report.`);
+                return;
+            }
+
+            let target;
+            try {
+                target = broadcastManager.parseSegment(args);
+            } catch (error) {
+                await this.bot.sendMessage(chatId, `❌ ${error.message}\n\nUsage: /broadcast [all|depositors|active <days>]`);
+                return;
+            }
+
+            const total = await broadcastManager.countRecipients(target.segment, target.days);
+            this.conversations.set(msg.from.id, {
+                flow: 'broadcast',
+                step: 'content',
+                segment: target.segment,
+                days: target.days,
+                total,
+                expiresAt: Date.now() + CONVERSATION_TIMEOUT
+            });
+
+            await this.bot.sendMessage(chatId, `📣 Broadcast to ${broadcastManager.describeSegment(target.segment, target.days)}: ${total} users\n\nSend the message now: text, or a photo with a caption. Markdown formatting is supported. /cancel to stop.`);
+
+        } catch (error) {
+            console.error('Error starting broadcast:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error starting broadcast.');
+        }
+    }
+
+    async handleBroadcastInput(msg, conversation) {
+        const chatId = msg.chat.id;
+        if (conversation.step !== 'content') {
+            return;
+        }
+
+        let content;
+        try {
+            content = broadcastManager.parseContent(msg);
+        } catch (error) {
+            await this.bot.sendMessage(chatId, `❌ ${error.message}. Please try again or /cancel.`);
+            return;
+        }
+
+        // The preview goes out exactly like the broadcast, so bad Markdown is caught here
+        try {
+            await this.sendBroadcastMessage(chatId, content);
+        } catch (error) {
+            await this.bot.sendMessage(chatId, `❌ Telegram rejected that message: ${error.message}\n\nCheck the Markdown and send it again, or /cancel.`);
+            return;
+        }
+
+        conversation.content = content;
+        conversation.step = 'confirm';
+        conversation.expiresAt = Date.now() + CONVERSATION_TIMEOUT;
+
+        await this.bot.sendMessage(chatId, `👆 Preview\n\n👥 ${broadcastManager.describeSegment(conversation.segment, conversation.days)}: ${conversation.total} users\n\nSend it now?`, {
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: '✅ Send', callback_data: 'broadcast_confirm' }],
+                    [{ text: '❎ Cancel', callback_data: 'broadcast_cancel' }]
+                ]
+            }
+        });
+    }
+
+    async handleBroadcastCallback(chatId, from, data) {
+        if (!(await adminManager.isAdmin(from.id))) {
+            return;
+        }
+
+        const conversation = this.conversations.get(from.id);
+
+        if (data === 'broadcast_cancel') {
+            this.conversations.delete(from.id);
+            await this.bot.sendMessage(chatId, '❎ Broadcast cancelled.');
+            return;
+        }
+
+        if (!conversation || conversation.flow !== 'broadcast' || conversation.step !== 'confirm' || Date.now() > conversation.expiresAt) {
+            this.conversations.delete(from.id);
+            await this.bot.sendMessage(chatId, '⌛ This broadcast has expired. Start again with /broadcast');
+            return;
+        }
+
+        if (data !== 'broadcast_confirm') {
+            return;
+        }
+
+        // Remove the flow first so a second tap cannot send twice
+        this.conversations.delete(from.id);
+
+        if (this.activeBroadcast) {
+            await this.bot.sendMessage(chatId, `⏳ Broadcast #${this.activeBroadcast} is still sending. Start again once it has finished.`);
+            return;
+        }
+
+        try {
+            const { id, total } = await broadcastManager.create(from.id, conversation.content, conversation.segment, conversation.days);
+            await adminManager.audit(from.id, 'broadcast', {
+                target: String(id),
+                details: { segment: conversation.segment, days: conversation.days, total }
+            });
+            await this.bot.sendMessage(chatId, `📣 Broadcast #${id} started to ${total} users. You will get a report when it finishes.`);
+
+            // Runs in the background; the report follows when it is done
+            this.broadcast(id)
+                .then(report => this.bot.sendMessage(chatId, this.formatBroadcastReport(report)))
+                .catch(async (error) => {
+                    console.error(`Error sending broadcast #${id}:`, error);
+                    await this.bot.sendMessage(chatId, `❌ Broadcast #${id} stopped: ${error.message}\n\nSee /broadcasts for what was delivered.`).catch(() => {});
+                });
+        } catch (error) {
+            console.error('Error creating broadcast:', error);
+            await this.bot.sendMessage(chatId, '❌ Error creating broadcast.');
+        }
+    }
+
+    // Delivery reports of recent broadcasts
+    async handleBroadcasts(msg) {
+        try {
+            const chatId = msg.chat.id;
+
+            if (!(await adminManager.isAdmin(msg.from.id))) {
+                await this.bot.sendMessage(chatId, '❌ You are not authorized to use admin commands.');
+                return;
+            }
+
+            const broadcasts = await broadcastManager.list();
+            if (broadcasts.length === 0) {
+                await this.bot.sendMessage(chatId, '📭 No broadcasts yet. Start one with /broadcast');
+                return;
+            }
+
+            const message = broadcasts.map(row => this.formatBroadcastReport(row)).join('\n\n');
+            await this.bot.sendMessage(chatId, `📣 Recent Broadcasts\n\n${message}`);
+
+        } catch (error) {
+            console.error('Error listing broadcasts:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error listing broadcasts.');
+        }
+    }
+
+    // Plain text: broadcast messages may contain Markdown of their own
+    formatBroadcastReport(broadcast) {
+        const icons = { sending: '⏳', completed: '✅', interrupted: '⚠️' };
+        const preview = broadcast.message
+            ? `${broadcast.message.substring(0, 60)}${broadcast.message.length > 60 ? '...' : ''}`
+            : '(no text)';
+
+        let report = `${icons[broadcast.status] || '📣'} Broadcast #${broadcast.id} ${broadcast.status}`;
+        report += `\n🕒 ${new Date(broadcast.created_at).toLocaleString()}${broadcast.photo_file_id ? ' · 🖼️ photo' : ''}`;
+        report += `\n📝 ${preview}`;
+        report += `\n👥 ${broadcastManager.describeSegment(broadcast.segment, broadcast.segment_days)}: ${broadcast.total}`;
+        report += `\n✅ Delivered: ${broadcast.delivered} · ❌ Failed: ${broadcast.failed} · 🚫 Blocked: ${broadcast.blocked}`;
+        if (broadcast.last_error) {
+            report += `\n⚠️ Last error: ${broadcast.last_error}`;
+        }
+        return report;
+    }
+
+    // One line per ledger account and token
+    formatLedgerSummary(ledger) {
+        if (ledger.length === 0) {
+            return '• No ledger entries yet';
+        }
+
+        return ledger
+            .map(row => `• ${row.account.replace(/_/g, ' ')}: ${formatAmount(row.balance, row.token)}`)
+            .join('\n');
+    }
+
+    // Help handler
+    async handleHelp(msg) {
+        const helpMessage = `
+ℹ️ *TRC20 Wallet Bot Help*
+
+*Available Commands:*
+/start - Start the bot and show welcome message
+/generate - Generate a new TRC20 address
+/balance - Check all your balances
+/addresses - View all your generated addresses
+/rename - Change an address label
+/archive - Hide an address you no longer use
+/restore - Bring back an archived address
+/history [filters] - View transaction history
+/export [filters] - Download your history as CSV
+/withdraw - Withdraw funds to an external address
+/invoice <amount> [token] [minutes] [note] - Request a payment
+/settings - Choose which alerts you get and when
+/cancel - Cancel the current operation
+/help - Show this help message
+
+*History filters:* type:deposit status:confirmed token:USDT address:T... from:2026-01-01 to:2026-01-31
+
+*How it works:*
+1. Generate addresses with /generate
+2. Send USDT (TRC20) to any generated address
+3. Funds automatically sweep to master wallet
+4. Check balances and history anytime
+
+*Security Features:*
+✅ Private keys are encrypted
+✅ HD wallet for unlimited addresses
+✅ Auto-sweep for security
+✅ Rate limiting protection
+
+*Support:*
+If you encounter any issues, please contact the administrator.
+
+*Powered by TRON Network*
+        `;
+
+        await this.bot.sendMessage(msg.chat.id, helpMessage, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: '🏦 Generate Address', callback_data: 'generate' }],
+                    [{ text: '💰 Check Balance', callback_data: 'balance' }]
+                ]
+            }
+        });
+    }
+
+    // Callback query handler
+    async handleCallbackQuery(callbackQuery) {
+        try {
+            const chatId = callbackQuery.message.chat.id;
+            const messageId = callbackQuery.message.message_id;
+            const data = callbackQuery.data;
+
+            await this.bot.answerCallbackQuery(callbackQuery.id);
+
+            if (await this.isDisabled(callbackQuery.from.id)) {
+                await this.bot.sendMessage(chatId, DISABLED_MESSAGE);
+                return;
+            }
+
+            // Handle different callback actions
+            switch (data) {
+                case 'generate':
+                    await this.handleGenerate({ chat: { id: chatId }, from: callbackQuery.from });
+                    break;
+                case 'balance':
+                    await this.handleBalance({ chat: { id: chatId }, from: callbackQuery.from });
+                    break;
+                case 'addresses':
+                    await this.handleAddresses({ chat: { id: chatId }, from: callbackQuery.from });
+                    break;
+                case 'history':
+                    await this.handleHistory({ chat: { id: chatId }, from: callbackQuery.from }, 0, '');
+                    break;
+                case 'history_export':
+                    await this.handleExport({ chat: { id: chatId }, from: callbackQuery.from });
+                    break;
+                default:
+                    if (data.startsWith('withdraw_')) {
+                        await this.handleWithdrawCallback(chatId, callbackQuery.from, data);
+                    } else if (data.startsWith('addr_')) {
+                        await this.handleAddressCallback(chatId, callbackQuery.from, data);
+                    } else if (data.startsWith('admin_')) {
+                        await this.handleAdminCallback(chatId, callbackQuery.from, data);
+                    } else if (data.startsWith('broadcast_')) {
+                        await this.handleBroadcastCallback(chatId, callbackQuery.from, data);
+                    } else if (data.startsWith('settings_')) {
+                        await this.handleSettingsCallback(chatId, messageId, callbackQuery.from, data);
+                    } else if (data.startsWith('history_page_')) {
+                        await this.handleHistory({ chat: { id: chatId }, from: callbackQuery.from }, parseInt(data.replace('history_page_', '')) || 0);
+                    } else if (data.startsWith('addresses_page_')) {
+                        await this.handleAddresses({ chat: { id: chatId }, from: callbackQuery.from }, parseInt(data.replace('addresses_page_', '')) || 0);
+                    } else if (data.startsWith('copy_')) {
+                        const address = data.replace('copy_', '');
+                        await this.bot.sendMessage(chatId, `📋 Address copied:\n\`${address}\``, {
+                            parse_mode: 'Markdown'
+                        });
+                    }
+                    break;
+            }
+
+        } catch (error) {
+            console.error('Error handling callback query:', error);
+        }
+    }
+
+    // Notification preferences menu
+    async handleSettings(msg) {
+        try {
+            const user = await database.getUserByTelegramId(msg.from.id);
+            if (!user) {
+                await this.bot.sendMessage(msg.chat.id, '❌ User not found. Please start with /start');
+                return;
+            }
+
+            const { text, keyboard } = await this.renderSettings(user.id);
+            await this.bot.sendMessage(msg.chat.id, text, { reply_markup: { inline_keyboard: keyboard } });
+        } catch (error) {
+            console.error('Error showing settings:', error);
+            await this.bot.sendMessage(msg.chat.id, '❌ Error loading settings. Please try again.');
+        }
+    }
+
+    async renderSettings(userDbId) {
+        const preferences = await notificationManager.getPreferences(userDbId);
+        const onOff = value => value ? 'On' : 'Off';
+        const quietHours = preferences.quiet_start === null
+            ? 'Off'
+            : `${preferences.quiet_start}:00-${preferences.quiet_end}:00`;
+
+        const text = `⚙️ Notification Settings
+
+📥 Deposit alerts: ${onOff(preferences.deposit_alerts)}
+🧹 Sweep alerts: ${onOff(preferences.sweep_alerts)}
+💸 Withdrawal alerts: ${onOff(preferences.withdrawal_alerts)}
+💰 Minimum amount: ${preferences.min_amount}
+🌙 Quiet hours: ${quietHours} (${preferences.timezone})
+🌐 Alert language: ${notificationManager.languages[preferences.language]}
+
+Alerts during quiet hours are delivered when they end. Failures and invoice updates ignore the minimum amount.`;
+
+        const keyboard = [
+            [
+                { text: `📥 ${onOff(preferences.deposit_alerts)}`, callback_data: 'settings_toggle_deposit' },
+                { text: `🧹 ${onOff(preferences.sweep_alerts)}`, callback_data: 'settings_toggle_sweep' },
+                { text: `💸 ${onOff(preferences.withdrawal_alerts)}`, callback_data: 'settings_toggle_withdrawal' }
+            ],
+            [{ text: '💰 Minimum Amount', callback_data: 'settings_edit_min' }],
+            [
+                { text: '🌙 Quiet Hours', callback_data: 'settings_edit_quiet' },
+                { text: '🕐 Timezone', callback_data: 'settings_edit_timezone' }
+            ],
+            [{ text: '🌐 Language', callback_data: 'settings_language' }]
+        ];
+
+        return { text, keyboard };
+    }
+
+    async handleSettingsCallback(chatId, messageId, from, data) {
+        try {
+            const user = await database.getUserByTelegramId(from.id);
+            if (!user) {
+                return;
+            }
+
+            const prompts = {
+                min: '💰 Send the smallest amount you want alerts for (0 for everything), or /cancel.',
+                quiet: '🌙 Send quiet hours as start-end in your timezone, e.g. 22-7, or "off". /cancel to keep them.',
+                timezone: '🕐 Send your timezone, e.g. Europe/Madrid or UTC, or /cancel.'
+            };
+
+            const [, action, value] = data.match(/^settings_(toggle|edit|language)(?:_(\w+))?$/) || [];
+            if (action === 'toggle') {
+                const enabled = await notificationManager.toggleCategory(user.id, value);
+                await auditLog.record(auditLog.telegramActor(from.id), 'settings.update', {
+                    parameters: { field: `${value}_alerts`, value: enabled }
+                });
+            } else if (action === 'language') {
+                const language = await notificationManager.cycleLanguage(user.id);
+                await auditLog.record(auditLog.telegramActor(from.id), 'settings.update', {
+                    parameters: { field: 'language', value: language }
+                });
+            } else if (action === 'edit' && prompts[value]) {
+                this.conversations.set(from.id, {
+                    flow: 'settings',
+                    field: value,
+                    userDbId: user.id,
+                    expiresAt: Date.now() + CONVERSATION_TIMEOUT
+                });
+                await this.bot.sendMessage(chatId, prompts[value]);
+                return;
+            } else {
+                return;
+            }
+
+            const { text, keyboard } = await this.renderSettings(user.id);
+            await this.bot.editMessageText(text, {
+                chat_id: chatId,
+                message_id: messageId,
+                reply_markup: { inline_keyboard: keyboard }
+            });
+        } catch (error) {
+            console.error('Error updating settings:', error);
+            await this.bot.sendMessage(chatId, '❌ Error updating settings. Please try again.');
+        }
+    }
+
+    async handleSettingsInput(msg, conversation) {
+        const setters = {
+            min: text => notificationManager.setMinAmount(conversation.userDbId, text),
+            quiet: text => notificationManager.setQuietHours(conversation.userDbId, text),
+            timezone: text => notificationManager.setTimezone(conversation.userDbId, text)
+        };
+
+        let value;
+        try {
+            value = await setters[conversation.field](msg.text);
+        } catch (error) {
+            await this.bot.sendMessage(msg.chat.id, `❌ ${error.message}. Please try again or /cancel.`);
+            return;
+        }
+
+        this.conversations.delete(msg.from.id);
+        await auditLog.record(auditLog.telegramActor(msg.from.id), 'settings.update', {
+            parameters: { field: conversation.field, value }
+        });
+        const { text, keyboard } = await this.renderSettings(conversation.userDbId);
+        await this.bot.sendMessage(msg.chat.id, `✅ Saved.\n\n${text}`, { reply_markup: { inline_keyboard: keyboard } });
+    }
+
+    // Send notification to user
+    async sendNotification(userId, message, options = {}) {
+        try {
+            const user = await database.getUserByTelegramId(userId);
+            if (user) {
+                await this.deliver(userId, message, options);
+            }
+        } catch (error) {
+            console.error('Error sending notification:', error);
+        }
+    }
+
+    // Alert a user (by users.id) about an event, honouring their notification preferences.
+    // See notificationManager.prepare for category, template key, params and amounts.
+    async notifyUser(userDbId, category, key, params, amounts = []) {
+        try {
+            const notification = await notificationManager.prepare(userDbId, category, key, params, amounts);
+            if (!notification) {
+                return;
+            }
+
+            if (notification.delaySeconds > 0) {
+                await database.enqueueNotification(notification.chatId, notification.text, {}, notification.delaySeconds);
+                return;
+            }
+
+            await this.deliver(notification.chatId, notification.text);
+        } catch (error) {
+            console.error(`Error notifying user ${userDbId}:`, error);
+        }
+    }
+
+    // Send now; when Telegram rate limits us, queue the message for after retry_after
+    async deliver(chatId, message, options = {}) {
+        try {
+            await this.bot.sendMessage(chatId, message, options);
+            return true;
+        } catch (error) {
+            const retryAfter = this.retryAfterSeconds(error);
+            if (retryAfter === null) {
+                if (broadcastManager.isBlockedError(error)) {
+                    await this.markBlocked(chatId);
+                }
+                throw error;
+            }
+
+            console.warn(`⏳ Telegram rate limit, retrying message to ${chatId} in ${retryAfter}s`);
+            await database.enqueueNotification(chatId, message, options, retryAfter);
+            return false;
+        }
+    }
+
+    // retry_after from a 429 response, or null for any other error
+    retryAfterSeconds(error) {
+        if (!error.response || error.response.statusCode !== 429) {
+            return null;
+        }
+
+        const parameters = error.response.body && error.response.body.parameters;
+        return Math.max(parseInt(parameters && parameters.retry_after) || 30, 1);
+    }
+
+    // Send queued notifications that are due
+    async flushNotificationQueue() {
+        const result = { sent: 0, failed: 0 };
+
+        for (const notification of await database.getDueNotifications()) {
+            try {
+                await this.bot.sendMessage(notification.chat_id, notification.message, JSON.parse(notification.options || '{}'));
+                await database.recordNotificationAttempt(notification.id, 'sent', null);
+                result.sent++;
+            } catch (error) {
+                const retryAfter = this.retryAfterSeconds(error);
+                if (retryAfter !== null) {
+                    // Telegram asks every sender to back off, so stop for this round
+                    await database.recordNotificationAttempt(notification.id, 'pending', error.message, retryAfter);
+                    break;
+                }
+
+                const attempts = notification.attempts + 1;
+                if (broadcastManager.isBlockedError(error)) {
+                    await this.markBlocked(notification.chat_id);
+                    await database.recordNotificationAttempt(notification.id, 'failed', error.message);
+                } else if (attempts >= NOTIFICATION_MAX_ATTEMPTS) {
+                    console.error(`❌ Giving up on notification ${notification.id} to ${notification.chat_id}: ${error.message}`);
+                    await database.recordNotificationAttempt(notification.id, 'failed', error.message);
+                } else {
+                    await database.recordNotificationAttempt(notification.id, 'pending', error.message, 60 * 2 ** notification.attempts);
+                }
+                result.failed++;
+            }
+        }
+
+        return result;
+    }
+
+    // The user blocked the bot or deleted their account; skip them until they come back
+    async markBlocked(chatId) {
+        try {
+            this.lastSeenWrites.delete(chatId);
+            await database.setUserActive(chatId, false);
+        } catch (error) {
+            console.error(`Error marking ${chatId} as blocked:`, error);
+        }
+    }
+
+    async sendBroadcastMessage(chatId, content) {
+        if (content.photoFileId) {
+            await this.bot.sendPhoto(chatId, content.photoFileId, {
+                caption: content.text || undefined,
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        await this.bot.sendMessage(chatId, content.text, { parse_mode: 'Markdown' });
+    }
+
+    // One broadcast message, waiting out rate limits. Returns { status, error } where status
+    // is 'delivered', 'blocked' or 'failed'.
+    async sendBroadcastTo(chatId, content) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.sendBroadcastMessage(chatId, content);
+                return { status: 'delivered' };
+            } catch (error) {
+                const retryAfter = this.retryAfterSeconds(error);
+                if (retryAfter !== null && attempt < BROADCAST_MAX_ATTEMPTS) {
+                    console.warn(`⏳ Telegram rate limit during broadcast, pausing ${retryAfter}s`);
+                    await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+                    continue;
+                }
+
+                if (broadcastManager.isBlockedError(error)) {
+                    await this.markBlocked(chatId);
+                    return { status: 'blocked' };
+                }
+                return { status: 'failed', error: error.message };
+            }
+        }
+    }
+
+    // Send a stored broadcast to every user in its segment, paced under Telegram's global
+    // limit. Counts are saved as it goes; returns the finished broadcast row.
+    async broadcast(broadcastId) {
+        const counts = { delivered: 0, failed: 0, blocked: 0, lastError: null };
+
+        if (this.activeBroadcast) {
+            counts.lastError = `Broadcast #${this.activeBroadcast} was still sending`;
+            await database.updateBroadcast(broadcastId, 'interrupted', counts);
+            throw new Error(counts.lastError);
+        }
+        this.activeBroadcast = broadcastId;
+        let started = false;
+
+        try {
+            const broadcast = await database.getBroadcast(broadcastId);
+            if (!broadcast || broadcast.status !== 'sending') {
+                throw new Error(`Broadcast #${broadcastId} is not waiting to be sent`);
+            }
+            started = true;
+
+            console.log(`📣 Sending broadcast #${broadcastId} to ${broadcast.total} users`);
+            const content = { text: broadcast.message || '', photoFileId: broadcast.photo_file_id };
+            const interval = 1000 / broadcastManager.ratePerSecond;
+            let nextSendAt = Date.now();
+            let sent = 0;
+            let afterId = 0;
+
+            for (;;) {
+                const recipients = await broadcastManager.recipients(broadcast, afterId);
+                if (recipients.length === 0) {
+                    break;
+                }
+
+                for (const recipient of recipients) {
+                    const wait = nextSendAt - Date.now();
+                    if (wait > 0) {
+                        await new Promise(resolve => setTimeout(resolve, wait));
+                    }
+
+                    const outcome = await this.sendBroadcastTo(recipient.telegram_id, content);
+                    nextSendAt = Date.now() + interval;
+                    counts[outcome.status]++;
+                    if (outcome.error) {
+                        counts.lastError = outcome.error;
+                    }
+
+                    if (++sent % broadcastManager.progressEvery === 0) {
+                        await database.updateBroadcast(broadcastId, 'sending', counts);
+                    }
+                }
+
+                afterId = recipients[recipients.length - 1].id;
+            }
+
+            await database.updateBroadcast(broadcastId, 'completed', counts);
+            console.log(`📣 Broadcast #${broadcastId} finished: ${counts.delivered} delivered, ${counts.failed} failed, ${counts.blocked} blocked`);
+            return await database.getBroadcast(broadcastId);
+
+        } catch (error) {
+            if (started) {
+                counts.lastError = error.message;
+                await database.updateBroadcast(broadcastId, 'interrupted', counts).catch(() => {});
+            }
+            throw error;
+        } finally {
+            this.activeBroadcast = null;
         }
     }
 }
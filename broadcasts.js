@@ -0,0 +1,99 @@
+const database = require('./db');
+require('dotenv').config();
+
+// Telegram allows about 30 messages per second across all chats; stay below it
+const MAX_RATE_PER_SECOND = 30;
+
+const SEGMENTS = {
+    all: 'All users',
+    depositors: 'Users with deposits',
+    active: 'Active users'
+};
+
+// Captions on photos are much shorter than text messages
+const MAX_TEXT_LENGTH = 4096;
+const MAX_CAPTION_LENGTH = 1024;
+
+class BroadcastManager {
+    constructor() {
+        this.segments = SEGMENTS;
+        this.ratePerSecond = Math.min(parseInt(process.env.BROADCAST_RATE_PER_SECOND) || 25, MAX_RATE_PER_SECOND);
+        this.pageSize = 500;
+        this.progressEvery = 100;
+    }
+
+    // "all" (default), "depositors" or "active <days>" (30 when omitted)
+    parseSegment(text) {
+        const [name = 'all', daysText] = String(text || '').trim().toLowerCase().split(/[\s:]+/).filter(Boolean);
+        if (!SEGMENTS[name]) {
+            throw new Error(`Unknown segment ${name}. Use all, depositors or active <days>`);
+        }
+
+        if (name !== 'active') {
+            return { segment: name, days: null };
+        }
+
+        const days = daysText === undefined ? 30 : Number(daysText);
+        if (!Number.isInteger(days) || days < 1 || days > 365) {
+            throw new Error('Active segment needs a number of days between 1 and 365');
+        }
+        return { segment: name, days };
+    }
+
+    describeSegment(segment, days) {
+        return segment === 'active' ? `${SEGMENTS.active} (last ${days} days)` : SEGMENTS[segment];
+    }
+
+    // Message content from an admin's Telegram message: text, or a photo with an optional caption
+    parseContent(msg) {
+        if (msg.photo && msg.photo.length > 0) {
+            const caption = msg.caption || '';
+            if (caption.length > MAX_CAPTION_LENGTH) {
+                throw new Error(`Photo captions are limited to ${MAX_CAPTION_LENGTH} characters`);
+            }
+            // Telegram lists photo sizes smallest first
+            return { text: caption, photoFileId: msg.photo[msg.photo.length - 1].file_id };
+        }
+
+        const text = (msg.text || '').trim();
+        if (!text) {
+            throw new Error('Send some text, or a photo with an optional caption');
+        }
+        if (text.length > MAX_TEXT_LENGTH) {
+            throw new Error(`Messages are limited to ${MAX_TEXT_LENGTH} characters`);
+        }
+        return { text, photoFileId: null };
+    }
+
+    async countRecipients(segment, days) {
+        return await database.countBroadcastRecipients(segment, days);
+    }
+
+    async create(createdBy, content, segment, days) {
+        const total = await this.countRecipients(segment, days);
+        const id = await database.createBroadcast(createdBy, content.text, content.photoFileId, segment, days, total);
+        return { id, total };
+    }
+
+    async recipients(broadcast, afterId) {
+        return await database.getBroadcastRecipients(broadcast.segment, broadcast.segment_days, afterId, this.pageSize);
+    }
+
+    // Users who blocked the bot or deleted their account answer with 403
+    isBlockedError(error) {
+        return Boolean(error.response && error.response.statusCode === 403);
+    }
+
+    async list(limit = 10) {
+        return await database.getBroadcasts(limit);
+    }
+
+    // Broadcasts cut short by a restart keep their counts but are not resumed
+    async recoverInterrupted() {
+        return await database.interruptSendingBroadcasts();
+    }
+}
+
+// Export singleton instance
+const broadcastManager = new BroadcastManager();
+module.exports = broadcastManager;
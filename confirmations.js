@@ -0,0 +1,195 @@
+const database = require('./db');
+const walletManager = require('./wallet');
+const { TRX_DECIMALS, fromBaseUnits, compareAmounts } = require('./amounts');
+require('dotenv').config();
+
+// Receipt results that mean the transaction was included but failed
+const FAILED_RESULTS = ['REVERT', 'OUT_OF_ENERGY', 'OUT_OF_TIME', 'BAD_JUMP_DESTINATION', 'STACK_TOO_SMALL', 'STACK_TOO_LARGE', 'ILLEGAL_OPERATION', 'STACK_OVERFLOW', 'TRANSFER_FAILED', 'UNKNOWN'];
+
+class ConfirmationTracker {
+    constructor() {
+        this.confirmationDepth = walletManager.confirmationDepth;
+        this.timeoutMinutes = parseInt(process.env.CONFIRMATION_TIMEOUT_MINUTES) || 60;
+        this.isChecking = false;
+        this.trackerStats = {
+            lastCheckTime: null,
+            confirmed: 0,
+            failed: 0,
+            errors: 0
+        };
+    }
+
+    // Check every pending transaction and return the ones whose status changed
+    async checkPending() {
+        if (this.isChecking) {
+            console.log('⏭️  Confirmation check already running, skipping');
+            return [];
+        }
+
+        this.isChecking = true;
+        const changes = [];
+
+        try {
+            const pending = await database.getPendingTransactions();
+            if (pending.length === 0) {
+                return changes;
+            }
+
+            const latestBlock = await walletManager.getCurrentBlockNumber();
+
+            for (const tx of pending) {
+                try {
+                    const change = await this.checkTransaction(tx, latestBlock);
+                    if (change) {
+                        changes.push(change);
+                    }
+                } catch (error) {
+                    console.error(`❌ Error checking transaction ${tx.tx_hash}:`, error);
+                    this.trackerStats.errors++;
+                }
+            }
+
+            return changes;
+
+        } catch (error) {
+            console.error('❌ Error checking pending transactions:', error);
+            this.trackerStats.errors++;
+            return changes;
+        } finally {
+            this.trackerStats.lastCheckTime = new Date().toISOString();
+            this.isChecking = false;
+        }
+    }
+
+    // Resolve a single pending transaction, returning its new status or null if unchanged.
+    // A failed lookup throws, leaving the transaction for the next round.
+    async checkTransaction(tx, latestBlock) {
+        const txInfo = await walletManager.getTransactionInfo(tx.tx_hash);
+
+        // The node answered that it is not in a block; give up once it has clearly expired
+        if (!txInfo || !txInfo.blockNumber) {
+            const ageMinutes = (Date.now() - new Date(tx.timestamp).getTime()) / 60000;
+            if (ageMinutes > this.timeoutMinutes) {
+                return await this.settle(tx, 'failed', tx.block_number, null, null, 'Not found on chain');
+            }
+            return null;
+        }
+
+        const receipt = txInfo.receipt || {};
+        const energyUsed = receipt.energy_usage_total || 0;
+        const fee = fromBaseUnits(BigInt(txInfo.fee || 0), TRX_DECIMALS);
+
+        if (txInfo.result === 'FAILED' || FAILED_RESULTS.includes(receipt.result)) {
+            return await this.settle(tx, 'failed', txInfo.blockNumber, energyUsed, fee, receipt.result || txInfo.resMessage || 'FAILED');
+        }
+
+        if (latestBlock - txInfo.blockNumber >= this.confirmationDepth) {
+            return await this.settle(tx, 'confirmed', txInfo.blockNumber, energyUsed, fee);
+        }
+
+        return null;
+    }
+
+    // Persist the final status together with the ledger entries it implies
+    async settle(tx, status, blockNumber, energyUsed, fee, reason = null) {
+        const token = await walletManager.getTokenSymbol(tx.token_contract);
+        const journalEntries = this.buildJournalEntries(tx, status, fee, token);
+
+        const settled = await database.settleTransaction(tx.tx_hash, status, blockNumber, energyUsed, fee, journalEntries);
+        if (!settled) {
+            return null;
+        }
+
+        if (status === 'confirmed') {
+            this.trackerStats.confirmed++;
+        } else {
+            this.trackerStats.failed++;
+        }
+
+        return { transaction: tx, status, reason, blockNumber };
+    }
+
+    // Ledger entries for a settled transaction: confirmed deposits credit the owner, sweeps and
+    // gas funding move funds between house wallets, failed withdrawals are reversed, and any
+    // TRX burned is booked to network fees against the wallet that paid it.
+    buildJournalEntries(tx, status, fee, token) {
+        const { USER, DEPOSIT_WALLETS, MASTER_WALLET, NETWORK_FEES } = database.ledgerAccounts;
+        const entries = [];
+
+        if (tx.tx_type === 'deposit' && status === 'confirmed' && tx.user_id) {
+            entries.push({
+                type: 'deposit',
+                reference: tx.tx_hash,
+                txHash: tx.tx_hash,
+                description: `Deposit to ${tx.to_address}`,
+                lines: [
+                    { account: DEPOSIT_WALLETS, token, debit: tx.amount },
+                    { account: USER, userId: tx.user_id, token, credit: tx.amount }
+                ]
+            });
+        }
+
+        if (tx.tx_type === 'sweep' && status === 'confirmed') {
+            entries.push({
+                type: 'sweep',
+                reference: tx.tx_hash,
+                txHash: tx.tx_hash,
+                description: `Sweep from ${tx.from_address}`,
+                lines: [
+                    { account: MASTER_WALLET, token, debit: tx.amount },
+                    { account: DEPOSIT_WALLETS, token, credit: tx.amount }
+                ]
+            });
+        }
+
+        if (tx.tx_type === 'gas_funding' && status === 'confirmed') {
+            entries.push({
+                type: 'gas_funding',
+                reference: tx.tx_hash,
+                txHash: tx.tx_hash,
+                description: `Gas funding to ${tx.to_address}`,
+                lines: [
+                    { account: DEPOSIT_WALLETS, token: 'TRX', debit: tx.amount },
+                    { account: MASTER_WALLET, token: 'TRX', credit: tx.amount }
+                ]
+            });
+        }
+
+        if (tx.tx_type === 'withdrawal' && status === 'failed' && tx.user_id) {
+            entries.push({
+                type: 'adjustment',
+                reference: `reversal:${tx.tx_hash}`,
+                txHash: tx.tx_hash,
+                description: `Reversal of failed withdrawal to ${tx.to_address}`,
+                lines: [
+                    { account: MASTER_WALLET, token, debit: tx.amount },
+                    { account: USER, userId: tx.user_id, token, credit: tx.amount }
+                ]
+            });
+        }
+
+        // Deposit fees are paid by the sender, outside our wallets
+        if (fee && compareAmounts(fee, 0) > 0 && tx.tx_type !== 'deposit') {
+            entries.push({
+                type: 'fee',
+                reference: tx.tx_hash,
+                txHash: tx.tx_hash,
+                description: `Network fee for ${tx.tx_type}`,
+                lines: [
+                    { account: NETWORK_FEES, token: 'TRX', debit: fee },
+                    { account: tx.tx_type === 'sweep' ? DEPOSIT_WALLETS : MASTER_WALLET, token: 'TRX', credit: fee }
+                ]
+            });
+        }
+
+        return entries;
+    }
+
+    getStats() {
+        return { ...this.trackerStats, confirmationDepth: this.confirmationDepth, isChecking: this.isChecking };
+    }
+}
+
+// Export singleton instance
+const confirmationTracker = new ConfirmationTracker();
+module.exports = confirmationTracker;
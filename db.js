@@ -1,4 +1,5 @@
 const mysql = require('mysql2/promise');
+const { MAX_DECIMALS, toBaseUnits, fromBaseUnits, normalizeAmount } = require('./amounts');
 require('dotenv').config();
 
 // Database connection configuration
@@ -19,10 +20,52 @@ const dbConfig = {
 // Create connection pool
 const pool = mysql.createPool(dbConfig);
 
+// Amount columns and the rest of their definitions, stored as DECIMAL(40, 18)
+const WIDE_AMOUNT_COLUMNS = [
+    ['addresses', 'last_balance', 'DEFAULT 0'],
+    ['addresses', 'total_received', 'DEFAULT 0'],
+    ['transactions', 'amount', 'NOT NULL'],
+    ['transactions', 'fee', 'NULL'],
+    ['master_wallet', 'current_balance', 'DEFAULT 0'],
+    ['master_wallet', 'total_received', 'DEFAULT 0'],
+    ['tokens', 'min_sweep_amount', 'NOT NULL DEFAULT 1'],
+    ['journal_lines', 'debit', 'NOT NULL DEFAULT 0'],
+    ['journal_lines', 'credit', 'NOT NULL DEFAULT 0'],
+    ['user_balances', 'balance', 'NOT NULL DEFAULT 0']
+];
+
+// system_settings key holding the next HD derivation index
+const DERIVATION_SEQUENCE_KEY = 'next_derivation_index';
+
+// system_settings key holding the hash of the newest audit log entry, and the hash the
+// first entry chains to
+const AUDIT_HEAD_KEY = 'audit_log_head';
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+// system_settings key set once admin_audit_log rows have been copied into audit_log
+const LEGACY_ADMIN_AUDIT_KEY = 'admin_audit_log_imported';
+
+// Columns of notification_preferences that callers may change
+const NOTIFICATION_PREFERENCE_COLUMNS = [
+    'deposit_alerts', 'sweep_alerts', 'withdrawal_alerts', 'min_amount', 'quiet_start', 'quiet_end', 'timezone', 'language'
+];
+
+// Ledger accounts. User and equity balances are credit-normal, the rest debit-normal.
+const LEDGER_ACCOUNTS = {
+    USER: 'user',                       // What the service owes each user
+    DEPOSIT_WALLETS: 'deposit_wallets', // Funds sitting on generated addresses
+    MASTER_WALLET: 'master_wallet',     // Funds held by the master wallet
+    NETWORK_FEES: 'network_fees',       // TRX burned for energy and bandwidth
+    EQUITY: 'equity'                    // Manual adjustments and corrections
+};
+
 class Database {
     constructor() {
         this.pool = pool;
-        this.initializeTables();
+        this.ledgerAccounts = LEDGER_ACCOUNTS;
+        this.auditGenesisHash = AUDIT_GENESIS_HASH;
+        this.auditHeadKey = AUDIT_HEAD_KEY;
+        this.ready = this.initializeTables();
     }
 
     // Initialize database tables
@@ -39,6 +82,9 @@ class Database {
                     first_name VARCHAR(255),
                     last_name VARCHAR(255),
                     is_admin BOOLEAN DEFAULT FALSE,
+                    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+                    is_disabled BOOLEAN NOT NULL DEFAULT FALSE,
+                    last_seen_at TIMESTAMP NULL,
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                     INDEX idx_telegram_id (telegram_id)
@@ -51,12 +97,15 @@ class Database {
                     id INT AUTO_INCREMENT PRIMARY KEY,
                     user_id INT NOT NULL,
                     address VARCHAR(255) UNIQUE NOT NULL,
-                    private_key_encrypted TEXT NOT NULL,
+                    private_key_encrypted TEXT,
+                    key_version INT DEFAULT 0,
                     derivation_index INT NOT NULL,
                     label VARCHAR(255),
                     is_active BOOLEAN DEFAULT TRUE,
-                    last_balance DECIMAL(20, 6) DEFAULT 0,
-                    total_received DECIMAL(20, 6) DEFAULT 0,
+                    last_balance DECIMAL(40, 18) DEFAULT 0,
+                    total_received DECIMAL(40, 18) DEFAULT 0,
+                    last_activity_at TIMESTAMP NULL,
+                    balance_checked_at TIMESTAMP NULL,
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
@@ -70,20 +119,23 @@ class Database {
             await connection.execute(`
                 CREATE TABLE IF NOT EXISTS transactions (
                     id INT AUTO_INCREMENT PRIMARY KEY,
-                    address_id INT NOT NULL,
+                    address_id INT,
+                    user_id INT,
                     tx_hash VARCHAR(255) UNIQUE NOT NULL,
                     from_address VARCHAR(255) NOT NULL,
                     to_address VARCHAR(255) NOT NULL,
-                    amount DECIMAL(20, 6) NOT NULL,
+                    amount DECIMAL(40, 18) NOT NULL,
                     token_contract VARCHAR(255),
-                    tx_type ENUM('deposit', 'sweep', 'withdrawal') NOT NULL,
+                    tx_type ENUM('deposit', 'sweep', 'withdrawal', 'gas_funding') NOT NULL,
                     status ENUM('pending', 'confirmed', 'failed') DEFAULT 'pending',
                     block_number BIGINT,
                     gas_used INT,
                     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     FOREIGN KEY (address_id) REFERENCES addresses(id) ON DELETE CASCADE,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
                     INDEX idx_tx_hash (tx_hash),
                     INDEX idx_address_id (address_id),
+                    INDEX idx_tx_user_id (user_id),
                     INDEX idx_status (status),
                     INDEX idx_timestamp (timestamp)
                 )
@@ -94,8 +146,8 @@ class Database {
                 CREATE TABLE IF NOT EXISTS master_wallet (
                     id INT AUTO_INCREMENT PRIMARY KEY,
                     address VARCHAR(255) UNIQUE NOT NULL,
-                    current_balance DECIMAL(20, 6) DEFAULT 0,
-                    total_received DECIMAL(20, 6) DEFAULT 0,
+                    current_balance DECIMAL(40, 18) DEFAULT 0,
+                    total_received DECIMAL(40, 18) DEFAULT 0,
                     last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
                 )
@@ -112,6 +164,309 @@ class Database {
                 )
             `);
 
+            // Accepted TRC20 tokens; TRX is native and not listed here
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS tokens (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    contract_address VARCHAR(255) UNIQUE NOT NULL,
+                    symbol VARCHAR(20) UNIQUE NOT NULL,
+                    decimals TINYINT UNSIGNED NOT NULL,
+                    min_sweep_amount DECIMAL(40, 18) NOT NULL DEFAULT 1,
+                    is_enabled BOOLEAN DEFAULT TRUE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Seed USDT from the environment so existing installs keep working
+            if (process.env.USDT_CONTRACT_ADDRESS) {
+                await connection.execute(
+                    'INSERT IGNORE INTO tokens (contract_address, symbol, decimals, min_sweep_amount) VALUES (?, ?, ?, ?)',
+                    [process.env.USDT_CONTRACT_ADDRESS, 'USDT', 6, normalizeAmount(process.env.MIN_SWEEP_AMOUNT || '1')]
+                );
+            }
+
+            // Ledger journal: every balance change is an entry whose lines balance per token
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS journal_entries (
+                    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                    entry_type ENUM('deposit', 'sweep', 'gas_funding', 'withdrawal', 'fee', 'adjustment') NOT NULL,
+                    reference VARCHAR(255) NOT NULL,
+                    tx_hash VARCHAR(255),
+                    description VARCHAR(255),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE KEY uniq_entry_reference (entry_type, reference),
+                    INDEX idx_journal_tx_hash (tx_hash)
+                )
+            `);
+
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS journal_lines (
+                    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                    entry_id BIGINT NOT NULL,
+                    account VARCHAR(64) NOT NULL,
+                    user_id INT,
+                    token VARCHAR(20) NOT NULL,
+                    debit DECIMAL(40, 18) NOT NULL DEFAULT 0,
+                    credit DECIMAL(40, 18) NOT NULL DEFAULT 0,
+                    FOREIGN KEY (entry_id) REFERENCES journal_entries(id),
+                    FOREIGN KEY (user_id) REFERENCES users(id),
+                    INDEX idx_lines_account (account, token),
+                    INDEX idx_lines_user (user_id, token)
+                )
+            `);
+
+            // Per-user balances derived from user lines in the journal
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS user_balances (
+                    user_id INT NOT NULL,
+                    token VARCHAR(20) NOT NULL,
+                    balance DECIMAL(40, 18) NOT NULL DEFAULT 0,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, token),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            // Deposits received by each address per token, TRX included. Filled from the
+            // recorded deposits when the table is first created.
+            const hadReceivedTotals = await this.tableExists(connection, 'address_received_totals');
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS address_received_totals (
+                    address_id INT NOT NULL,
+                    token VARCHAR(20) NOT NULL,
+                    total_received DECIMAL(40, 18) NOT NULL DEFAULT 0,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    PRIMARY KEY (address_id, token),
+                    FOREIGN KEY (address_id) REFERENCES addresses(id) ON DELETE CASCADE
+                )
+            `);
+            if (!hadReceivedTotals) {
+                const [backfill] = await connection.execute(`
+                    INSERT INTO address_received_totals (address_id, token, total_received)
+                    SELECT t.address_id, COALESCE(k.symbol, 'TRX'), SUM(t.amount)
+                    FROM transactions t
+                    LEFT JOIN tokens k ON k.contract_address = t.token_contract
+                    WHERE t.tx_type = 'deposit' AND t.address_id IS NOT NULL
+                      AND (t.token_contract IS NULL OR k.symbol IS NOT NULL)
+                    GROUP BY t.address_id, COALESCE(k.symbol, 'TRX')
+                `);
+                if (backfill.affectedRows > 0) {
+                    console.log(`🔧 Filled address_received_totals with ${backfill.affectedRows} totals`);
+                }
+            }
+
+            // REST API keys; only a SHA-256 hash of each key is stored
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS api_keys (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    key_prefix VARCHAR(32) UNIQUE NOT NULL,
+                    key_hash CHAR(64) UNIQUE NOT NULL,
+                    scopes VARCHAR(255) NOT NULL,
+                    rate_limit_per_minute INT NOT NULL DEFAULT 60,
+                    created_by BIGINT,
+                    last_used_at TIMESTAMP NULL,
+                    revoked_at TIMESTAMP NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Merchant webhook endpoints; user_id limits an endpoint to one user's events
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS webhook_endpoints (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    url VARCHAR(2048) NOT NULL,
+                    secret VARCHAR(128) NOT NULL,
+                    events VARCHAR(255) NOT NULL DEFAULT '*',
+                    user_id INT,
+                    api_key_id INT,
+                    is_active BOOLEAN DEFAULT TRUE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (api_key_id) REFERENCES api_keys(id)
+                )
+            `);
+
+            // One row per event and endpoint; retried until delivered or out of attempts
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                    endpoint_id INT NOT NULL,
+                    event_id CHAR(36) NOT NULL,
+                    event_type VARCHAR(64) NOT NULL,
+                    payload TEXT NOT NULL,
+                    status ENUM('pending', 'delivered', 'failed') DEFAULT 'pending',
+                    attempts INT NOT NULL DEFAULT 0,
+                    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    last_status_code INT,
+                    last_error VARCHAR(512),
+                    delivered_at TIMESTAMP NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+                    UNIQUE KEY uniq_delivery_event (endpoint_id, event_id),
+                    INDEX idx_deliveries_due (status, next_attempt_at)
+                )
+            `);
+
+            // Nonces of accepted inbound webhooks, to reject replays
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS inbound_webhook_nonces (
+                    nonce VARCHAR(128) PRIMARY KEY,
+                    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_nonces_received (received_at)
+                )
+            `);
+
+            // Payment requests, each with its own deposit address
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS invoices (
+                    id CHAR(36) PRIMARY KEY,
+                    user_id INT NOT NULL,
+                    address_id INT UNIQUE NOT NULL,
+                    token VARCHAR(20) NOT NULL,
+                    amount_expected DECIMAL(40, 18) NOT NULL,
+                    amount_received DECIMAL(40, 18) NOT NULL DEFAULT 0,
+                    status ENUM('pending', 'partially_paid', 'paid', 'overpaid', 'expired') DEFAULT 'pending',
+                    description VARCHAR(255),
+                    api_key_id INT,
+                    expires_at TIMESTAMP NOT NULL,
+                    paid_at TIMESTAMP NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (address_id) REFERENCES addresses(id) ON DELETE CASCADE,
+                    INDEX idx_invoices_user (user_id),
+                    INDEX idx_invoices_expiry (status, expires_at)
+                )
+            `);
+
+            // Sweep queue: one job per address sweep, leased by a worker while it runs.
+            // open_address_id is only set while a job is queued or running, so an address
+            // never has two open jobs.
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS sweep_jobs (
+                    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                    address_id INT NOT NULL,
+                    open_address_id INT,
+                    source VARCHAR(32) NOT NULL DEFAULT 'cron',
+                    status ENUM('queued', 'running', 'completed', 'failed') DEFAULT 'queued',
+                    attempts INT NOT NULL DEFAULT 0,
+                    max_attempts INT NOT NULL DEFAULT 3,
+                    run_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    lease_owner VARCHAR(128),
+                    lease_expires_at TIMESTAMP NULL,
+                    last_error VARCHAR(512),
+                    result TEXT,
+                    started_at TIMESTAMP NULL,
+                    finished_at TIMESTAMP NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (address_id) REFERENCES addresses(id) ON DELETE CASCADE,
+                    UNIQUE KEY uniq_sweep_open_address (open_address_id),
+                    INDEX idx_sweep_jobs_due (status, run_after),
+                    INDEX idx_sweep_jobs_finished (status, finished_at)
+                )
+            `);
+
+            // Per-user alert preferences; users without a row get the defaults
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS notification_preferences (
+                    user_id INT PRIMARY KEY,
+                    deposit_alerts BOOLEAN NOT NULL DEFAULT TRUE,
+                    sweep_alerts BOOLEAN NOT NULL DEFAULT TRUE,
+                    withdrawal_alerts BOOLEAN NOT NULL DEFAULT TRUE,
+                    min_amount DECIMAL(40, 18) NOT NULL DEFAULT 0,
+                    quiet_start TINYINT,
+                    quiet_end TINYINT,
+                    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+                    language VARCHAR(8) NOT NULL DEFAULT 'en',
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            // Telegram messages held back by quiet hours or a rate limit
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS notification_queue (
+                    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                    chat_id BIGINT NOT NULL,
+                    message TEXT NOT NULL,
+                    options TEXT,
+                    status ENUM('pending', 'sent', 'failed') DEFAULT 'pending',
+                    attempts INT NOT NULL DEFAULT 0,
+                    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    last_error VARCHAR(512),
+                    sent_at TIMESTAMP NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_notification_queue_due (status, next_attempt_at)
+                )
+            `);
+
+            // Admin broadcasts and their delivery counts
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS broadcasts (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    created_by BIGINT NOT NULL,
+                    message TEXT,
+                    photo_file_id VARCHAR(255),
+                    segment ENUM('all', 'depositors', 'active') NOT NULL DEFAULT 'all',
+                    segment_days INT,
+                    status ENUM('sending', 'completed', 'interrupted') DEFAULT 'sending',
+                    total INT NOT NULL DEFAULT 0,
+                    delivered INT NOT NULL DEFAULT 0,
+                    failed INT NOT NULL DEFAULT 0,
+                    blocked INT NOT NULL DEFAULT 0,
+                    last_error VARCHAR(512),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    finished_at TIMESTAMP NULL,
+                    INDEX idx_broadcasts_created (created_at)
+                )
+            `);
+
+            // Append-only, hash-chained record of sensitive operations
+            await connection.execute(`
+                CREATE TABLE IF NOT EXISTS audit_log (
+                    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                    actor VARCHAR(128) NOT NULL,
+                    channel ENUM('bot', 'api', 'cron', 'system') NOT NULL,
+                    action VARCHAR(64) NOT NULL,
+                    target VARCHAR(255),
+                    parameters TEXT,
+                    outcome ENUM('success', 'failure') NOT NULL,
+                    error VARCHAR(512),
+                    prev_hash CHAR(64) NOT NULL,
+                    hash CHAR(64) NOT NULL,
+                    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_audit_action (action, id),
+                    INDEX idx_audit_actor (actor, id)
+                )
+            `);
+            await this.ensureAppendOnly(connection, 'audit_log');
+
+            // Schema upgrades for tables created by earlier versions
+            await this.ensureColumn(connection, 'transactions', 'fee', 'DECIMAL(40, 18) AFTER gas_used');
+            await this.ensureEnumValue(connection, 'transactions', 'tx_type', 'gas_funding', "ENUM('deposit', 'sweep', 'withdrawal', 'gas_funding') NOT NULL");
+            // Withdrawals belong to a user rather than a deposit address
+            await this.ensureColumn(connection, 'transactions', 'user_id', 'INT AFTER address_id, ADD INDEX idx_tx_user_id (user_id), ADD FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE');
+            await this.ensureNullable(connection, 'transactions', 'address_id', 'INT');
+            // Sweeps only re-check addresses with activity since their last balance check
+            await this.ensureColumn(connection, 'addresses', 'last_activity_at', 'TIMESTAMP NULL AFTER total_received');
+            await this.ensureColumn(connection, 'addresses', 'balance_checked_at', 'TIMESTAMP NULL AFTER last_activity_at');
+            // Version of the encryption key each private key is stored under (0 = legacy CryptoJS)
+            await this.ensureColumn(connection, 'addresses', 'key_version', 'INT NOT NULL DEFAULT 0 AFTER private_key_encrypted');
+            // Addresses whose keys are derived on demand store neither
+            await this.ensureNullable(connection, 'addresses', 'private_key_encrypted', 'TEXT');
+            await this.ensureNullable(connection, 'addresses', 'key_version', 'INT DEFAULT 0');
+            // Users who blocked the bot are skipped until they talk to it again
+            await this.ensureColumn(connection, 'users', 'is_active', 'BOOLEAN NOT NULL DEFAULT TRUE AFTER is_admin');
+            await this.ensureColumn(connection, 'users', 'last_seen_at', 'TIMESTAMP NULL AFTER is_active');
+            // Accounts switched off by an admin
+            await this.ensureColumn(connection, 'users', 'is_disabled', 'BOOLEAN NOT NULL DEFAULT FALSE AFTER is_active');
+            // Amounts widened from DECIMAL(20, 6) so 18-decimal tokens are stored exactly
+            for (const [table, column, definition] of WIDE_AMOUNT_COLUMNS) {
+                await this.ensureColumnType(connection, table, column, 'decimal(40,18)', `DECIMAL(40, 18) ${definition}`);
+            }
+
             connection.release();
             console.log('✅ Database tables initialized successfully');
 
@@ -121,6 +476,90 @@ class Database {
         }
     }
 
+    async tableExists(connection, table) {
+        const [rows] = await connection.execute(
+            'SELECT COUNT(*) as count FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+            [table]
+        );
+        return rows[0].count > 0;
+    }
+
+    // Add a column to an existing table if it is missing
+    async ensureColumn(connection, table, column, definition) {
+        const [rows] = await connection.execute(
+            'SELECT COUNT(*) as count FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+            [table, column]
+        );
+
+        if (rows[0].count === 0) {
+            await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            console.log(`🔧 Added column ${table}.${column}`);
+        }
+    }
+
+    // Widen an ENUM column on an existing table if it lacks a value
+    async ensureEnumValue(connection, table, column, value, definition) {
+        const [rows] = await connection.execute(
+            'SELECT COLUMN_TYPE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+            [table, column]
+        );
+
+        if (rows[0] && !rows[0].COLUMN_TYPE.includes(`'${value}'`)) {
+            await connection.execute(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+            console.log(`🔧 Added '${value}' to ${table}.${column}`);
+        }
+    }
+
+    // Change a column's type on an existing table if it differs
+    async ensureColumnType(connection, table, column, columnType, definition) {
+        const [rows] = await connection.execute(
+            'SELECT COLUMN_TYPE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+            [table, column]
+        );
+
+        if (rows[0] && rows[0].COLUMN_TYPE !== columnType) {
+            await connection.execute(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+            console.log(`🔧 Changed ${table}.${column} to ${columnType}`);
+        }
+    }
+
+    // Drop NOT NULL from a column on an existing table
+    async ensureNullable(connection, table, column, definition) {
+        const [rows] = await connection.execute(
+            'SELECT IS_NULLABLE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+            [table, column]
+        );
+
+        if (rows[0] && rows[0].IS_NULLABLE === 'NO') {
+            await connection.execute(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition} NULL`);
+            console.log(`🔧 Made ${table}.${column} nullable`);
+        }
+    }
+
+    // Reject UPDATE and DELETE on a table. Creating triggers needs the TRIGGER privilege;
+    // without it the hash chain still shows tampering, it just cannot prevent it.
+    async ensureAppendOnly(connection, table) {
+        for (const operation of ['UPDATE', 'DELETE']) {
+            const name = `${table}_no_${operation.toLowerCase()}`;
+            const [rows] = await connection.execute(
+                'SELECT TRIGGER_NAME FROM information_schema.TRIGGERS WHERE TRIGGER_SCHEMA = DATABASE() AND TRIGGER_NAME = ?',
+                [name]
+            );
+            if (rows.length > 0) {
+                continue;
+            }
+
+            try {
+                await connection.query(
+                    `CREATE TRIGGER ${name} BEFORE ${operation} ON ${table} FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = '${table} is append-only'`
+                );
+                console.log(`🔧 Created trigger ${name}`);
+            } catch (error) {
+                console.warn(`⚠️  Could not create trigger ${name}: ${error.message}`);
+            }
+        }
+    }
+
     // Get database connection
     async getConnection() {
         return await this.pool.getConnection();
@@ -153,142 +592,1999 @@ class Database {
         }
     }
 
-    // Address operations
-    async createAddress(userId, address, encryptedPrivateKey, derivationIndex, label = null) {
+    async getUserById(id) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM users WHERE id = ?',
+                [id]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error getting user:', error);
+            throw error;
+        }
+    }
+
+    // Record that a user talked to the bot; this also re-activates users who had blocked it
+    async touchUser(telegramId) {
+        try {
+            await this.pool.execute(
+                'UPDATE users SET last_seen_at = NOW(), is_active = TRUE WHERE telegram_id = ?',
+                [telegramId]
+            );
+        } catch (error) {
+            console.error('Error updating user activity:', error);
+            throw error;
+        }
+    }
+
+    async setUserActive(telegramId, active) {
         try {
             const [result] = await this.pool.execute(
-                'INSERT INTO addresses (user_id, address, private_key_encrypted, derivation_index, label) VALUES (?, ?, ?, ?, ?)',
-                [userId, address, encryptedPrivateKey, derivationIndex, label]
+                'UPDATE users SET is_active = ? WHERE telegram_id = ?',
+                [active, telegramId]
             );
-            return result.insertId;
+            return result.affectedRows > 0;
         } catch (error) {
-            console.error('Error creating address:', error);
+            console.error('Error updating user status:', error);
             throw error;
         }
     }
 
-    async getUserAddresses(userId) {
+    async setUserDisabled(userId, disabled) {
         try {
-            const [rows] = await this.pool.execute(
-                'SELECT * FROM addresses WHERE user_id = ? AND is_active = TRUE ORDER BY created_at DESC',
-                [userId]
+            await this.pool.execute(
+                'UPDATE users SET is_disabled = ? WHERE id = ?',
+                [disabled, userId]
             );
-            return rows;
         } catch (error) {
-            console.error('Error getting user addresses:', error);
+            console.error('Error updating user status:', error);
             throw error;
         }
     }
 
-    async getAllActiveAddresses() {
+    async setUserAdmin(userId, isAdmin) {
+        try {
+            await this.pool.execute(
+                'UPDATE users SET is_admin = ? WHERE id = ?',
+                [isAdmin, userId]
+            );
+        } catch (error) {
+            console.error('Error updating admin status:', error);
+            throw error;
+        }
+    }
+
+    async getAdminUsers() {
         try {
             const [rows] = await this.pool.execute(
-                'SELECT * FROM addresses WHERE is_active = TRUE'
+                'SELECT * FROM users WHERE is_admin = TRUE ORDER BY id ASC'
             );
             return rows;
         } catch (error) {
-            console.error('Error getting active addresses:', error);
+            console.error('Error getting admin users:', error);
             throw error;
         }
     }
 
-    async updateAddressBalance(addressId, balance, totalReceived = null) {
+    async getUserStats() {
         try {
-            const updateQuery = totalReceived !== null 
-                ? 'UPDATE addresses SET last_balance = ?, total_received = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
-                : 'UPDATE addresses SET last_balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
-            
-            const params = totalReceived !== null 
-                ? [balance, totalReceived, addressId]
-                : [balance, addressId];
-
-            await this.pool.execute(updateQuery, params);
+            const [rows] = await this.pool.execute(
+                `SELECT COUNT(*) as total, 
+                        COALESCE(SUM(is_admin), 0) as admins, 
+                        COALESCE(SUM(is_disabled), 0) as disabled, 
+                        COALESCE(SUM(NOT is_active), 0) as blocked, 
+                        COALESCE(SUM(last_seen_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)), 0) as seenThisWeek 
+                 FROM users`
+            );
+            const stats = {};
+            for (const [key, value] of Object.entries(rows[0])) {
+                stats[key] = Number(value);
+            }
+            return stats;
         } catch (error) {
-            console.error('Error updating address balance:', error);
+            console.error('Error getting user stats:', error);
             throw error;
         }
     }
 
-    // Transaction operations
-    async createTransaction(addressId, txHash, fromAddress, toAddress, amount, tokenContract, txType, status = 'pending') {
+    // Address operations
+    async createAddress(userId, address, encryptedPrivateKey, keyVersion, derivationIndex, label = null) {
         try {
             const [result] = await this.pool.execute(
-                'INSERT INTO transactions (address_id, tx_hash, from_address, to_address, amount, token_contract, tx_type, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-                [addressId, txHash, fromAddress, toAddress, amount, tokenContract, txType, status]
+                'INSERT INTO addresses (user_id, address, private_key_encrypted, key_version, derivation_index, label) VALUES (?, ?, ?, ?, ?, ?)',
+                [userId, address, encryptedPrivateKey, keyVersion, derivationIndex, label]
             );
             return result.insertId;
         } catch (error) {
-            console.error('Error creating transaction:', error);
+            console.error('Error creating address:', error);
+            throw error;
+        }
+    }
+
+    // Create an address at the next globally unique derivation index.
+    // deriveAddress(index) must return { address, encryptedPrivateKey, keyVersion }.
+    async createAddressWithNextIndex(userId, label, deriveAddress) {
+        const connection = await this.pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            // Seed the sequence past any index already in use
+            await connection.execute(
+                `INSERT IGNORE INTO system_settings (setting_key, setting_value, description)
+                 SELECT ?, COALESCE(MAX(derivation_index) + 1, 0), ? FROM addresses`,
+                [DERIVATION_SEQUENCE_KEY, 'Next HD derivation index to allocate']
+            );
+
+            // Row lock serialises concurrent allocations
+            const [rows] = await connection.execute(
+                'SELECT setting_value FROM system_settings WHERE setting_key = ? FOR UPDATE',
+                [DERIVATION_SEQUENCE_KEY]
+            );
+            let derivationIndex = parseInt(rows[0].setting_value);
+            let walletData = deriveAddress(derivationIndex);
+
+            // Skip indices whose address was stored before the sequence existed
+            for (;;) {
+                const [existing] = await connection.execute(
+                    'SELECT id FROM addresses WHERE address = ?',
+                    [walletData.address]
+                );
+                if (existing.length === 0) {
+                    break;
+                }
+                derivationIndex++;
+                walletData = deriveAddress(derivationIndex);
+            }
+
+            const [result] = await connection.execute(
+                'INSERT INTO addresses (user_id, address, private_key_encrypted, key_version, derivation_index, label) VALUES (?, ?, ?, ?, ?, ?)',
+                [userId, walletData.address, walletData.encryptedPrivateKey, walletData.keyVersion, derivationIndex, label]
+            );
+
+            await connection.execute(
+                'UPDATE system_settings SET setting_value = ? WHERE setting_key = ?',
+                [String(derivationIndex + 1), DERIVATION_SEQUENCE_KEY]
+            );
+
+            await connection.commit();
+
+            return {
+                id: result.insertId,
+                address: walletData.address,
+                derivationIndex,
+                label
+            };
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error creating address with next index:', error);
             throw error;
+        } finally {
+            connection.release();
         }
     }
 
-    async updateTransactionStatus(txHash, status, blockNumber = null, gasUsed = null) {
+    // Find derivation indices used more than once or skipped by the sequence
+    async getDerivationIndexReport() {
         try {
-            const updateQuery = 'UPDATE transactions SET status = ?, block_number = ?, gas_used = ? WHERE tx_hash = ?';
-            await this.pool.execute(updateQuery, [status, blockNumber, gasUsed, txHash]);
+            const [duplicates] = await this.pool.execute(
+                `SELECT derivation_index, COUNT(*) as count, GROUP_CONCAT(id ORDER BY id) as address_ids 
+                 FROM addresses 
+                 GROUP BY derivation_index 
+                 HAVING COUNT(*) > 1 
+                 ORDER BY derivation_index`
+            );
+            const [indexRows] = await this.pool.execute(
+                'SELECT DISTINCT derivation_index FROM addresses ORDER BY derivation_index'
+            );
+            const sequenceValue = await this.getSetting(DERIVATION_SEQUENCE_KEY);
+
+            const used = new Set(indexRows.map(row => row.derivation_index));
+            const maxIndex = indexRows.length > 0 ? indexRows[indexRows.length - 1].derivation_index : -1;
+            const missing = [];
+            for (let i = 0; i <= maxIndex; i++) {
+                if (!used.has(i)) {
+                    missing.push(i);
+                }
+            }
+
+            return {
+                duplicates,
+                missing,
+                maxIndex,
+                nextIndex: sequenceValue !== null ? parseInt(sequenceValue) : null
+            };
         } catch (error) {
-            console.error('Error updating transaction status:', error);
+            console.error('Error building derivation index report:', error);
             throw error;
         }
     }
 
-    async getTransactionsByUser(userId, limit = 50) {
+    // Key versions in use and how many addresses are stored under each;
+    // a null version means the key is derived on demand
+    async getKeyVersionCounts() {
         try {
             const [rows] = await this.pool.execute(
-                `SELECT t.*, a.address, a.label 
-                 FROM transactions t 
-                 JOIN addresses a ON t.address_id = a.id 
-                 WHERE a.user_id = ? 
-                 ORDER BY t.timestamp DESC 
-                 LIMIT ?`,
-                [userId, limit]
+                'SELECT key_version, COUNT(*) as count FROM addresses GROUP BY key_version ORDER BY key_version'
             );
             return rows;
         } catch (error) {
-            console.error('Error getting user transactions:', error);
+            console.error('Error counting key versions:', error);
             throw error;
         }
     }
 
-    // Master wallet operations
-    async updateMasterWalletBalance(address, balance, totalReceived) {
+    // A random sample of addresses stored under one key version
+    async getAddressKeySample(keyVersion, limit) {
         try {
-            await this.pool.execute(
-                'INSERT INTO master_wallet (address, current_balance, total_received) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE current_balance = VALUES(current_balance), total_received = VALUES(total_received), last_updated = CURRENT_TIMESTAMP',
-                [address, balance, totalReceived]
+            const [rows] = await this.pool.execute(
+                'SELECT id, address, private_key_encrypted, key_version, derivation_index FROM addresses WHERE key_version <=> ? ORDER BY RAND() LIMIT ?',
+                [keyVersion, limit]
             );
+            return rows;
         } catch (error) {
-            console.error('Error updating master wallet balance:', error);
+            console.error('Error sampling address keys:', error);
             throw error;
         }
     }
 
-    async getMasterWalletStats() {
+    // Next batch of addresses not yet under keyVersion, in id order
+    async getAddressesToRotate(keyVersion, afterId, limit) {
         try {
             const [rows] = await this.pool.execute(
-                'SELECT * FROM master_wallet LIMIT 1'
+                'SELECT id, address, private_key_encrypted, key_version FROM addresses WHERE key_version <> ? AND id > ? ORDER BY id LIMIT ?',
+                [keyVersion, afterId, limit]
             );
-            return rows[0] || null;
+            return rows;
         } catch (error) {
-            console.error('Error getting master wallet stats:', error);
+            console.error('Error getting addresses to rotate:', error);
             throw error;
         }
     }
 
-    // System statistics
-    async getSystemStats() {
+    // Store re-encrypted keys in one transaction; each row only changes if it is still
+    // under the version it was read with. Returns how many rows were updated.
+    async updateAddressKeys(updates) {
+        const connection = await this.pool.getConnection();
         try {
-            const [userCount] = await this.pool.execute('SELECT COUNT(*) as count FROM users');
-            const [addressCount] = await this.pool.execute('SELECT COUNT(*) as count FROM addresses WHERE is_active = TRUE');
-            const [transactionCount] = await this.pool.execute('SELECT COUNT(*) as count FROM transactions');
-            const [totalBalance] = await this.pool.execute('SELECT SUM(last_balance) as total FROM addresses WHERE is_active = TRUE');
+            await connection.beginTransaction();
+
+            let updated = 0;
+            for (const update of updates) {
+                const [result] = await connection.execute(
+                    'UPDATE addresses SET private_key_encrypted = ?, key_version = ? WHERE id = ? AND key_version = ?',
+                    [update.encrypted, update.keyVersion, update.id, update.previousVersion]
+                );
+                updated += result.affectedRows;
+            }
+
+            await connection.commit();
+            return updated;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error updating address keys:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Next batch of addresses that still store an encrypted key, in id order
+    async getAddressesWithStoredKeys(afterId, limit) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT id, address, private_key_encrypted, key_version, derivation_index FROM addresses WHERE private_key_encrypted IS NOT NULL AND id > ? ORDER BY id LIMIT ?',
+                [afterId, limit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting addresses with stored keys:', error);
+            throw error;
+        }
+    }
+
+    // Drop stored keys in one transaction, each only if its ciphertext is unchanged since
+    // it was verified. Returns how many rows were wiped.
+    async wipeAddressKeys(rows) {
+        const connection = await this.pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            let wiped = 0;
+            for (const row of rows) {
+                const [result] = await connection.execute(
+                    'UPDATE addresses SET private_key_encrypted = NULL, key_version = NULL WHERE id = ? AND private_key_encrypted = ?',
+                    [row.id, row.private_key_encrypted]
+                );
+                wiped += result.affectedRows;
+            }
+
+            await connection.commit();
+            return wiped;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error wiping address keys:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async getAllAddresses() {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM addresses ORDER BY derivation_index, id'
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting all addresses:', error);
+            throw error;
+        }
+    }
+
+    async getAddressById(id) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM addresses WHERE id = ?',
+                [id]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error getting address:', error);
+            throw error;
+        }
+    }
+
+    async getUserAddresses(userId) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM addresses WHERE user_id = ? AND is_active = TRUE ORDER BY created_at DESC',
+                [userId]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting user addresses:', error);
+            throw error;
+        }
+    }
+
+    async getArchivedUserAddresses(userId) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM addresses WHERE user_id = ? AND is_active = FALSE ORDER BY updated_at DESC',
+                [userId]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting archived addresses:', error);
+            throw error;
+        }
+    }
+
+    // A user's address by id or by address string, archived or not
+    async getUserAddress(userId, addressIdOrAddress) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM addresses WHERE user_id = ? AND (id = ? OR address = ?)',
+                [userId, parseInt(addressIdOrAddress) || 0, String(addressIdOrAddress)]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error getting user address:', error);
+            throw error;
+        }
+    }
+
+    async updateAddressLabel(addressId, label) {
+        try {
+            const [result] = await this.pool.execute(
+                'UPDATE addresses SET label = ? WHERE id = ?',
+                [label, addressId]
+            );
+            return result.affectedRows === 1;
+        } catch (error) {
+            console.error('Error updating address label:', error);
+            throw error;
+        }
+    }
+
+    async setAddressActive(addressId, active) {
+        try {
+            const [result] = await this.pool.execute(
+                'UPDATE addresses SET is_active = ? WHERE id = ?',
+                [active, addressId]
+            );
+            return result.affectedRows === 1;
+        } catch (error) {
+            console.error('Error updating address status:', error);
+            throw error;
+        }
+    }
+
+    async getAddressesByAddressList(addressList) {
+        try {
+            if (addressList.length === 0) {
+                return [];
+            }
+
+            const placeholders = addressList.map(() => '?').join(', ');
+            const [rows] = await this.pool.execute(
+                `SELECT * FROM addresses WHERE address IN (${placeholders})`,
+                addressList
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting addresses by list:', error);
+            throw error;
+        }
+    }
+
+    async getAllActiveAddresses() {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM addresses WHERE is_active = TRUE'
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting active addresses:', error);
+            throw error;
+        }
+    }
+
+    // Mark an address as having on-chain activity since its last balance check
+    async touchAddressActivity(addressId, connection = this.pool) {
+        try {
+            await connection.execute(
+                'UPDATE addresses SET last_activity_at = NOW() WHERE id = ?',
+                [addressId]
+            );
+        } catch (error) {
+            console.error('Error updating address activity:', error);
+            throw error;
+        }
+    }
+
+    // checkedAt is when the balance lookup started (unix seconds), so activity during
+    // the lookup still counts as newer
+    async markBalancesChecked(addressIds, checkedAt) {
+        if (addressIds.length === 0) {
+            return;
+        }
+
+        try {
+            await this.pool.execute(
+                `UPDATE addresses SET balance_checked_at = FROM_UNIXTIME(?) WHERE id IN (${addressIds.map(() => '?').join(', ')})`,
+                [checkedAt, ...addressIds]
+            );
+        } catch (error) {
+            console.error('Error marking balances checked:', error);
+            throw error;
+        }
+    }
+
+    // Addresses worth a balance lookup: never checked, active since the last check,
+    // or not checked for fullScanHours
+    async getSweepCandidates(fullScanHours) {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT * FROM addresses 
+                 WHERE balance_checked_at IS NULL 
+                    OR last_activity_at >= balance_checked_at 
+                    OR balance_checked_at < DATE_SUB(NOW(), INTERVAL ? HOUR) 
+                 ORDER BY id`,
+                [fullScanHours]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting sweep candidates:', error);
+            throw error;
+        }
+    }
+
+    async updateAddressBalance(addressId, balance, totalReceived = null) {
+        try {
+            const updateQuery = totalReceived !== null 
+                ? 'UPDATE addresses SET last_balance = ?, total_received = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+                : 'UPDATE addresses SET last_balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+            
+            const params = totalReceived !== null 
+                ? [balance, totalReceived, addressId]
+                : [balance, addressId];
+
+            await this.pool.execute(updateQuery, params);
+        } catch (error) {
+            console.error('Error updating address balance:', error);
+            throw error;
+        }
+    }
+
+    // Transaction operations
+    async createTransaction(addressId, txHash, fromAddress, toAddress, amount, tokenContract, txType, status = 'pending') {
+        try {
+            const [result] = await this.pool.execute(
+                'INSERT INTO transactions (address_id, tx_hash, from_address, to_address, amount, token_contract, tx_type, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                [addressId, txHash, fromAddress, toAddress, amount, tokenContract, txType, status]
+            );
+            if (addressId) {
+                await this.touchAddressActivity(addressId);
+            }
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating transaction:', error);
+            throw error;
+        }
+    }
+
+    // Record an incoming transfer once; returns false if the tx_hash is already known
+    // token is the symbol ('TRX' for native transfers) the per-token received total is kept under
+    async recordDeposit(addressId, txHash, fromAddress, toAddress, amount, tokenContract, blockNumber, token) {
+        const connection = await this.pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.execute(
+                'INSERT IGNORE INTO transactions (address_id, tx_hash, from_address, to_address, amount, token_contract, tx_type, status, block_number) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                [addressId, txHash, fromAddress, toAddress, amount, tokenContract, 'deposit', 'pending', blockNumber]
+            );
+
+            if (result.affectedRows === 1) {
+                await connection.execute(
+                    'INSERT INTO address_received_totals (address_id, token, total_received) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE total_received = total_received + VALUES(total_received)',
+                    [addressId, token, amount]
+                );
+                // addresses.total_received stays in token units, like last_balance; TRX only
+                // counts in address_received_totals
+                if (tokenContract) {
+                    await connection.execute(
+                        'UPDATE addresses SET total_received = total_received + CAST(? AS DECIMAL(40, 18)), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                        [amount, addressId]
+                    );
+                }
+                await this.touchAddressActivity(addressId, connection);
+            }
+
+            await connection.commit();
+            return result.affectedRows === 1;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error recording deposit:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async getUserReceivedTotals(userId) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT r.address_id, r.token, r.total_received FROM address_received_totals r JOIN addresses a ON a.id = r.address_id WHERE a.user_id = ? ORDER BY r.address_id, r.token',
+                [userId]
+            );
+            return rows.map(row => ({ ...row, total_received: normalizeAmount(row.total_received) }));
+        } catch (error) {
+            console.error('Error getting user received totals:', error);
+            throw error;
+        }
+    }
+
+    async createWithdrawalTransaction(userId, txHash, fromAddress, toAddress, amount, tokenContract) {
+        try {
+            const [result] = await this.pool.execute(
+                'INSERT INTO transactions (user_id, tx_hash, from_address, to_address, amount, token_contract, tx_type, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                [userId, txHash, fromAddress, toAddress, amount, tokenContract, 'withdrawal', 'pending']
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating withdrawal transaction:', error);
+            throw error;
+        }
+    }
+
+    // Move a pending transaction to its final status, posting its journal entries in the same
+    // database transaction. Returns false if the row was no longer pending.
+    async settleTransaction(txHash, status, blockNumber = null, gasUsed = null, fee = null, journalEntries = []) {
+        const connection = await this.pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.execute(
+                'UPDATE transactions SET status = ?, block_number = ?, gas_used = ?, fee = ? WHERE tx_hash = ? AND status = ?',
+                [status, blockNumber, gasUsed, fee, txHash, 'pending']
+            );
+
+            if (result.affectedRows === 1) {
+                for (const entry of journalEntries) {
+                    await this.postJournalEntry(entry, connection);
+                }
+            }
+
+            await connection.commit();
+            return result.affectedRows === 1;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error settling transaction:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async updateTransactionStatus(txHash, status, blockNumber = null, gasUsed = null, fee = null) {
+        try {
+            const updateQuery = 'UPDATE transactions SET status = ?, block_number = ?, gas_used = ?, fee = ? WHERE tx_hash = ?';
+            await this.pool.execute(updateQuery, [status, blockNumber, gasUsed, fee, txHash]);
+        } catch (error) {
+            console.error('Error updating transaction status:', error);
+            throw error;
+        }
+    }
+
+    async getPendingTransactions(limit = 100) {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT t.*, COALESCE(t.user_id, a.user_id) as user_id, a.address, a.label 
+                 FROM transactions t 
+                 LEFT JOIN addresses a ON t.address_id = a.id 
+                 WHERE t.status = 'pending' 
+                 ORDER BY t.timestamp ASC 
+                 LIMIT ?`,
+                [limit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting pending transactions:', error);
+            throw error;
+        }
+    }
+
+    async getTransactionsByUser(userId, limit = 50) {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT t.*, a.address, a.label 
+                 FROM transactions t 
+                 LEFT JOIN addresses a ON t.address_id = a.id 
+                 WHERE COALESCE(t.user_id, a.user_id) = ? 
+                 ORDER BY t.timestamp DESC 
+                 LIMIT ?`,
+                [userId, limit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting user transactions:', error);
+            throw error;
+        }
+    }
+
+    // WHERE clause for a user's transactions with optional filters:
+    // { type, status, tokenContract (null for TRX), address, from, to }
+    buildTransactionFilter(userId, filters = {}) {
+        const conditions = ['COALESCE(t.user_id, a.user_id) = ?'];
+        const params = [userId];
+
+        if (filters.type) {
+            conditions.push('t.tx_type = ?');
+            params.push(filters.type);
+        }
+        if (filters.status) {
+            conditions.push('t.status = ?');
+            params.push(filters.status);
+        }
+        if (filters.tokenContract !== undefined) {
+            conditions.push('t.token_contract <=> ?');
+            params.push(filters.tokenContract);
+        }
+        if (filters.address) {
+            conditions.push('(a.address = ? OR t.from_address = ? OR t.to_address = ?)');
+            params.push(filters.address, filters.address, filters.address);
+        }
+        if (filters.from) {
+            conditions.push('t.timestamp >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('t.timestamp < ?');
+            params.push(filters.to);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    // Newest first. Pass beforeId (keyset cursor) or offset to page through results.
+    async queryUserTransactions(userId, filters = {}, { limit = 10, beforeId = null, offset = 0 } = {}) {
+        try {
+            const { where, params } = this.buildTransactionFilter(userId, filters);
+            const cursorCondition = beforeId ? ' AND t.id < ?' : '';
+
+            const [rows] = await this.pool.execute(
+                `SELECT t.*, a.address, a.label 
+                 FROM transactions t 
+                 LEFT JOIN addresses a ON t.address_id = a.id 
+                 WHERE ${where}${cursorCondition} 
+                 ORDER BY t.id DESC 
+                 LIMIT ? OFFSET ?`,
+                [...params, ...(beforeId ? [beforeId] : []), limit, offset]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error querying user transactions:', error);
+            throw error;
+        }
+    }
+
+    async countUserTransactions(userId, filters = {}) {
+        try {
+            const { where, params } = this.buildTransactionFilter(userId, filters);
+            const [rows] = await this.pool.execute(
+                `SELECT COUNT(*) as count 
+                 FROM transactions t 
+                 LEFT JOIN addresses a ON t.address_id = a.id 
+                 WHERE ${where}`,
+                params
+            );
+            return rows[0].count;
+        } catch (error) {
+            console.error('Error counting user transactions:', error);
+            throw error;
+        }
+    }
+
+    // Ledger operations
+
+    // Post a journal entry. Each line names an account, token and a debit or a credit; user
+    // lines also carry userId. Entries are idempotent on (type, reference) and return null when
+    // already posted. A user line that would overdraw the balance throws.
+    async postJournalEntry(entry, connection = null) {
+        const ownConnection = !connection;
+        if (ownConnection) {
+            connection = await this.pool.getConnection();
+            await connection.beginTransaction();
+        }
+
+        try {
+            this.validateJournalEntry(entry);
+
+            const [result] = await connection.execute(
+                'INSERT IGNORE INTO journal_entries (entry_type, reference, tx_hash, description) VALUES (?, ?, ?, ?)',
+                [entry.type, entry.reference, entry.txHash || null, entry.description || null]
+            );
+
+            if (result.affectedRows === 0) {
+                if (ownConnection) {
+                    await connection.commit();
+                }
+                return null;
+            }
+
+            for (const line of entry.lines) {
+                await connection.execute(
+                    'INSERT INTO journal_lines (entry_id, account, user_id, token, debit, credit) VALUES (?, ?, ?, ?, ?, ?)',
+                    [result.insertId, line.account, line.userId || null, line.token, line.debit || 0, line.credit || 0]
+                );
+
+                if (line.account === LEDGER_ACCOUNTS.USER) {
+                    await this.applyUserBalanceChange(connection, line);
+                }
+            }
+
+            if (ownConnection) {
+                await connection.commit();
+            }
+            return result.insertId;
+        } catch (error) {
+            if (ownConnection) {
+                await connection.rollback();
+            }
+            console.error('Error posting journal entry:', error.message);
+            throw error;
+        } finally {
+            if (ownConnection) {
+                connection.release();
+            }
+        }
+    }
+
+    validateJournalEntry(entry) {
+        const totals = new Map();
+
+        for (const line of entry.lines) {
+            const debit = toBaseUnits(line.debit || '0', MAX_DECIMALS);
+            const credit = toBaseUnits(line.credit || '0', MAX_DECIMALS);
+            if ((debit > 0n) === (credit > 0n) || debit < 0n || credit < 0n) {
+                throw new Error(`Journal line for ${line.account} needs exactly one positive debit or credit`);
+            }
+            if (line.account === LEDGER_ACCOUNTS.USER && !line.userId) {
+                throw new Error('User journal lines need a userId');
+            }
+
+            const total = totals.get(line.token) || 0n;
+            totals.set(line.token, total + debit - credit);
+        }
+
+        for (const [token, total] of totals) {
+            if (total !== 0n) {
+                throw new Error(`Unbalanced journal entry ${entry.type}/${entry.reference} for ${token}`);
+            }
+        }
+    }
+
+    // Keep the user_balances projection in step with a posted user line
+    async applyUserBalanceChange(connection, line) {
+        const change = fromBaseUnits(
+            toBaseUnits(line.credit || '0', MAX_DECIMALS) - toBaseUnits(line.debit || '0', MAX_DECIMALS),
+            MAX_DECIMALS
+        );
+
+        // CAST keeps the arithmetic in DECIMAL; a bare string parameter would go through DOUBLE
+        if (change.startsWith('-')) {
+            const [result] = await connection.execute(
+                'UPDATE user_balances SET balance = balance + CAST(? AS DECIMAL(40, 18)) WHERE user_id = ? AND token = ? AND balance + CAST(? AS DECIMAL(40, 18)) >= 0',
+                [change, line.userId, line.token, change]
+            );
+            if (result.affectedRows === 0) {
+                throw new Error('Insufficient balance');
+            }
+            return;
+        }
+
+        await connection.execute(
+            'INSERT INTO user_balances (user_id, token, balance) VALUES (?, ?, CAST(? AS DECIMAL(40, 18))) ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)',
+            [line.userId, line.token, change]
+        );
+    }
+
+    async setJournalEntryTxHash(entryId, txHash) {
+        try {
+            await this.pool.execute(
+                'UPDATE journal_entries SET tx_hash = ? WHERE id = ? AND tx_hash IS NULL',
+                [txHash, entryId]
+            );
+        } catch (error) {
+            console.error('Error linking journal entry:', error);
+            throw error;
+        }
+    }
+
+    async getUserBalances(userId) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT token, balance FROM user_balances WHERE user_id = ? ORDER BY token',
+                [userId]
+            );
+            return rows.map(row => ({ ...row, balance: normalizeAmount(row.balance) }));
+        } catch (error) {
+            console.error('Error getting user balances:', error);
+            throw error;
+        }
+    }
+
+    async getUserBalance(userId, token) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT balance FROM user_balances WHERE user_id = ? AND token = ?',
+                [userId, token]
+            );
+            return normalizeAmount(rows[0] ? rows[0].balance : '0');
+        } catch (error) {
+            console.error('Error getting user balance:', error);
+            throw error;
+        }
+    }
+
+    // Balance of every ledger account per token, in each account's natural sign
+    async getLedgerSummary() {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT account, token, 
+                        CASE WHEN account IN (?, ?) THEN SUM(credit - debit) ELSE SUM(debit - credit) END as balance 
+                 FROM journal_lines 
+                 GROUP BY account, token 
+                 ORDER BY account, token`,
+                [LEDGER_ACCOUNTS.USER, LEDGER_ACCOUNTS.EQUITY]
+            );
+            return rows.map(row => ({ ...row, balance: normalizeAmount(row.balance) }));
+        } catch (error) {
+            console.error('Error getting ledger summary:', error);
+            throw error;
+        }
+    }
+
+    // Master wallet operations
+    async updateMasterWalletBalance(address, balance, totalReceived) {
+        try {
+            await this.pool.execute(
+                'INSERT INTO master_wallet (address, current_balance, total_received) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE current_balance = VALUES(current_balance), total_received = VALUES(total_received), last_updated = CURRENT_TIMESTAMP',
+                [address, balance, totalReceived]
+            );
+        } catch (error) {
+            console.error('Error updating master wallet balance:', error);
+            throw error;
+        }
+    }
+
+    async getMasterWalletStats() {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM master_wallet LIMIT 1'
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error getting master wallet stats:', error);
+            throw error;
+        }
+    }
+
+    // Token registry operations
+    async getTokens(enabledOnly = true) {
+        try {
+            const [rows] = await this.pool.execute(
+                enabledOnly
+                    ? 'SELECT * FROM tokens WHERE is_enabled = TRUE ORDER BY id'
+                    : 'SELECT * FROM tokens ORDER BY id'
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting tokens:', error);
+            throw error;
+        }
+    }
+
+    async createToken(contractAddress, symbol, decimals, minSweepAmount) {
+        try {
+            const [result] = await this.pool.execute(
+                'INSERT INTO tokens (contract_address, symbol, decimals, min_sweep_amount) VALUES (?, ?, ?, ?)',
+                [contractAddress, symbol, decimals, minSweepAmount]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating token:', error);
+            throw error;
+        }
+    }
+
+    async setTokenEnabled(symbol, enabled) {
+        try {
+            const [result] = await this.pool.execute(
+                'UPDATE tokens SET is_enabled = ? WHERE symbol = ?',
+                [enabled, symbol]
+            );
+            return result.affectedRows === 1;
+        } catch (error) {
+            console.error('Error updating token:', error);
+            throw error;
+        }
+    }
+
+    // API key operations
+    async createApiKey(name, keyPrefix, keyHash, scopes, rateLimitPerMinute, createdBy) {
+        try {
+            const [result] = await this.pool.execute(
+                'INSERT INTO api_keys (name, key_prefix, key_hash, scopes, rate_limit_per_minute, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+                [name, keyPrefix, keyHash, scopes.join(','), rateLimitPerMinute, createdBy]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating API key:', error);
+            throw error;
+        }
+    }
+
+    // Active (not revoked) key matching the hash
+    async getApiKeyByHash(keyHash) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+                [keyHash]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error getting API key:', error);
+            throw error;
+        }
+    }
+
+    async getApiKeys(includeRevoked = false) {
+        try {
+            const [rows] = await this.pool.execute(
+                includeRevoked
+                    ? 'SELECT id, name, key_prefix, scopes, rate_limit_per_minute, created_by, last_used_at, revoked_at, created_at FROM api_keys ORDER BY id'
+                    : 'SELECT id, name, key_prefix, scopes, rate_limit_per_minute, created_by, last_used_at, revoked_at, created_at FROM api_keys WHERE revoked_at IS NULL ORDER BY id'
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting API keys:', error);
+            throw error;
+        }
+    }
+
+    async touchApiKey(id) {
+        try {
+            await this.pool.execute('UPDATE api_keys SET last_used_at = NOW() WHERE id = ?', [id]);
+        } catch (error) {
+            console.error('Error updating API key usage:', error);
+            throw error;
+        }
+    }
+
+    async revokeApiKey(keyPrefix) {
+        try {
+            const [result] = await this.pool.execute(
+                'UPDATE api_keys SET revoked_at = NOW() WHERE key_prefix = ? AND revoked_at IS NULL',
+                [keyPrefix]
+            );
+            return result.affectedRows === 1;
+        } catch (error) {
+            console.error('Error revoking API key:', error);
+            throw error;
+        }
+    }
+
+    // Webhook operations
+    async createWebhookEndpoint(url, secret, events, userId = null, apiKeyId = null) {
+        try {
+            const [result] = await this.pool.execute(
+                'INSERT INTO webhook_endpoints (url, secret, events, user_id, api_key_id) VALUES (?, ?, ?, ?, ?)',
+                [url, secret, events.join(','), userId, apiKeyId]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating webhook endpoint:', error);
+            throw error;
+        }
+    }
+
+    // Active endpoints, optionally only those registered with one API key
+    async getWebhookEndpoints(apiKeyId = null) {
+        try {
+            const [rows] = await this.pool.execute(
+                apiKeyId === null
+                    ? 'SELECT id, url, events, user_id, api_key_id, created_at FROM webhook_endpoints WHERE is_active = TRUE ORDER BY id'
+                    : 'SELECT id, url, events, user_id, api_key_id, created_at FROM webhook_endpoints WHERE is_active = TRUE AND api_key_id = ? ORDER BY id',
+                apiKeyId === null ? [] : [apiKeyId]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting webhook endpoints:', error);
+            throw error;
+        }
+    }
+
+    // Active endpoints that receive events about the given user (or all users)
+    async getWebhookEndpointsForUser(userId) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM webhook_endpoints WHERE is_active = TRUE AND (user_id IS NULL OR user_id = ?)',
+                [userId]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting webhook endpoints:', error);
+            throw error;
+        }
+    }
+
+    async deactivateWebhookEndpoint(id, apiKeyId = null) {
+        try {
+            const [result] = await this.pool.execute(
+                apiKeyId === null
+                    ? 'UPDATE webhook_endpoints SET is_active = FALSE WHERE id = ?'
+                    : 'UPDATE webhook_endpoints SET is_active = FALSE WHERE id = ? AND api_key_id = ?',
+                apiKeyId === null ? [id] : [id, apiKeyId]
+            );
+            return result.affectedRows === 1;
+        } catch (error) {
+            console.error('Error deactivating webhook endpoint:', error);
+            throw error;
+        }
+    }
+
+    async createWebhookDelivery(endpointId, eventId, eventType, payload) {
+        try {
+            await this.pool.execute(
+                'INSERT IGNORE INTO webhook_deliveries (endpoint_id, event_id, event_type, payload) VALUES (?, ?, ?, ?)',
+                [endpointId, eventId, eventType, payload]
+            );
+        } catch (error) {
+            console.error('Error creating webhook delivery:', error);
+            throw error;
+        }
+    }
+
+    async getDueWebhookDeliveries(limit = 50) {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT d.*, e.url, e.secret 
+                 FROM webhook_deliveries d 
+                 JOIN webhook_endpoints e ON d.endpoint_id = e.id 
+                 WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND e.is_active = TRUE 
+                 ORDER BY d.next_attempt_at ASC 
+                 LIMIT ?`,
+                [limit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting due webhook deliveries:', error);
+            throw error;
+        }
+    }
+
+    // Record the outcome of one attempt; retryInSeconds schedules the next one
+    async recordWebhookAttempt(id, status, statusCode, errorMessage, retryInSeconds = null) {
+        try {
+            await this.pool.execute(
+                `UPDATE webhook_deliveries 
+                 SET status = ?, attempts = attempts + 1, last_status_code = ?, last_error = ?, 
+                     next_attempt_at = IF(? IS NULL, next_attempt_at, DATE_ADD(NOW(), INTERVAL ? SECOND)), 
+                     delivered_at = IF(? = 'delivered', NOW(), delivered_at) 
+                 WHERE id = ?`,
+                [status, statusCode, errorMessage ? errorMessage.substring(0, 512) : null, retryInSeconds, retryInSeconds, status, id]
+            );
+        } catch (error) {
+            console.error('Error recording webhook attempt:', error);
+            throw error;
+        }
+    }
+
+    async getWebhookDeliveries(filters = {}, limit = 20) {
+        try {
+            const conditions = [];
+            const params = [];
+
+            if (filters.status) {
+                conditions.push('d.status = ?');
+                params.push(filters.status);
+            }
+            if (filters.apiKeyId) {
+                conditions.push('e.api_key_id = ?');
+                params.push(filters.apiKeyId);
+            }
+
+            const [rows] = await this.pool.execute(
+                `SELECT d.id, d.endpoint_id, d.event_id, d.event_type, d.status, d.attempts, d.next_attempt_at, 
+                        d.last_status_code, d.last_error, d.delivered_at, d.created_at, e.url 
+                 FROM webhook_deliveries d 
+                 JOIN webhook_endpoints e ON d.endpoint_id = e.id 
+                 ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''} 
+                 ORDER BY d.id DESC 
+                 LIMIT ?`,
+                [...params, limit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting webhook deliveries:', error);
+            throw error;
+        }
+    }
+
+    // Queue a delivery to be sent again straight away, whatever its current status
+    async replayWebhookDelivery(id, apiKeyId = null) {
+        try {
+            const [result] = await this.pool.execute(
+                `UPDATE webhook_deliveries d 
+                 JOIN webhook_endpoints e ON d.endpoint_id = e.id 
+                 SET d.status = 'pending', d.attempts = 0, d.next_attempt_at = NOW() 
+                 WHERE d.id = ? AND (? IS NULL OR e.api_key_id = ?)`,
+                [id, apiKeyId, apiKeyId]
+            );
+            return result.affectedRows === 1;
+        } catch (error) {
+            console.error('Error replaying webhook delivery:', error);
+            throw error;
+        }
+    }
+
+    // Returns false if the nonce was already used
+    async claimWebhookNonce(nonce) {
+        try {
+            const [result] = await this.pool.execute(
+                'INSERT IGNORE INTO inbound_webhook_nonces (nonce) VALUES (?)',
+                [nonce]
+            );
+            return result.affectedRows === 1;
+        } catch (error) {
+            console.error('Error claiming webhook nonce:', error);
+            throw error;
+        }
+    }
+
+    async releaseWebhookNonce(nonce) {
+        try {
+            await this.pool.execute(
+                'DELETE FROM inbound_webhook_nonces WHERE nonce = ?',
+                [nonce]
+            );
+        } catch (error) {
+            console.error('Error releasing webhook nonce:', error);
+            throw error;
+        }
+    }
+
+    async deleteWebhookNoncesBefore(seconds) {
+        try {
+            const [result] = await this.pool.execute(
+                'DELETE FROM inbound_webhook_nonces WHERE received_at < DATE_SUB(NOW(), INTERVAL ? SECOND)',
+                [seconds]
+            );
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error deleting webhook nonces:', error);
+            throw error;
+        }
+    }
+
+    // Invoice operations
+    async createInvoice(id, userId, addressId, token, amountExpected, expiresInMinutes, description = null, apiKeyId = null) {
+        try {
+            await this.pool.execute(
+                'INSERT INTO invoices (id, user_id, address_id, token, amount_expected, description, api_key_id, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+                [id, userId, addressId, token, amountExpected, description, apiKeyId, expiresInMinutes]
+            );
+            return id;
+        } catch (error) {
+            console.error('Error creating invoice:', error);
+            throw error;
+        }
+    }
+
+    // Optionally only an invoice created with the given API key
+    async getInvoice(id, apiKeyId = null) {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT i.*, a.address, u.telegram_id 
+                 FROM invoices i 
+                 JOIN addresses a ON i.address_id = a.id 
+                 JOIN users u ON i.user_id = u.id 
+                 WHERE i.id = ? AND (? IS NULL OR i.api_key_id = ?)`,
+                [id, apiKeyId, apiKeyId]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error getting invoice:', error);
+            throw error;
+        }
+    }
+
+    async getInvoiceByAddressId(addressId) {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT i.*, a.address, u.telegram_id 
+                 FROM invoices i 
+                 JOIN addresses a ON i.address_id = a.id 
+                 JOIN users u ON i.user_id = u.id 
+                 WHERE i.address_id = ?`,
+                [addressId]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error getting invoice by address:', error);
+            throw error;
+        }
+    }
+
+    async getUserInvoices(userId, limit = 10) {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT i.*, a.address 
+                 FROM invoices i 
+                 JOIN addresses a ON i.address_id = a.id 
+                 WHERE i.user_id = ? 
+                 ORDER BY i.created_at DESC 
+                 LIMIT ?`,
+                [userId, limit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting user invoices:', error);
+            throw error;
+        }
+    }
+
+    // Sum of confirmed deposits of one token (null contract for TRX) to an address
+    async getConfirmedDepositTotal(addressId, tokenContract) {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT COALESCE(SUM(amount), 0) as total 
+                 FROM transactions 
+                 WHERE address_id = ? AND token_contract <=> ? AND tx_type = 'deposit' AND status = 'confirmed'`,
+                [addressId, tokenContract]
+            );
+            return normalizeAmount(rows[0].total);
+        } catch (error) {
+            console.error('Error getting confirmed deposit total:', error);
+            throw error;
+        }
+    }
+
+    // Move an invoice on only if it is still in the status the caller saw
+    async updateInvoiceStatus(id, fromStatus, toStatus, amountReceived) {
+        try {
+            const [result] = await this.pool.execute(
+                `UPDATE invoices 
+                 SET status = ?, amount_received = ?, 
+                     paid_at = IF(? IN ('paid', 'overpaid') AND paid_at IS NULL, NOW(), paid_at) 
+                 WHERE id = ? AND status = ?`,
+                [toStatus, amountReceived, toStatus, id, fromStatus]
+            );
+            return result.affectedRows === 1;
+        } catch (error) {
+            console.error('Error updating invoice status:', error);
+            throw error;
+        }
+    }
+
+    // Open invoices whose expiry has passed. An invoice with a deposit of its token detected
+    // before the deadline and still awaiting confirmations waits until that deposit settles.
+    async getExpiredOpenInvoices(limit = 100) {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT i.*, a.address, u.telegram_id 
+                 FROM invoices i 
+                 JOIN addresses a ON i.address_id = a.id 
+                 JOIN users u ON i.user_id = u.id 
+                 WHERE i.status IN ('pending', 'partially_paid') AND i.expires_at <= NOW() 
+                   AND NOT EXISTS (
+                       SELECT 1 FROM transactions t 
+                       WHERE t.address_id = i.address_id AND t.tx_type = 'deposit' AND t.status = 'pending' 
+                         AND t.timestamp <= i.expires_at 
+                         AND t.token_contract <=> (SELECT contract_address FROM tokens WHERE symbol = i.token)
+                   ) 
+                 LIMIT ?`,
+                [limit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting expired invoices:', error);
+            throw error;
+        }
+    }
+
+    // Notification operations
+    async getNotificationPreferences(userId) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM notification_preferences WHERE user_id = ?',
+                [userId]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error getting notification preferences:', error);
+            throw error;
+        }
+    }
+
+    // Upsert some preference columns, e.g. { sweep_alerts: false }
+    async updateNotificationPreferences(userId, changes) {
+        const columns = Object.keys(changes);
+        const unknown = columns.filter(column => !NOTIFICATION_PREFERENCE_COLUMNS.includes(column));
+        if (columns.length === 0 || unknown.length > 0) {
+            throw new Error(`Invalid notification preferences: ${unknown.join(', ') || 'none given'}`);
+        }
+
+        try {
+            await this.pool.execute(
+                `INSERT INTO notification_preferences (user_id, ${columns.join(', ')}) 
+                 VALUES (?, ${columns.map(() => '?').join(', ')}) 
+                 ON DUPLICATE KEY UPDATE ${columns.map(column => `${column} = VALUES(${column})`).join(', ')}`,
+                [userId, ...columns.map(column => changes[column])]
+            );
+        } catch (error) {
+            console.error('Error updating notification preferences:', error);
+            throw error;
+        }
+    }
+
+    async enqueueNotification(chatId, message, options, delaySeconds = 0) {
+        try {
+            const [result] = await this.pool.execute(
+                'INSERT INTO notification_queue (chat_id, message, options, next_attempt_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))',
+                [chatId, message, JSON.stringify(options || {}), delaySeconds]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error queueing notification:', error);
+            throw error;
+        }
+    }
+
+    async getDueNotifications(limit = 50) {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT * FROM notification_queue 
+                 WHERE status = 'pending' AND next_attempt_at <= NOW() 
+                 ORDER BY next_attempt_at ASC, id ASC 
+                 LIMIT ?`,
+                [limit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting due notifications:', error);
+            throw error;
+        }
+    }
+
+    // Record the outcome of one send; retryInSeconds schedules the next one
+    async recordNotificationAttempt(id, status, errorMessage, retryInSeconds = null) {
+        try {
+            await this.pool.execute(
+                `UPDATE notification_queue 
+                 SET status = ?, attempts = attempts + 1, last_error = ?, 
+                     next_attempt_at = IF(? IS NULL, next_attempt_at, DATE_ADD(NOW(), INTERVAL ? SECOND)), 
+                     sent_at = IF(? = 'sent', NOW(), sent_at) 
+                 WHERE id = ?`,
+                [status, errorMessage ? errorMessage.substring(0, 512) : null, retryInSeconds, retryInSeconds, status, id]
+            );
+        } catch (error) {
+            console.error('Error recording notification attempt:', error);
+            throw error;
+        }
+    }
+
+    async deleteNotificationsBefore(days) {
+        try {
+            const [result] = await this.pool.execute(
+                `DELETE FROM notification_queue WHERE status IN ('sent', 'failed') AND created_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+                [days]
+            );
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error deleting old notifications:', error);
+            throw error;
+        }
+    }
+
+    // Broadcast operations
+    // WHERE clause selecting the reachable users in a broadcast segment
+    broadcastSegmentFilter(segment, days) {
+        if (segment === 'depositors') {
+            return {
+                where: `u.is_active = TRUE AND EXISTS (
+                    SELECT 1 FROM transactions t JOIN addresses a ON a.id = t.address_id 
+                    WHERE a.user_id = u.id AND t.tx_type = 'deposit')`,
+                params: []
+            };
+        }
+        if (segment === 'active') {
+            return {
+                where: 'u.is_active = TRUE AND COALESCE(u.last_seen_at, u.created_at) >= DATE_SUB(NOW(), INTERVAL ? DAY)',
+                params: [days]
+            };
+        }
+        return { where: 'u.is_active = TRUE', params: [] };
+    }
+
+    async countBroadcastRecipients(segment, days = null) {
+        const filter = this.broadcastSegmentFilter(segment, days);
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT COUNT(*) as count FROM users u WHERE ${filter.where}`,
+                filter.params
+            );
+            return rows[0].count;
+        } catch (error) {
+            console.error('Error counting broadcast recipients:', error);
+            throw error;
+        }
+    }
+
+    // One page of recipients, in id order
+    async getBroadcastRecipients(segment, days, afterId, limit) {
+        const filter = this.broadcastSegmentFilter(segment, days);
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT u.id, u.telegram_id FROM users u 
+                 WHERE ${filter.where} AND u.id > ? 
+                 ORDER BY u.id ASC 
+                 LIMIT ?`,
+                [...filter.params, afterId, limit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting broadcast recipients:', error);
+            throw error;
+        }
+    }
+
+    async createBroadcast(createdBy, message, photoFileId, segment, days, total) {
+        try {
+            const [result] = await this.pool.execute(
+                'INSERT INTO broadcasts (created_by, message, photo_file_id, segment, segment_days, total) VALUES (?, ?, ?, ?, ?, ?)',
+                [createdBy, message || null, photoFileId || null, segment, days, total]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating broadcast:', error);
+            throw error;
+        }
+    }
+
+    // Save delivery counts; a status other than 'sending' also stamps finished_at
+    async updateBroadcast(id, status, counts) {
+        try {
+            await this.pool.execute(
+                `UPDATE broadcasts 
+                 SET status = ?, delivered = ?, failed = ?, blocked = ?, last_error = ?, 
+                     finished_at = IF(? = 'sending', NULL, NOW()) 
+                 WHERE id = ?`,
+                [status, counts.delivered, counts.failed, counts.blocked, counts.lastError ? counts.lastError.substring(0, 512) : null, status, id]
+            );
+        } catch (error) {
+            console.error('Error updating broadcast:', error);
+            throw error;
+        }
+    }
+
+    async getBroadcast(id) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM broadcasts WHERE id = ?',
+                [id]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error getting broadcast:', error);
+            throw error;
+        }
+    }
+
+    async getBroadcasts(limit = 10) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM broadcasts ORDER BY id DESC LIMIT ?',
+                [limit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting broadcasts:', error);
+            throw error;
+        }
+    }
+
+    // Broadcasts still marked as sending when the process stopped
+    async interruptSendingBroadcasts() {
+        try {
+            const [result] = await this.pool.execute(
+                `UPDATE broadcasts SET status = 'interrupted', finished_at = NOW() WHERE status = 'sending'`
+            );
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error interrupting broadcasts:', error);
+            throw error;
+        }
+    }
+
+    // Audit log operations
+    // Append one entry. computeHash(prevHash) returns this entry's hash; the head row in
+    // system_settings is locked so concurrent writers extend the chain one at a time.
+    async appendAuditEntry(entry, computeHash) {
+        const connection = await this.pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const prevHash = await this.lockAuditHead(connection);
+            const hash = computeHash(prevHash);
+            const id = await this.insertAuditEntry(connection, entry, prevHash, hash);
+
+            await connection.execute(
+                'UPDATE system_settings SET setting_value = ? WHERE setting_key = ?',
+                [hash, AUDIT_HEAD_KEY]
+            );
+
+            await connection.commit();
+            return { id, prevHash, hash };
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error appending audit entry:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Hash of the newest entry, with its system_settings row locked until the transaction ends
+    async lockAuditHead(connection) {
+        await connection.execute(
+            `INSERT IGNORE INTO system_settings (setting_key, setting_value, description) 
+             SELECT ?, COALESCE((SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1), ?), ?`,
+            [AUDIT_HEAD_KEY, AUDIT_GENESIS_HASH, 'Hash of the newest audit log entry']
+        );
+
+        const [rows] = await connection.execute(
+            'SELECT setting_value FROM system_settings WHERE setting_key = ? FOR UPDATE',
+            [AUDIT_HEAD_KEY]
+        );
+        return rows[0].setting_value;
+    }
+
+    async insertAuditEntry(connection, entry, prevHash, hash) {
+        const [result] = await connection.execute(
+            `INSERT INTO audit_log (actor, channel, action, target, parameters, outcome, error, prev_hash, hash, created_at) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [entry.actor, entry.channel, entry.action, entry.target, entry.parameters, entry.outcome, entry.error, prevHash, hash, entry.createdAt]
+        );
+        return result.insertId;
+    }
+
+    // Copy admin_audit_log, the admin-only log audit_log replaced, onto the chain in its
+    // original order, then drop it. toEntry(row) returns { entry, computeHash } like
+    // appendAuditEntry takes. The copy and a marker setting commit together, so a crash
+    // before the DROP never copies the rows twice. Returns how many rows were copied.
+    async importLegacyAdminAudit(toEntry) {
+        const connection = await this.pool.getConnection();
+        try {
+            if (!await this.tableExists(connection, 'admin_audit_log')) {
+                return 0;
+            }
+
+            let imported = 0;
+            const [marker] = await connection.execute(
+                'SELECT setting_value FROM system_settings WHERE setting_key = ?',
+                [LEGACY_ADMIN_AUDIT_KEY]
+            );
+
+            if (marker.length === 0) {
+                await connection.beginTransaction();
+                let prevHash = await this.lockAuditHead(connection);
+
+                const [rows] = await connection.execute('SELECT * FROM admin_audit_log ORDER BY id ASC');
+                for (const row of rows) {
+                    const { entry, computeHash } = toEntry(row);
+                    const hash = computeHash(prevHash);
+                    await this.insertAuditEntry(connection, entry, prevHash, hash);
+                    prevHash = hash;
+                }
+
+                await connection.execute(
+                    'UPDATE system_settings SET setting_value = ? WHERE setting_key = ?',
+                    [prevHash, AUDIT_HEAD_KEY]
+                );
+                await connection.execute(
+                    'INSERT INTO system_settings (setting_key, setting_value, description) VALUES (?, ?, ?)',
+                    [LEGACY_ADMIN_AUDIT_KEY, String(rows.length), 'Rows copied from admin_audit_log into audit_log']
+                );
+                await connection.commit();
+                imported = rows.length;
+            }
+
+            await connection.query('DROP TABLE admin_audit_log');
+            console.log('🔧 Dropped admin_audit_log; its rows are in audit_log');
+            return imported;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error importing admin audit log:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Newest first; filters: { actor, channel, action (prefix), from, to }
+    async queryAuditEntries(filters = {}, { beforeId = null, limit = 20 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.actor) {
+            conditions.push('actor = ?');
+            params.push(filters.actor);
+        }
+        if (filters.channel) {
+            conditions.push('channel = ?');
+            params.push(filters.channel);
+        }
+        if (filters.action) {
+            conditions.push('action LIKE ?');
+            params.push(`${filters.action.replace(/[%_\\]/g, '\\$&')}%`);
+        }
+        if (filters.from) {
+            conditions.push('created_at >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('created_at < ?');
+            params.push(filters.to);
+        }
+        if (beforeId) {
+            conditions.push('id < ?');
+            params.push(beforeId);
+        }
+
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT * FROM audit_log 
+                 ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} 
+                 ORDER BY id DESC 
+                 LIMIT ?`,
+                [...params, limit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error querying audit log:', error);
+            throw error;
+        }
+    }
+
+    // Oldest first, for walking the chain
+    async getAuditEntriesAfter(afterId, limit) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT * FROM audit_log WHERE id > ? ORDER BY id ASC LIMIT ?',
+                [afterId, limit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error reading audit log:', error);
+            throw error;
+        }
+    }
+
+    // Sweep queue operations
+    // Queue a job for each address without an open one; returns how many were queued
+    async enqueueSweepJobs(source, maxAttempts, addressIds) {
+        if (addressIds.length === 0) {
+            return 0;
+        }
+
+        try {
+            const [result] = await this.pool.execute(
+                `INSERT IGNORE INTO sweep_jobs (address_id, open_address_id, source, max_attempts)
+                 SELECT id, id, ?, ? FROM addresses WHERE id IN (${addressIds.map(() => '?').join(', ')})`,
+                [source, maxAttempts, ...addressIds]
+            );
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error enqueueing sweep jobs:', error);
+            throw error;
+        }
+    }
+
+    // Lease the next due job to a worker. A running job whose lease expired belongs to a
+    // worker that died, so it is due again; the conditional UPDATE makes each claim atomic.
+    async claimSweepJob(owner, leaseSeconds) {
+        const claimable = `attempts < max_attempts AND (
+                     (status = 'queued' AND run_after <= NOW()) OR
+                     (status = 'running' AND lease_expires_at <= NOW())
+                 )`;
+
+        try {
+            const [candidates] = await this.pool.execute(
+                `SELECT id FROM sweep_jobs WHERE ${claimable} ORDER BY run_after, id LIMIT ?`,
+                [10]
+            );
+
+            for (const candidate of candidates) {
+                const [result] = await this.pool.execute(
+                    `UPDATE sweep_jobs
+                     SET status = 'running', lease_owner = ?, lease_expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND),
+                         attempts = attempts + 1, started_at = NOW()
+                     WHERE id = ? AND ${claimable}`,
+                    [owner, leaseSeconds, candidate.id]
+                );
+                if (result.affectedRows === 1) {
+                    const [rows] = await this.pool.execute('SELECT * FROM sweep_jobs WHERE id = ?', [candidate.id]);
+                    return rows[0];
+                }
+            }
+
+            return null;
+        } catch (error) {
+            console.error('Error claiming sweep job:', error);
+            throw error;
+        }
+    }
+
+    // Returns false if the worker no longer holds the lease
+    async renewSweepJobLease(id, owner, leaseSeconds) {
+        try {
+            const [result] = await this.pool.execute(
+                `UPDATE sweep_jobs SET lease_expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+                 WHERE id = ? AND status = 'running' AND lease_owner = ?`,
+                [leaseSeconds, id, owner]
+            );
+            return result.affectedRows === 1;
+        } catch (error) {
+            console.error('Error renewing sweep job lease:', error);
+            throw error;
+        }
+    }
+
+    async completeSweepJob(id, owner, result) {
+        try {
+            const [update] = await this.pool.execute(
+                `UPDATE sweep_jobs
+                 SET status = 'completed', open_address_id = NULL, result = ?, last_error = NULL,
+                     lease_owner = NULL, lease_expires_at = NULL, finished_at = NOW()
+                 WHERE id = ? AND status = 'running' AND lease_owner = ?`,
+                [result, id, owner]
+            );
+            return update.affectedRows === 1;
+        } catch (error) {
+            console.error('Error completing sweep job:', error);
+            throw error;
+        }
+    }
+
+    // Requeue a failed attempt after retryInSeconds, or fail the job for good when null
+    async failSweepJob(id, owner, errorMessage, retryInSeconds = null) {
+        try {
+            const [update] = await this.pool.execute(
+                `UPDATE sweep_jobs
+                 SET status = IF(? IS NULL, 'failed', 'queued'),
+                     open_address_id = IF(? IS NULL, NULL, open_address_id),
+                     run_after = IF(? IS NULL, run_after, DATE_ADD(NOW(), INTERVAL ? SECOND)),
+                     finished_at = IF(? IS NULL, NOW(), NULL),
+                     last_error = ?, lease_owner = NULL, lease_expires_at = NULL
+                 WHERE id = ? AND status = 'running' AND lease_owner = ?`,
+                [retryInSeconds, retryInSeconds, retryInSeconds, retryInSeconds, retryInSeconds,
+                    errorMessage ? errorMessage.substring(0, 512) : null, id, owner]
+            );
+            return update.affectedRows === 1;
+        } catch (error) {
+            console.error('Error failing sweep job:', error);
+            throw error;
+        }
+    }
+
+    // Fail jobs whose worker died during their last allowed attempt
+    async failExpiredSweepJobs() {
+        try {
+            const [result] = await this.pool.execute(
+                `UPDATE sweep_jobs
+                 SET status = 'failed', open_address_id = NULL, finished_at = NOW(),
+                     last_error = 'Lease expired on the last attempt', lease_owner = NULL, lease_expires_at = NULL
+                 WHERE status = 'running' AND lease_expires_at <= NOW() AND attempts >= max_attempts`
+            );
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error failing expired sweep jobs:', error);
+            throw error;
+        }
+    }
+
+    // Sweeps broadcast earlier that are still waiting for confirmation
+    async hasPendingSweep(addressId) {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT id FROM transactions WHERE address_id = ? AND tx_type = 'sweep' AND status = 'pending' LIMIT 1`,
+                [addressId]
+            );
+            return rows.length > 0;
+        } catch (error) {
+            console.error('Error checking pending sweeps:', error);
+            throw error;
+        }
+    }
+
+    async getSweepJobStats() {
+        try {
+            const [counts] = await this.pool.execute(
+                'SELECT status, COUNT(*) as count FROM sweep_jobs GROUP BY status'
+            );
+            const [latest] = await this.pool.execute(
+                `SELECT MAX(finished_at) as last_finished FROM sweep_jobs WHERE status = 'completed'`
+            );
+            const [lastFailure] = await this.pool.execute(
+                `SELECT last_error, finished_at FROM sweep_jobs WHERE status = 'failed' ORDER BY finished_at DESC LIMIT 1`
+            );
+
+            const stats = { queued: 0, running: 0, completed: 0, failed: 0 };
+            for (const row of counts) {
+                stats[row.status] = row.count;
+            }
+
+            return {
+                ...stats,
+                lastSweepTime: latest[0].last_finished,
+                lastError: lastFailure[0] ? lastFailure[0].last_error : null
+            };
+        } catch (error) {
+            console.error('Error getting sweep job stats:', error);
+            throw error;
+        }
+    }
+
+    // Confirmed sweeps per token, from the ledger so old transactions can be pruned
+    async getSweptTotals() {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT l.token, SUM(l.debit) as total
+                 FROM journal_lines l
+                 JOIN journal_entries e ON l.entry_id = e.id
+                 WHERE e.entry_type = 'sweep' AND l.account = ?
+                 GROUP BY l.token`,
+                [LEDGER_ACCOUNTS.MASTER_WALLET]
+            );
+
+            const totals = {};
+            for (const row of rows) {
+                totals[row.token] = normalizeAmount(row.total);
+            }
+            return totals;
+        } catch (error) {
+            console.error('Error getting swept totals:', error);
+            throw error;
+        }
+    }
+
+    async deleteSweepJobsBefore(days) {
+        try {
+            const [result] = await this.pool.execute(
+                `DELETE FROM sweep_jobs WHERE status IN ('completed', 'failed') AND finished_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+                [days]
+            );
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error deleting old sweep jobs:', error);
+            throw error;
+        }
+    }
+
+    // System settings operations
+    async getSetting(key) {
+        try {
+            const [rows] = await this.pool.execute(
+                'SELECT setting_value FROM system_settings WHERE setting_key = ?',
+                [key]
+            );
+            return rows[0] ? rows[0].setting_value : null;
+        } catch (error) {
+            console.error('Error getting setting:', error);
+            throw error;
+        }
+    }
+
+    async setSetting(key, value, description = null) {
+        try {
+            await this.pool.execute(
+                'INSERT INTO system_settings (setting_key, setting_value, description) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), description = COALESCE(VALUES(description), description)',
+                [key, value, description]
+            );
+        } catch (error) {
+            console.error('Error saving setting:', error);
+            throw error;
+        }
+    }
+
+    // Store several settings in one transaction; settings is [{ key, value, description }]
+    async setSettings(settings) {
+        const connection = await this.pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            for (const { key, value, description = null } of settings) {
+                await connection.execute(
+                    'INSERT INTO system_settings (setting_key, setting_value, description) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), description = COALESCE(VALUES(description), description)',
+                    [key, value, description]
+                );
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error saving settings:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // System statistics
+    async getSystemStats() {
+        try {
+            const [userCount] = await this.pool.execute('SELECT COUNT(*) as count FROM users');
+            const [addressCount] = await this.pool.execute('SELECT COUNT(*) as count FROM addresses WHERE is_active = TRUE');
+            const [transactionCount] = await this.pool.execute('SELECT COUNT(*) as count FROM transactions');
+            const ledger = await this.getLedgerSummary();
+
+            // What users are owed, per token
+            const userBalances = {};
+            for (const row of ledger.filter(row => row.account === LEDGER_ACCOUNTS.USER)) {
+                userBalances[row.token] = row.balance;
+            }
 
             return {
                 totalUsers: userCount[0].count,
                 totalAddresses: addressCount[0].count,
                 totalTransactions: transactionCount[0].count,
-                totalBalance: parseFloat(totalBalance[0].total) || 0
+                userBalances,
+                ledger
             };
         } catch (error) {
             console.error('Error getting system stats:', error);
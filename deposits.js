@@ -0,0 +1,218 @@
+const database = require('./db');
+const walletManager = require('./wallet');
+const { TRX_DECIMALS, fromBaseUnits } = require('./amounts');
+require('dotenv').config();
+
+// system_settings key holding the last fully processed block
+const CURSOR_KEY = 'deposit_scan_last_block';
+
+// TRC20 method selectors: transfer(address,uint256) and transferFrom(address,address,uint256)
+const TRANSFER_SELECTOR = 'a9059cbb';
+const TRANSFER_FROM_SELECTOR = '23b872dd';
+
+class DepositScanner {
+    constructor() {
+        this.batchSize = parseInt(process.env.DEPOSIT_SCAN_BATCH_SIZE) || 20;
+        this.maxBlocksPerRun = parseInt(process.env.DEPOSIT_SCAN_MAX_BLOCKS) || 1000;
+        this.isScanning = false;
+        this.scanStats = {
+            lastScannedBlock: null,
+            lastScanTime: null,
+            depositsFound: 0,
+            errors: 0
+        };
+    }
+
+    // Load the cursor, starting from DEPOSIT_SCAN_START_BLOCK or the chain head on first run
+    async getCursor(latestBlock) {
+        const stored = await database.getSetting(CURSOR_KEY);
+        if (stored !== null) {
+            return parseInt(stored);
+        }
+
+        const startBlock = process.env.DEPOSIT_SCAN_START_BLOCK
+            ? parseInt(process.env.DEPOSIT_SCAN_START_BLOCK) - 1
+            : latestBlock;
+
+        await database.setSetting(CURSOR_KEY, String(startBlock), 'Last block processed by the deposit scanner');
+        return startBlock;
+    }
+
+    // Scan new blocks and record deposits to known addresses
+    async scan() {
+        if (this.isScanning) {
+            console.log('⏭️  Deposit scan already running, skipping');
+            return [];
+        }
+
+        this.isScanning = true;
+        const deposits = [];
+
+        try {
+            const latestBlock = await walletManager.getCurrentBlockNumber();
+            let cursor = await this.getCursor(latestBlock);
+            const targetBlock = Math.min(latestBlock, cursor + this.maxBlocksPerRun);
+
+            while (cursor < targetBlock) {
+                const start = cursor + 1;
+                const end = Math.min(start + this.batchSize - 1, targetBlock);
+
+                const blocks = await walletManager.getBlockRange(start, end);
+                if (blocks.length !== end - start + 1) {
+                    throw new Error(`Incomplete block range ${start}-${end}: got ${blocks.length} blocks`);
+                }
+
+                deposits.push(...await this.processBlocks(blocks));
+
+                // Only advance once every deposit in the batch is stored
+                await database.setSetting(CURSOR_KEY, String(end));
+                cursor = end;
+            }
+
+            this.scanStats.lastScannedBlock = cursor;
+            this.scanStats.lastScanTime = new Date().toISOString();
+            this.scanStats.depositsFound += deposits.length;
+
+            return deposits;
+
+        } catch (error) {
+            console.error('❌ Error scanning for deposits:', error);
+            this.scanStats.errors++;
+            return deposits;
+        } finally {
+            this.isScanning = false;
+        }
+    }
+
+    // Match transfers in the given blocks against the addresses table
+    async processBlocks(blocks) {
+        const tokens = await walletManager.getTokens();
+        const tokenMap = new Map(tokens.map(token => [token.contract_address, token]));
+
+        const transfers = [];
+        for (const block of blocks) {
+            transfers.push(...this.extractTransfers(block, tokenMap));
+        }
+
+        // Funding sent from the master wallet is not a deposit
+        const incoming = transfers.filter(transfer => transfer.from !== walletManager.masterAddress);
+        if (incoming.length === 0) {
+            return [];
+        }
+
+        const recipients = [...new Set(incoming.map(transfer => transfer.to))];
+        const knownAddresses = await database.getAddressesByAddressList(recipients);
+        const addressMap = new Map(knownAddresses.map(addr => [addr.address, addr]));
+
+        const deposits = [];
+        for (const transfer of incoming) {
+            const addressData = addressMap.get(transfer.to);
+            if (!addressData) {
+                continue;
+            }
+
+            const inserted = await database.recordDeposit(
+                addressData.id,
+                transfer.txHash,
+                transfer.from,
+                transfer.to,
+                transfer.amount,
+                transfer.tokenContract,
+                transfer.blockNumber,
+                transfer.symbol
+            );
+
+            if (inserted) {
+                console.log(`📥 Deposit of ${transfer.amount} ${transfer.symbol} to ${transfer.to}`);
+                walletManager.invalidateBalances([transfer.to]);
+                deposits.push({ ...transfer, address: addressData });
+            }
+        }
+
+        return deposits;
+    }
+
+    // Extract successful TRX and registered token transfers from a block
+    extractTransfers(block, tokenMap) {
+        const blockNumber = block.block_header.raw_data.number;
+        const transfers = [];
+
+        for (const tx of block.transactions || []) {
+            if (!tx.ret || tx.ret[0].contractRet !== 'SUCCESS') {
+                continue;
+            }
+
+            const contract = tx.raw_data.contract[0];
+            const value = contract.parameter.value;
+
+            if (contract.type === 'TransferContract') {
+                transfers.push({
+                    txHash: tx.txID,
+                    from: walletManager.tronWeb.address.fromHex(value.owner_address),
+                    to: walletManager.tronWeb.address.fromHex(value.to_address),
+                    amount: fromBaseUnits(BigInt(value.amount), TRX_DECIMALS),
+                    tokenContract: null,
+                    symbol: 'TRX',
+                    blockNumber
+                });
+            } else if (contract.type === 'TriggerSmartContract') {
+                const contractAddress = walletManager.tronWeb.address.fromHex(value.contract_address);
+                const token = tokenMap.get(contractAddress);
+                if (!token || !value.data) {
+                    continue;
+                }
+
+                const transfer = this.decodeTokenTransfer(value.data, value.owner_address, token.decimals);
+                if (transfer) {
+                    transfers.push({
+                        txHash: tx.txID,
+                        ...transfer,
+                        tokenContract: contractAddress,
+                        symbol: token.symbol,
+                        blockNumber
+                    });
+                }
+            }
+        }
+
+        return transfers;
+    }
+
+    // Decode transfer/transferFrom call data into from, to and amount (a decimal string)
+    decodeTokenTransfer(data, ownerAddress, decimals) {
+        const selector = data.substring(0, 8);
+        const words = [];
+        for (let i = 8; i + 64 <= data.length; i += 64) {
+            words.push(data.substring(i, i + 64));
+        }
+
+        const toAddress = (word) => walletManager.tronWeb.address.fromHex('41' + word.substring(24));
+        const toAmount = (word) => fromBaseUnits(BigInt('0x' + word), decimals);
+
+        if (selector === TRANSFER_SELECTOR && words.length >= 2) {
+            return {
+                from: walletManager.tronWeb.address.fromHex(ownerAddress),
+                to: toAddress(words[0]),
+                amount: toAmount(words[1])
+            };
+        }
+
+        if (selector === TRANSFER_FROM_SELECTOR && words.length >= 3) {
+            return {
+                from: toAddress(words[0]),
+                to: toAddress(words[1]),
+                amount: toAmount(words[2])
+            };
+        }
+
+        return null;
+    }
+
+    getStats() {
+        return { ...this.scanStats, isScanning: this.isScanning };
+    }
+}
+
+// Export singleton instance
+const depositScanner = new DepositScanner();
+module.exports = depositScanner;
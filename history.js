@@ -0,0 +1,190 @@
+const database = require('./db');
+const walletManager = require('./wallet');
+const { normalizeAmount } = require('./amounts');
+require('dotenv').config();
+
+const TX_TYPES = ['deposit', 'sweep', 'withdrawal', 'gas_funding'];
+const TX_STATUSES = ['pending', 'confirmed', 'failed'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rows fetched per query while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+const CSV_COLUMNS = ['id', 'timestamp', 'type', 'status', 'token', 'amount', 'fee', 'address', 'label', 'fromAddress', 'toAddress', 'txHash', 'blockNumber'];
+
+class TransactionHistory {
+    // Validate filters given as { type, status, token, address, from, to }; dates are ISO
+    // strings, and a date-only "to" includes that whole day
+    async resolveFilters(input = {}) {
+        const filters = {};
+
+        if (input.type) {
+            if (!TX_TYPES.includes(input.type)) {
+                throw new Error(`Unknown type ${input.type}. Use one of: ${TX_TYPES.join(', ')}`);
+            }
+            filters.type = input.type;
+        }
+
+        if (input.status) {
+            if (!TX_STATUSES.includes(input.status)) {
+                throw new Error(`Unknown status ${input.status}. Use one of: ${TX_STATUSES.join(', ')}`);
+            }
+            filters.status = input.status;
+        }
+
+        if (input.token) {
+            const symbol = String(input.token).toUpperCase();
+            if (symbol === 'TRX') {
+                filters.tokenContract = null;
+            } else {
+                const token = await walletManager.getTokenBySymbol(symbol);
+                if (!token) {
+                    throw new Error(`Unknown token ${symbol}`);
+                }
+                filters.tokenContract = token.contract_address;
+            }
+        }
+
+        if (input.address) {
+            if (!walletManager.isValidAddress(input.address)) {
+                throw new Error('Invalid address filter');
+            }
+            filters.address = input.address;
+        }
+
+        for (const key of ['from', 'to']) {
+            if (!input[key]) {
+                continue;
+            }
+            const date = new Date(input[key]);
+            if (isNaN(date.getTime())) {
+                throw new Error(`Invalid ${key} date: ${input[key]}`);
+            }
+            if (key === 'to' && DATE_ONLY.test(input[key])) {
+                date.setUTCDate(date.getUTCDate() + 1);
+            }
+            filters[key] = date;
+        }
+
+        return filters;
+    }
+
+    // Parse bot arguments like "type:deposit token:USDT from:2026-01-01"
+    parseFilterArgs(args) {
+        const input = {};
+        for (const part of (args || '').trim().split(/\s+/).filter(Boolean)) {
+            const [key, ...rest] = part.split(':');
+            if (!['type', 'status', 'token', 'address', 'from', 'to'].includes(key) || rest.length === 0) {
+                throw new Error(`Unknown filter "${part}". Use type:, status:, token:, address:, from: or to:`);
+            }
+            input[key] = rest.join(':');
+        }
+        return input;
+    }
+
+    describeFilters(input) {
+        return Object.entries(input).map(([key, value]) => `${key}: ${value}`).join(', ');
+    }
+
+    async serialize(tx) {
+        return {
+            id: tx.id,
+            timestamp: new Date(tx.timestamp).toISOString(),
+            type: tx.tx_type,
+            status: tx.status,
+            token: await walletManager.getTokenSymbol(tx.token_contract),
+            amount: normalizeAmount(tx.amount),
+            fee: tx.fee === null ? null : normalizeAmount(tx.fee),
+            address: tx.address || null,
+            label: tx.label || null,
+            fromAddress: tx.from_address,
+            toAddress: tx.to_address,
+            txHash: tx.tx_hash,
+            blockNumber: tx.block_number
+        };
+    }
+
+    // Offset page for the bot: { transactions, total, page, pageCount }
+    async getPage(userId, filters, page, pageSize) {
+        const total = await database.countUserTransactions(userId, filters);
+        const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+        const current = Math.min(Math.max(page, 0), pageCount - 1);
+
+        const rows = await database.queryUserTransactions(userId, filters, { limit: pageSize, offset: current * pageSize });
+        const transactions = [];
+        for (const row of rows) {
+            transactions.push(await this.serialize(row));
+        }
+
+        return { transactions, total, page: current, pageCount };
+    }
+
+    // Cursors are opaque to clients; they wrap the id of the last row returned
+    decodeCursor(cursor) {
+        if (!cursor) {
+            return null;
+        }
+
+        const beforeId = parseInt(Buffer.from(String(cursor), 'base64url').toString());
+        if (!(beforeId > 0)) {
+            throw new Error('Invalid cursor');
+        }
+        return beforeId;
+    }
+
+    // Cursor page for the API: { transactions, nextCursor }
+    async getCursorPage(userId, filters, cursor = null, limit = 50) {
+        const beforeId = this.decodeCursor(cursor);
+
+        // Fetch one extra row to know whether another page exists
+        const rows = await database.queryUserTransactions(userId, filters, { limit: limit + 1, beforeId });
+        const hasMore = rows.length > limit;
+        const transactions = [];
+        for (const row of rows.slice(0, limit)) {
+            transactions.push(await this.serialize(row));
+        }
+
+        return {
+            transactions,
+            nextCursor: hasMore ? Buffer.from(String(transactions[transactions.length - 1].id)).toString('base64url') : null
+        };
+    }
+
+    // Full history as CSV, newest first
+    async exportCsv(userId, filters) {
+        const lines = [CSV_COLUMNS.join(',')];
+        let beforeId = null;
+
+        for (;;) {
+            const rows = await database.queryUserTransactions(userId, filters, { limit: EXPORT_BATCH_SIZE, beforeId });
+            for (const row of rows) {
+                const tx = await this.serialize(row);
+                lines.push(CSV_COLUMNS.map(column => this.csvValue(tx[column])).join(','));
+            }
+
+            if (rows.length < EXPORT_BATCH_SIZE) {
+                break;
+            }
+            beforeId = rows[rows.length - 1].id;
+        }
+
+        return { csv: lines.join('\r\n') + '\r\n', count: lines.length - 1 };
+    }
+
+    // Quote values per RFC 4180 and neutralise spreadsheet formulas
+    csvValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        let text = String(value);
+        if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Export singleton instance
+const transactionHistory = new TransactionHistory();
+module.exports = transactionHistory;
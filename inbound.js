@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const database = require('./db');
+const walletManager = require('./wallet');
+const depositScanner = require('./deposits');
+require('dotenv').config();
+
+// How far the signed timestamp may drift from our clock
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Error carrying the HTTP status the webhook route should answer with
+function rejection(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class InboundWebhookProcessor {
+    constructor() {
+        this.secret = process.env.INBOUND_WEBHOOK_SECRET;
+        this.toleranceSeconds = parseInt(process.env.INBOUND_WEBHOOK_TOLERANCE_SECONDS) || SIGNATURE_TOLERANCE_SECONDS;
+    }
+
+    // Check X-Webhook-Signature (t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.nonce.body">)
+    // and claim X-Webhook-Nonce so the same request cannot be accepted twice. Returns the
+    // nonce, for process to release if the request cannot be handled.
+    async verify(headers, rawBody) {
+        if (!this.secret) {
+            throw rejection('Inbound webhooks are not configured', 503);
+        }
+
+        const nonce = headers['x-webhook-nonce'];
+        const signatureHeader = headers['x-webhook-signature'] || '';
+        const parts = Object.fromEntries(signatureHeader.split(',').map(part => part.trim().split('=')));
+        const timestamp = parseInt(parts.t);
+
+        if (!nonce || nonce.length > 128 || !timestamp || !parts.v1) {
+            throw rejection('Missing webhook signature', 401);
+        }
+
+        if (Math.abs(Date.now() / 1000 - timestamp) > this.toleranceSeconds) {
+            throw rejection('Webhook timestamp outside tolerance', 401);
+        }
+
+        const expected = crypto.createHmac('sha256', this.secret)
+            .update(`${timestamp}.${nonce}.`)
+            .update(rawBody || Buffer.alloc(0))
+            .digest();
+        const received = Buffer.from(parts.v1, 'hex');
+
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            throw rejection('Invalid webhook signature', 401);
+        }
+
+        if (!await database.claimWebhookNonce(nonce)) {
+            throw rejection('Webhook already processed', 409);
+        }
+        return nonce;
+    }
+
+    // Re-read the transaction from the chain and record it as a deposit to the payload's address.
+    // Returns the deposit (as the scanner would report it) and whether it was newly recorded.
+    // When that fails, e.g. because the transaction is not on chain yet, the nonce claimed by
+    // verify is released so the sender can retry the same signed request.
+    async process(payload, nonce = null) {
+        try {
+            return await this.ingest(payload);
+        } catch (error) {
+            if (nonce) {
+                try {
+                    await database.releaseWebhookNonce(nonce);
+                } catch (releaseError) {
+                    // Logged in releaseWebhookNonce; the retry will get 409
+                }
+            }
+            throw error;
+        }
+    }
+
+    async ingest(payload) {
+        const { txHash, address, amount, type } = payload || {};
+
+        if (type && type !== 'deposit') {
+            throw rejection(`Unsupported transaction type: ${type}`, 422);
+        }
+        if (!txHash || !/^[0-9a-fA-F]{64}$/.test(txHash) || !walletManager.isValidAddress(address)) {
+            throw rejection('txHash and a valid address are required', 400);
+        }
+
+        const [addressData] = await database.getAddressesByAddressList([address]);
+        if (!addressData) {
+            throw rejection('Unknown address', 404);
+        }
+
+        // Never trust the payload: the transfer must be on chain, successful and pay this address
+        const [txInfo, transaction] = await Promise.all([
+            walletManager.getTransactionInfo(txHash),
+            walletManager.getTransaction(txHash)
+        ]);
+
+        if (!txInfo || !txInfo.blockNumber || !transaction || !transaction.raw_data) {
+            throw rejection('Transaction not found on chain', 404);
+        }
+        if (txInfo.result === 'FAILED' || (txInfo.receipt && txInfo.receipt.result && txInfo.receipt.result !== 'SUCCESS')) {
+            throw rejection('Transaction failed on chain', 422);
+        }
+
+        const tokens = await walletManager.getTokens();
+        const tokenMap = new Map(tokens.map(token => [token.contract_address, token]));
+        const block = { block_header: { raw_data: { number: txInfo.blockNumber } }, transactions: [transaction] };
+
+        const transfer = depositScanner.extractTransfers(block, tokenMap)
+            .find(candidate => candidate.to === address && candidate.from !== walletManager.masterAddress);
+        if (!transfer) {
+            throw rejection('Transaction is not a deposit to this address', 422);
+        }
+
+        if (amount !== undefined && String(amount) !== transfer.amount) {
+            console.warn(`⚠️  Webhook amount ${amount} for ${txHash} differs from on-chain ${transfer.amount} ${transfer.symbol}`);
+        }
+
+        const created = await database.recordDeposit(
+            addressData.id,
+            transfer.txHash,
+            transfer.from,
+            transfer.to,
+            transfer.amount,
+            transfer.tokenContract,
+            transfer.blockNumber,
+            transfer.symbol
+        );
+
+        if (created) {
+            console.log(`📥 Deposit of ${transfer.amount} ${transfer.symbol} to ${transfer.to} via webhook`);
+            walletManager.invalidateBalances([transfer.to]);
+        }
+
+        return { deposit: { ...transfer, address: addressData }, created };
+    }
+
+    async cleanupNonces() {
+        return await database.deleteWebhookNoncesBefore(this.toleranceSeconds * 2);
+    }
+}
+
+// Export singleton instance
+const inboundWebhookProcessor = new InboundWebhookProcessor();
+module.exports = inboundWebhookProcessor;
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const database = require('./db');
+const walletManager = require('./wallet');
+const { TRX_DECIMALS, toBaseUnits, fromBaseUnits, normalizeAmount, compareAmounts } = require('./amounts');
+require('dotenv').config();
+
+// Longest an invoice may stay open
+const MAX_EXPIRY_MINUTES = 7 * 24 * 60;
+
+// Statuses that can still receive a transition
+const OPEN_STATUSES = ['pending', 'partially_paid'];
+
+class InvoiceManager {
+    constructor() {
+        this.defaultExpiryMinutes = parseInt(process.env.INVOICE_EXPIRY_MINUTES) || 60;
+    }
+
+    // Create an invoice for the user on a fresh HD address. options.by is who asked for it,
+    // recorded with the address in the audit log.
+    async createInvoice(userId, token, amount, options = {}) {
+        const { expiresInMinutes = this.defaultExpiryMinutes, description = null, apiKeyId = null, by } = options;
+
+        try {
+            const tokenData = token === 'TRX' ? null : await walletManager.getTokenBySymbol(token);
+            if (token !== 'TRX' && (!tokenData || !tokenData.is_enabled)) {
+                throw new Error(`Unsupported token: ${token}`);
+            }
+
+            const decimals = tokenData ? tokenData.decimals : TRX_DECIMALS;
+            let baseUnits;
+            try {
+                baseUnits = toBaseUnits(amount, decimals);
+            } catch (error) {
+                throw new Error(`Amount must be a number with at most ${decimals} decimals`);
+            }
+            if (baseUnits <= 0n) {
+                throw new Error('Amount must be greater than zero');
+            }
+
+            const minutes = parseInt(expiresInMinutes);
+            if (!(minutes > 0) || minutes > MAX_EXPIRY_MINUTES) {
+                throw new Error(`Expiry must be between 1 and ${MAX_EXPIRY_MINUTES} minutes`);
+            }
+
+            const id = crypto.randomUUID();
+            const amountExpected = fromBaseUnits(baseUnits, decimals);
+            const addressData = await walletManager.createUserAddress(userId, `Invoice ${id.substring(0, 8)}`, by);
+
+            await database.createInvoice(id, userId, addressData.id, token, amountExpected, minutes, description, apiKeyId);
+            console.log(`🧾 Invoice ${id} for ${amountExpected} ${token} on ${addressData.address}`);
+
+            return await this.getInvoice(id);
+        } catch (error) {
+            console.error('Error creating invoice:', error);
+            throw error;
+        }
+    }
+
+    async getInvoice(id, apiKeyId = null) {
+        const invoice = await database.getInvoice(id, apiKeyId);
+        return invoice ? this.serialize(invoice) : null;
+    }
+
+    // Public shape of an invoice row
+    serialize(invoice) {
+        return {
+            id: invoice.id,
+            status: invoice.status,
+            token: invoice.token,
+            address: invoice.address,
+            amountExpected: normalizeAmount(invoice.amount_expected),
+            amountReceived: normalizeAmount(invoice.amount_received),
+            description: invoice.description,
+            userId: invoice.telegram_id,
+            expiresAt: new Date(invoice.expires_at).toISOString(),
+            paidAt: invoice.paid_at ? new Date(invoice.paid_at).toISOString() : null,
+            createdAt: new Date(invoice.created_at).toISOString()
+        };
+    }
+
+    statusFor(amountExpected, amountReceived) {
+        if (compareAmounts(amountReceived, 0) <= 0) {
+            return 'pending';
+        }
+
+        const comparison = compareAmounts(amountReceived, amountExpected);
+        if (comparison < 0) {
+            return 'partially_paid';
+        }
+        return comparison === 0 ? 'paid' : 'overpaid';
+    }
+
+    // Recount an invoice after a confirmed deposit to its address.
+    // Returns { invoice, from, to, userId } when its status changed, otherwise null.
+    async applyConfirmedDeposit(tx) {
+        if (tx.tx_type !== 'deposit' || !tx.address_id) {
+            return null;
+        }
+
+        const invoice = await database.getInvoiceByAddressId(tx.address_id);
+        if (!invoice) {
+            return null;
+        }
+
+        const symbol = await walletManager.getTokenSymbol(tx.token_contract);
+        if (symbol !== invoice.token) {
+            console.warn(`⚠️  ${symbol} deposit ${tx.tx_hash} to invoice ${invoice.id} expecting ${invoice.token}`);
+            return null;
+        }
+
+        const received = await database.getConfirmedDepositTotal(tx.address_id, tx.token_contract);
+
+        // Late payments are still counted, but an expired invoice stays expired. Deposits
+        // detected before the deadline hold off expiry until they confirm.
+        const to = OPEN_STATUSES.includes(invoice.status)
+            ? this.statusFor(invoice.amount_expected, received)
+            : invoice.status;
+
+        const updated = await database.updateInvoiceStatus(invoice.id, invoice.status, to, received);
+        if (!updated || to === invoice.status) {
+            return null;
+        }
+
+        console.log(`🧾 Invoice ${invoice.id}: ${invoice.status} → ${to}`);
+        return { invoice: await this.getInvoice(invoice.id), from: invoice.status, to, userId: invoice.user_id };
+    }
+
+    // Expire open invoices past their deadline; returns the transitions
+    async expireDue() {
+        const transitions = [];
+
+        try {
+            for (const invoice of await database.getExpiredOpenInvoices()) {
+                if (await database.updateInvoiceStatus(invoice.id, invoice.status, 'expired', invoice.amount_received)) {
+                    console.log(`⌛ Invoice ${invoice.id} expired`);
+                    transitions.push({ invoice: await this.getInvoice(invoice.id), from: invoice.status, to: 'expired', userId: invoice.user_id });
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error expiring invoices:', error);
+        }
+
+        return transitions;
+    }
+}
+
+// Export singleton instance
+const invoiceManager = new InvoiceManager();
+module.exports = invoiceManager;
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const CryptoJS = require('crypto-js');
+require('dotenv').config();
+
+// Rows written by the old CryptoJS passphrase encryption carry key version 0
+const LEGACY_KEY_VERSION = 0;
+
+// Ciphertext layout: gcm1:<salt>:<iv>:<tag>:<ciphertext>, all base64
+const FORMAT_PREFIX = 'gcm1';
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+class KeyRing {
+    constructor() {
+        this.currentVersion = parseInt(process.env.ENCRYPTION_KEY_VERSION) || 1;
+        this.passphrases = this.loadPassphrases();
+        this.masterKeys = new Map();
+    }
+
+    // ENCRYPTION_KEY is the current key; OLD_ENCRYPTION_KEYS ("1:old,2:older") keeps
+    // retired keys readable until every row has been rotated
+    loadPassphrases() {
+        const passphrases = new Map();
+
+        for (const entry of (process.env.OLD_ENCRYPTION_KEYS || '').split(',').filter(Boolean)) {
+            const separator = entry.indexOf(':');
+            const version = parseInt(entry.substring(0, separator));
+            if (separator < 1 || isNaN(version) || version < 0) {
+                throw new Error('OLD_ENCRYPTION_KEYS must look like "1:passphrase,2:passphrase"');
+            }
+            passphrases.set(version, entry.substring(separator + 1));
+        }
+
+        if (process.env.ENCRYPTION_KEY) {
+            passphrases.set(this.currentVersion, process.env.ENCRYPTION_KEY);
+            // Before versioning, ENCRYPTION_KEY was the CryptoJS passphrase itself
+            if (!passphrases.has(LEGACY_KEY_VERSION)) {
+                passphrases.set(LEGACY_KEY_VERSION, process.env.ENCRYPTION_KEY);
+            }
+        }
+
+        return passphrases;
+    }
+
+    getPassphrase(version) {
+        const passphrase = this.passphrases.get(version);
+        if (!passphrase) {
+            throw new Error(`No encryption key configured for key version ${version}`);
+        }
+        return passphrase;
+    }
+
+    // scrypt is slow on purpose, so each version's master key is derived once
+    getMasterKey(version) {
+        if (!this.masterKeys.has(version)) {
+            const salt = `trc20-wallet-bot:key-version:${version}`;
+            this.masterKeys.set(version, crypto.scryptSync(this.getPassphrase(version), salt, 32));
+        }
+        return this.masterKeys.get(version);
+    }
+
+    // Per-record key from the version's master key and the record's random salt
+    getRecordKey(version, salt) {
+        return Buffer.from(crypto.hkdfSync('sha256', this.getMasterKey(version), salt, 'private-key', 32));
+    }
+
+    // AES-256-GCM under the current key; associatedData (the address) is authenticated
+    // but not stored, so a ciphertext only decrypts on the row it was written for
+    encrypt(plaintext, associatedData) {
+        const version = this.currentVersion;
+        const salt = crypto.randomBytes(SALT_BYTES);
+        const iv = crypto.randomBytes(IV_BYTES);
+
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getRecordKey(version, salt), iv);
+        cipher.setAAD(Buffer.from(associatedData));
+        const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+        return {
+            encrypted: [FORMAT_PREFIX, salt, iv, cipher.getAuthTag(), ciphertext]
+                .map(part => Buffer.isBuffer(part) ? part.toString('base64') : part)
+                .join(':'),
+            keyVersion: version
+        };
+    }
+
+    // Throws when the key is wrong or the ciphertext was tampered with
+    decrypt(encrypted, version, associatedData) {
+        if (version === LEGACY_KEY_VERSION) {
+            return this.decryptLegacy(encrypted);
+        }
+
+        const [prefix, salt, iv, tag, ciphertext] = String(encrypted).split(':');
+        if (prefix !== FORMAT_PREFIX || !ciphertext) {
+            throw new Error(`Unrecognised ciphertext for key version ${version}`);
+        }
+
+        const saltBytes = Buffer.from(salt, 'base64');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.getRecordKey(version, saltBytes), Buffer.from(iv, 'base64'));
+        decipher.setAAD(Buffer.from(associatedData));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+        try {
+            return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw new Error(`Decryption failed for key version ${version}: wrong key or corrupted data`);
+        }
+    }
+
+    // CryptoJS yields an empty or malformed string on a wrong passphrase instead of failing
+    decryptLegacy(encrypted) {
+        let plaintext = '';
+        try {
+            plaintext = CryptoJS.AES.decrypt(encrypted, this.getPassphrase(LEGACY_KEY_VERSION)).toString(CryptoJS.enc.Utf8);
+        } catch (error) {
+            // Malformed UTF-8 means the passphrase is wrong
+        }
+
+        if (!plaintext) {
+            throw new Error('Decryption failed for legacy key version 0: wrong key or corrupted data');
+        }
+        return plaintext;
+    }
+
+    needsRotation(version) {
+        return version !== this.currentVersion;
+    }
+}
+
+// Export singleton instance
+const keyRing = new KeyRing();
+module.exports = keyRing;
@@ -0,0 +1,224 @@
+const database = require('./db');
+const { normalizeAmount, compareAmounts } = require('./amounts');
+require('dotenv').config();
+
+// Alert categories and the preference column that switches each one
+const CATEGORY_COLUMNS = {
+    deposit: 'deposit_alerts',
+    sweep: 'sweep_alerts',
+    withdrawal: 'withdrawal_alerts'
+};
+
+const DEFAULT_PREFERENCES = {
+    deposit_alerts: true,
+    sweep_alerts: true,
+    withdrawal_alerts: true,
+    min_amount: '0',
+    quiet_start: null,
+    quiet_end: null,
+    timezone: 'UTC',
+    language: 'en'
+};
+
+const LANGUAGES = {
+    en: 'English',
+    es: 'Español'
+};
+
+function short(value) {
+    return `${String(value).substring(0, 10)}...`;
+}
+
+// Notification texts per language; amounts arrive already formatted
+const TEMPLATES = {
+    en: {
+        types: { deposit: 'deposit', sweep: 'sweep', withdrawal: 'withdrawal' },
+        invoiceStatuses: {
+            partially_paid: '🟡 Invoice partially paid',
+            paid: '✅ Invoice paid!',
+            overpaid: '🟢 Invoice overpaid',
+            expired: '⌛ Invoice expired'
+        },
+        depositDetected: p => `📥 Deposit received!\n\n💰 Amount: ${p.amount}\n📍 To: ${short(p.address)}\n🔗 Tx: ${short(p.txHash)}\n\n⏳ Waiting for confirmation`,
+        txConfirmed: p => `✅ Transaction confirmed!\n\n📋 Type: ${p.type}\n💰 Amount: ${p.amount}\n📍 Address: ${short(p.address)}\n🔗 Tx: ${short(p.txHash)}`,
+        txFailed: p => `❌ Transaction failed${p.reason ? ` (${p.reason})` : ''}\n\n📋 Type: ${p.type}\n💰 Amount: ${p.amount}\n📍 Address: ${short(p.address)}\n🔗 Tx: ${short(p.txHash)}`,
+        strayDeposit: p => `⚠️ Deposit to an archived address!\n\n💰 Amount: ${p.amount}\n📍 Address: ${p.address}\n🏷️ Label: ${p.label || 'none'}\n🔗 Tx: ${p.txHash}\n\nIt will still be credited once confirmed. Use /restore if you want to keep using this address.`,
+        invoiceStatus: p => `${p.statusLine}\n\n🧾 Invoice: ${p.id.substring(0, 8)}\n💰 Received: ${p.received} of ${p.expected}\n📍 Address: ${short(p.address)}`,
+        sweepCompleted: p => `✅ Auto-sweep completed!\n\n💰 Amount: ${p.amounts}\n📍 From: ${short(p.address)}\n🏦 To: Master Wallet\n\n🔗 Transactions: ${p.count}`
+    },
+    es: {
+        types: { deposit: 'depósito', sweep: 'barrido', withdrawal: 'retiro' },
+        invoiceStatuses: {
+            partially_paid: '🟡 Factura pagada parcialmente',
+            paid: '✅ ¡Factura pagada!',
+            overpaid: '🟢 Factura pagada de más',
+            expired: '⌛ Factura vencida'
+        },
+        depositDetected: p => `📥 ¡Depósito recibido!\n\n💰 Monto: ${p.amount}\n📍 A: ${short(p.address)}\n🔗 Tx: ${short(p.txHash)}\n\n⏳ Esperando confirmación`,
+        txConfirmed: p => `✅ ¡Transacción confirmada!\n\n📋 Tipo: ${p.type}\n💰 Monto: ${p.amount}\n📍 Dirección: ${short(p.address)}\n🔗 Tx: ${short(p.txHash)}`,
+        txFailed: p => `❌ Transacción fallida${p.reason ? ` (${p.reason})` : ''}\n\n📋 Tipo: ${p.type}\n💰 Monto: ${p.amount}\n📍 Dirección: ${short(p.address)}\n🔗 Tx: ${short(p.txHash)}`,
+        strayDeposit: p => `⚠️ ¡Depósito a una dirección archivada!\n\n💰 Monto: ${p.amount}\n📍 Dirección: ${p.address}\n🏷️ Etiqueta: ${p.label || 'ninguna'}\n🔗 Tx: ${p.txHash}\n\nSe acreditará igualmente una vez confirmado. Usa /restore si quieres seguir usando esta dirección.`,
+        invoiceStatus: p => `${p.statusLine}\n\n🧾 Factura: ${p.id.substring(0, 8)}\n💰 Recibido: ${p.received} de ${p.expected}\n📍 Dirección: ${short(p.address)}`,
+        sweepCompleted: p => `✅ ¡Barrido automático completado!\n\n💰 Monto: ${p.amounts}\n📍 Desde: ${short(p.address)}\n🏦 A: Billetera principal\n\n🔗 Transacciones: ${p.count}`
+    }
+};
+
+class NotificationManager {
+    constructor() {
+        this.languages = LANGUAGES;
+        this.categories = Object.keys(CATEGORY_COLUMNS);
+    }
+
+    // Stored preferences merged over the defaults
+    async getPreferences(userId) {
+        const stored = await database.getNotificationPreferences(userId);
+        if (!stored) {
+            return { ...DEFAULT_PREFERENCES };
+        }
+
+        return {
+            deposit_alerts: Boolean(stored.deposit_alerts),
+            sweep_alerts: Boolean(stored.sweep_alerts),
+            withdrawal_alerts: Boolean(stored.withdrawal_alerts),
+            min_amount: normalizeAmount(stored.min_amount),
+            quiet_start: stored.quiet_start,
+            quiet_end: stored.quiet_end,
+            timezone: stored.timezone,
+            language: LANGUAGES[stored.language] ? stored.language : DEFAULT_PREFERENCES.language
+        };
+    }
+
+    async toggleCategory(userId, category) {
+        const column = CATEGORY_COLUMNS[category];
+        if (!column) {
+            throw new Error(`Unknown alert category ${category}`);
+        }
+
+        const preferences = await this.getPreferences(userId);
+        await database.updateNotificationPreferences(userId, { [column]: !preferences[column] });
+        return !preferences[column];
+    }
+
+    async setMinAmount(userId, text) {
+        let amount;
+        try {
+            amount = normalizeAmount(String(text).trim());
+        } catch (error) {
+            throw new Error('Minimum amount must be a number');
+        }
+        if (compareAmounts(amount, 0) < 0) {
+            throw new Error('Minimum amount cannot be negative');
+        }
+
+        await database.updateNotificationPreferences(userId, { min_amount: amount });
+        return amount;
+    }
+
+    // "22-7" (hours in the user's timezone) or "off"
+    async setQuietHours(userId, text) {
+        const value = String(text).trim().toLowerCase();
+        if (value === 'off') {
+            await database.updateNotificationPreferences(userId, { quiet_start: null, quiet_end: null });
+            return null;
+        }
+
+        const match = value.match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+        const start = match ? parseInt(match[1]) : NaN;
+        const end = match ? parseInt(match[2]) : NaN;
+        if (!(start >= 0 && start <= 23 && end >= 0 && end <= 23) || start === end) {
+            throw new Error('Quiet hours must look like 22-7 (hours 0-23), or off');
+        }
+
+        await database.updateNotificationPreferences(userId, { quiet_start: start, quiet_end: end });
+        return { start, end };
+    }
+
+    async setTimezone(userId, text) {
+        const timezone = String(text).trim();
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            throw new Error('Unknown timezone. Use a name like Europe/Madrid or UTC');
+        }
+
+        await database.updateNotificationPreferences(userId, { timezone });
+        return timezone;
+    }
+
+    // Step through the supported languages
+    async cycleLanguage(userId) {
+        const preferences = await this.getPreferences(userId);
+        const codes = Object.keys(LANGUAGES);
+        const language = codes[(codes.indexOf(preferences.language) + 1) % codes.length];
+
+        await database.updateNotificationPreferences(userId, { language });
+        return language;
+    }
+
+    // Seconds until the user's quiet hours end, or 0 outside them
+    quietDelaySeconds(preferences, now = new Date()) {
+        if (preferences.quiet_start === null || preferences.quiet_end === null) {
+            return 0;
+        }
+
+        const parts = new Intl.DateTimeFormat('en-GB', {
+            timeZone: preferences.timezone,
+            hour: 'numeric',
+            minute: 'numeric',
+            hourCycle: 'h23'
+        }).formatToParts(now);
+        const hour = parseInt(parts.find(part => part.type === 'hour').value);
+        const minute = parseInt(parts.find(part => part.type === 'minute').value);
+
+        const { quiet_start: start, quiet_end: end } = preferences;
+        const quiet = start < end ? hour >= start && hour < end : hour >= start || hour < end;
+        if (!quiet) {
+            return 0;
+        }
+
+        const minutesUntilEnd = (end * 60 - (hour * 60 + minute) + 24 * 60) % (24 * 60);
+        return minutesUntilEnd * 60;
+    }
+
+    render(language, key, params) {
+        const templates = TEMPLATES[language] || TEMPLATES[DEFAULT_PREFERENCES.language];
+        return templates[key](params);
+    }
+
+    // Localised label for a transaction type or invoice status
+    label(language, group, value) {
+        const templates = TEMPLATES[language] || TEMPLATES[DEFAULT_PREFERENCES.language];
+        return templates[group][value] || value;
+    }
+
+    // Decide whether and when a user hears about something. amounts (decimal strings) are
+    // compared with the user's minimum; pass none for alerts that should ignore it.
+    // Returns { chatId, text, delaySeconds } or null when the user opted out.
+    async prepare(userId, category, key, params, amounts = []) {
+        // Users who blocked the bot are skipped until they talk to it again
+        const user = await database.getUserById(userId);
+        if (!user || !user.is_active) {
+            return null;
+        }
+
+        const preferences = await this.getPreferences(user.id);
+        if (CATEGORY_COLUMNS[category] && !preferences[CATEGORY_COLUMNS[category]]) {
+            return null;
+        }
+        if (amounts.length > 0 && amounts.every(amount => compareAmounts(amount, preferences.min_amount) < 0)) {
+            return null;
+        }
+
+        const text = this.render(preferences.language, key, typeof params === 'function' ? params(preferences.language) : params);
+
+        return {
+            chatId: user.telegram_id,
+            text,
+            delaySeconds: this.quietDelaySeconds(preferences)
+        };
+    }
+}
+
+// Export singleton instance
+const notificationManager = new NotificationManager();
+module.exports = notificationManager;
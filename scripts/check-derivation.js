@@ -0,0 +1,53 @@
+// One-off report of derivation index problems left by the old per-user index allocation.
+// Usage: npm run check:derivation
+const database = require('../db');
+const walletManager = require('../wallet');
+require('dotenv').config();
+
+async function main() {
+    if (!process.env.HD_WALLET_MNEMONIC) {
+        throw new Error('HD_WALLET_MNEMONIC must be set to verify derived addresses');
+    }
+
+    const report = await database.getDerivationIndexReport();
+    const addresses = await database.getAllAddresses();
+
+    // Addresses that do not re-derive from their stored index
+    const mismatched = addresses.filter(addr =>
+        walletManager.generateHDWallet(addr.derivation_index).address !== addr.address
+    );
+
+    console.log(`📊 Checked ${addresses.length} addresses (max index ${report.maxIndex}, next index ${report.nextIndex ?? 'not seeded'})`);
+
+    if (report.nextIndex !== null && report.nextIndex <= report.maxIndex) {
+        console.log(`❌ Sequence is behind: next index ${report.nextIndex} <= max index ${report.maxIndex}`);
+    }
+
+    console.log(`\n🔁 Indices used more than once: ${report.duplicates.length}`);
+    for (const row of report.duplicates) {
+        console.log(`   • index ${row.derivation_index}: ${row.count} rows (address ids ${row.address_ids})`);
+    }
+
+    console.log(`\n🕳️  Indices never used: ${report.missing.length}`);
+    if (report.missing.length > 0) {
+        console.log(`   ${report.missing.join(', ')}`);
+    }
+
+    console.log(`\n⚠️  Addresses that do not match their index: ${mismatched.length}`);
+    for (const addr of mismatched) {
+        console.log(`   • #${addr.id} user ${addr.user_id} index ${addr.derivation_index}: ${addr.address}`);
+    }
+
+    return report.duplicates.length === 0 && mismatched.length === 0;
+}
+
+main()
+    .then(async (healthy) => {
+        await database.close();
+        process.exit(healthy ? 0 : 1);
+    })
+    .catch(async (error) => {
+        console.error('❌ Derivation check failed:', error);
+        await database.close();
+        process.exit(1);
+    });
@@ -0,0 +1,78 @@
+// Re-encrypt every stored private key under the current encryption key version.
+// Set the new ENCRYPTION_KEY and ENCRYPTION_KEY_VERSION, keep the retired keys in
+// OLD_ENCRYPTION_KEYS, then run: npm run keys:rotate [-- --batch-size 200]
+// Safe to re-run; rows already on the current version are skipped.
+const database = require('../db');
+const walletManager = require('../wallet');
+const keyRing = require('../keyring');
+const auditLog = require('../audit');
+require('dotenv').config();
+
+function parseBatchSize(args) {
+    const index = args.indexOf('--batch-size');
+    const batchSize = index >= 0 ? parseInt(args[index + 1]) : 100;
+    if (!(batchSize > 0)) {
+        throw new Error('--batch-size must be a positive number');
+    }
+    return batchSize;
+}
+
+async function main() {
+    const batchSize = parseBatchSize(process.argv.slice(2));
+    await database.ready;
+
+    console.log(`🔐 Rotating private keys to key version ${keyRing.currentVersion} in batches of ${batchSize}`);
+
+    let afterId = 0;
+    let rotated = 0;
+    const failures = [];
+
+    for (;;) {
+        const rows = await database.getAddressesToRotate(keyRing.currentVersion, afterId, batchSize);
+        if (rows.length === 0) {
+            break;
+        }
+
+        const updates = [];
+        for (const row of rows) {
+            try {
+                // Never re-encrypt a key that no longer matches its address
+                walletManager.verifyAddressKey(row);
+                const { encrypted, keyVersion } = walletManager.encryptPrivateKey(walletManager.decryptPrivateKey(row), row.address);
+                updates.push({ id: row.id, encrypted, keyVersion, previousVersion: row.key_version });
+            } catch (error) {
+                failures.push({ ...row, error: error.message });
+            }
+        }
+
+        rotated += await database.updateAddressKeys(updates);
+        afterId = rows[rows.length - 1].id;
+        console.log(`   • ${rotated} rotated so far (up to address #${afterId})`);
+    }
+
+    console.log(`\n✅ Rotated ${rotated} private keys`);
+    await auditLog.record(auditLog.cli, 'keys.rotate', {
+        parameters: { keyVersion: keyRing.currentVersion, rotated, failed: failures.map(row => row.id) }
+    });
+
+    console.log(`\n⚠️  Addresses that could not be rotated: ${failures.length}`);
+    for (const row of failures) {
+        console.log(`   • #${row.id} ${row.address} (key v${row.key_version}): ${row.error}`);
+    }
+
+    const counts = await database.getKeyVersionCounts();
+    console.log(`\n📊 Key versions in use: ${counts.map(row => `v${row.key_version}: ${row.count}`).join(', ') || 'none'}`);
+
+    return failures.length === 0;
+}
+
+main()
+    .then(async (complete) => {
+        await database.close();
+        process.exit(complete ? 0 : 1);
+    })
+    .catch(async (error) => {
+        console.error('❌ Key rotation failed:', error);
+        await database.close();
+        process.exit(1);
+    });
@@ -0,0 +1,59 @@
+// Initialise the HD wallet that every deposit address is derived from.
+// Usage:
+//   npm run wallet:setup                 generate a new mnemonic and record its fingerprint
+//   npm run wallet:setup -- --import     record the fingerprint of the configured HD_WALLET_MNEMONIC
+// The server refuses to start until the configured mnemonic matches the recorded fingerprint.
+const database = require('../db');
+const walletManager = require('../wallet');
+const walletInitializer = require('../walletinit');
+require('dotenv').config();
+
+async function setupNew() {
+    const { mnemonic, fingerprint } = await walletInitializer.setup();
+
+    console.log('\n🔑 New HD wallet mnemonic. It is shown only this once and is not stored anywhere:\n');
+    console.log(`   ${mnemonic}\n`);
+    console.log('1. Write it down and keep it offline; it controls every deposit address.');
+    console.log('2. Set HD_WALLET_MNEMONIC to it in the server environment.');
+    console.log(`3. Start the server; it checks the mnemonic against fingerprint ${fingerprint}.`);
+    return true;
+}
+
+async function importConfigured(force) {
+    // Existing addresses should re-derive from the mnemonic being recorded
+    const addresses = await database.getAllAddresses();
+    const mismatched = addresses.filter(addr =>
+        walletManager.generateHDWallet(addr.derivation_index).address !== addr.address
+    );
+
+    console.log(`📊 ${addresses.length - mismatched.length} of ${addresses.length} existing addresses derive from HD_WALLET_MNEMONIC`);
+    if (mismatched.length > 0 && !force) {
+        console.log('❌ Not recording the fingerprint. Check the mnemonic, or pass --force if those');
+        console.log('   addresses came from old random seeds and keep their keys in storage.');
+        return false;
+    }
+
+    const fingerprint = await walletInitializer.importConfigured();
+    console.log(`✅ Wallet fingerprint ${fingerprint} recorded`);
+    return true;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    await database.ready;
+
+    return args.includes('--import')
+        ? await importConfigured(args.includes('--force'))
+        : await setupNew();
+}
+
+main()
+    .then(async (complete) => {
+        await database.close();
+        process.exit(complete ? 0 : 1);
+    })
+    .catch(async (error) => {
+        console.error('❌ Wallet setup failed:', error.message);
+        await database.close();
+        process.exit(1);
+    });
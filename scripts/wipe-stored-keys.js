@@ -0,0 +1,90 @@
+// Migration to derived-only keys: check every stored private key against the key
+// re-derived from HD_WALLET_MNEMONIC at its derivation index, then wipe the stored copy.
+// Keys that do not match are kept and reported.
+// Usage: npm run keys:wipe [-- --dry-run] [-- --batch-size 200]
+const database = require('../db');
+const walletManager = require('../wallet');
+const auditLog = require('../audit');
+require('dotenv').config();
+
+function parseArgs(args) {
+    const index = args.indexOf('--batch-size');
+    const batchSize = index >= 0 ? parseInt(args[index + 1]) : 100;
+    if (!(batchSize > 0)) {
+        throw new Error('--batch-size must be a positive number');
+    }
+    return { batchSize, dryRun: args.includes('--dry-run') };
+}
+
+async function main() {
+    const { batchSize, dryRun } = parseArgs(process.argv.slice(2));
+
+    if (!process.env.HD_WALLET_MNEMONIC) {
+        throw new Error('HD_WALLET_MNEMONIC must be set to re-derive keys');
+    }
+    if (walletManager.keyStorage !== 'derived' && !dryRun) {
+        throw new Error('Set KEY_STORAGE_MODE=derived first, so new addresses stop storing keys');
+    }
+
+    await database.ready;
+    console.log(`🔐 ${dryRun ? 'Checking' : 'Verifying and wiping'} stored private keys in batches of ${batchSize}`);
+
+    let afterId = 0;
+    let verified = 0;
+    let wiped = 0;
+    const mismatched = [];
+
+    for (;;) {
+        const rows = await database.getAddressesWithStoredKeys(afterId, batchSize);
+        if (rows.length === 0) {
+            break;
+        }
+
+        const matching = [];
+        for (const row of rows) {
+            try {
+                const storedKey = walletManager.decryptPrivateKey(row);
+                const derivedKey = walletManager.derivePrivateKey(row);
+                if (storedKey.toLowerCase() !== derivedKey.toLowerCase()) {
+                    throw new Error('Stored key differs from the derived key');
+                }
+                matching.push(row);
+            } catch (error) {
+                mismatched.push({ ...row, error: error.message });
+            }
+        }
+
+        verified += matching.length;
+        if (!dryRun) {
+            wiped += await database.wipeAddressKeys(matching);
+        }
+        afterId = rows[rows.length - 1].id;
+        console.log(`   • ${verified} verified so far (up to address #${afterId})`);
+    }
+
+    console.log(`\n✅ Verified ${verified} stored keys against their derivation index`);
+    if (!dryRun) {
+        console.log(`🗑️ Wiped ${wiped} stored keys`);
+        await auditLog.record(auditLog.cli, 'keys.wipe', {
+            parameters: { verified, wiped, kept: mismatched.map(row => row.id) }
+        });
+    }
+
+    console.log(`\n⚠️  Keys kept because they could not be verified: ${mismatched.length}`);
+    for (const row of mismatched) {
+        console.log(`   • #${row.id} ${row.address} (index ${row.derivation_index}): ${row.error}`);
+    }
+
+    return mismatched.length === 0;
+}
+
+main()
+    .then(async (complete) => {
+        await database.close();
+        process.exit(complete ? 0 : 1);
+    })
+    .catch(async (error) => {
+        console.error('❌ Key wipe failed:', error);
+        await database.close();
+        process.exit(1);
+    });
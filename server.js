@@ -3,27 +3,90 @@ const cron = require('node-cron');
 const database = require('./db');
 const walletManager = require('./wallet');
 const telegramBot = require('./bot');
+const depositScanner = require('./deposits');
+const confirmationTracker = require('./confirmations');
+const apiKeyManager = require('./apikeys');
+const webhookManager = require('./webhooks');
+const inboundWebhookProcessor = require('./inbound');
+const invoiceManager = require('./invoices');
+const addressManager = require('./addresses');
+const transactionHistory = require('./history');
+const sweepQueue = require('./sweeps');
+const walletInitializer = require('./walletinit');
+const notificationManager = require('./notifications');
+const broadcastManager = require('./broadcasts');
+const adminManager = require('./admin');
+const auditLog = require('./audit');
+const systemSettings = require('./settings');
+const { addAmounts, formatAmount } = require('./amounts');
 require('dotenv').config();
 
+// Render { SYMBOL: amount } as "1.000000 USDT, 2.500000 TRX"
+function formatTokenAmounts(amounts) {
+    const parts = Object.entries(amounts).map(([symbol, amount]) => formatAmount(amount, symbol));
+    return parts.length > 0 ? parts.join(', ') : '0';
+}
+
+// Add per-token amounts into a running total; amounts of different tokens are never summed
+function addTokenAmounts(total, amounts) {
+    for (const [symbol, amount] of Object.entries(amounts)) {
+        total[symbol] = addAmounts(total[symbol], amount);
+    }
+    return total;
+}
+
 class TRC20WalletServer {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3000;
-        this.sweepStats = {
-            totalSwept: 0,
-            lastSweepTime: null,
-            sweepCount: 0,
-            errors: 0
-        };
-
         this.setupMiddleware();
         this.setupRoutes();
+        this.start().catch(error => {
+            console.error('❌ Startup failed:', error);
+            process.exit(1);
+        });
+    }
+
+    // Nothing is scheduled, served or polled until the database is up and the configured
+    // mnemonic matches the recorded wallet; startup stops otherwise
+    async start() {
+        try {
+            await database.ready;
+        } catch (error) {
+            console.error('❌ Database not ready:', error);
+            process.exit(1);
+        }
+
+        try {
+            const fingerprint = await walletInitializer.verify();
+            console.log(`🔑 HD wallet fingerprint ${fingerprint} verified`);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+
+        await this.selfTestKeys();
+        await this.loadSettings();
+        await auditLog.importLegacyAdminLog();
+
         this.setupAutoSweep();
+        this.setupDepositScanner();
+        this.setupConfirmationTracker();
+        this.setupInvoiceExpiry();
+        this.setupNotificationQueue();
         this.startServer();
+        telegramBot.startPolling();
+
+        await this.recoverBroadcasts();
     }
 
     setupMiddleware() {
-        this.app.use(express.json());
+        // Keep the raw body so inbound webhook signatures can be checked byte for byte
+        this.app.use(express.json({
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
+            }
+        }));
         this.app.use(express.urlencoded({ extended: true }));
         
         // Basic security headers
@@ -70,7 +133,9 @@ class TRC20WalletServer {
                         network: networkStatus,
                         master: masterWalletStats
                     },
-                    sweep: this.sweepStats,
+                    sweep: await sweepQueue.getStats(),
+                    deposits: depositScanner.getStats(),
+                    confirmations: confirmationTracker.getStats(),
                     timestamp: new Date().toISOString()
                 });
             } catch (error) {
@@ -83,7 +148,7 @@ class TRC20WalletServer {
         });
 
         // Generate address endpoint (for API access)
-        this.app.post('/api/generate-address', async (req, res) => {
+        this.app.post('/api/generate-address', apiKeyManager.requireScope('addresses:create'), async (req, res) => {
             try {
                 const { userId, label } = req.body;
                 
@@ -98,26 +163,16 @@ class TRC20WalletServer {
                     user = await database.getUserByTelegramId(userId);
                 }
 
-                // Generate new address
+                // Generate new address at the next global derivation index
                 const userAddresses = await database.getUserAddresses(user.id);
-                const derivationIndex = userAddresses.length;
-
-                const walletData = walletManager.generateHDWallet(derivationIndex);
-                const encryptedPrivateKey = walletManager.encryptPrivateKey(walletData.privateKey);
-
-                await database.createAddress(
-                    user.id,
-                    walletData.address,
-                    encryptedPrivateKey,
-                    derivationIndex,
-                    label || `Address ${derivationIndex + 1}`
-                );
+                const addressLabel = label || `Address ${userAddresses.length + 1}`;
+                const walletData = await walletManager.createUserAddress(user.id, addressLabel, auditLog.apiActor(req.apiKey));
 
                 res.json({
                     success: true,
                     address: walletData.address,
-                    derivationIndex,
-                    label: label || `Address ${derivationIndex + 1}`,
+                    derivationIndex: walletData.derivationIndex,
+                    label: addressLabel,
                     timestamp: new Date().toISOString()
                 });
 
@@ -130,8 +185,55 @@ class TRC20WalletServer {
             }
         });
 
+        // Relabel, archive or restore an address: { userId, label?, archived? }
+        this.app.patch('/api/addresses/:address', apiKeyManager.requireScope('addresses:manage'), async (req, res) => {
+            try {
+                const { userId, label, archived } = req.body;
+
+                if (!userId || (label === undefined && archived === undefined)) {
+                    return res.status(400).json({ error: 'userId and a label or archived flag are required' });
+                }
+                if (archived !== undefined && typeof archived !== 'boolean') {
+                    return res.status(400).json({ error: 'archived must be a boolean' });
+                }
+
+                const user = await database.getUserByTelegramId(userId);
+                if (!user) {
+                    return res.status(404).json({ error: 'User not found' });
+                }
+
+                let address = await database.getUserAddress(user.id, req.params.address);
+                if (!address) {
+                    return res.status(404).json({ error: 'Address not found' });
+                }
+
+                if (label !== undefined) {
+                    address = await addressManager.renameAddress(user.id, address.id, label);
+                }
+                if (archived !== undefined) {
+                    address = await addressManager.setArchived(user.id, address.id, archived);
+                }
+
+                res.json({
+                    success: true,
+                    address: {
+                        address: address.address,
+                        label: address.label,
+                        archived: !address.is_active
+                    },
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
         // Balance check endpoint
-        this.app.get('/api/balance/:userId', async (req, res) => {
+        this.app.get('/api/balance/:userId', apiKeyManager.requireScope('balances:read'), async (req, res) => {
             try {
                 const { userId } = req.params;
                 
@@ -141,37 +243,21 @@ class TRC20WalletServer {
                 }
 
                 const addresses = await database.getUserAddresses(user.id);
-                const masterWalletInfo = await walletManager.getAccountInfo(process.env.MASTER_ADDRESS);
-                
-                let totalTRX = 0;
-                let totalUSDT = 0;
-                let addressBalances = [];
-
-                for (const addr of addresses) {
-                    const balanceInfo = await walletManager.getAccountInfo(addr.address);
-                    totalTRX += balanceInfo.trxBalance;
-                    totalUSDT += balanceInfo.usdtBalance;
-
-                    addressBalances.push({
-                        address: addr.address,
-                        label: addr.label,
-                        trxBalance: balanceInfo.trxBalance,
-                        usdtBalance: balanceInfo.usdtBalance
-                    });
-                }
+                const balances = await database.getUserBalances(user.id);
+                const receivedTotals = await database.getUserReceivedTotals(user.id);
 
                 res.json({
                     success: true,
-                    masterWallet: masterWalletInfo,
+                    balances: Object.fromEntries(balances.map(bal => [bal.token, bal.balance])),
                     generatedAddresses: {
                         count: addresses.length,
-                        totalTRX,
-                        totalUSDT,
-                        addresses: addressBalances
-                    },
-                    totalPortfolio: {
-                        trx: masterWalletInfo.trxBalance + totalTRX,
-                        usdt: masterWalletInfo.usdtBalance + totalUSDT
+                        addresses: addresses.map(addr => ({
+                            address: addr.address,
+                            label: addr.label,
+                            received: Object.fromEntries(receivedTotals
+                                .filter(total => total.address_id === addr.id)
+                                .map(total => [total.token, total.total_received]))
+                        }))
                     },
                     timestamp: new Date().toISOString()
                 });
@@ -185,17 +271,53 @@ class TRC20WalletServer {
             }
         });
 
-        // Manual sweep endpoint (admin only)
-        this.app.post('/api/sweep', async (req, res) => {
+        // Transaction history with cursor pagination and the same filters as the bot's /history
+        this.app.get('/api/transactions/:userId', apiKeyManager.requireScope('transactions:read'), async (req, res) => {
             try {
-                const { adminKey } = req.body;
-                
-                if (adminKey !== process.env.ADMIN_API_KEY) {
-                    return res.status(401).json({ error: 'Unauthorized' });
+                const user = await database.getUserByTelegramId(req.params.userId);
+                if (!user) {
+                    return res.status(404).json({ error: 'User not found' });
                 }
 
-                console.log('🔄 Manual sweep initiated via API');
-                const result = await this.performSweep();
+                let filters;
+                try {
+                    transactionHistory.decodeCursor(req.query.cursor);
+                    filters = await transactionHistory.resolveFilters({
+                        type: req.query.type,
+                        status: req.query.status,
+                        token: req.query.token,
+                        address: req.query.address,
+                        from: req.query.from,
+                        to: req.query.to
+                    });
+                } catch (error) {
+                    return res.status(400).json({ success: false, error: error.message });
+                }
+
+                const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+                const page = await transactionHistory.getCursorPage(user.id, filters, req.query.cursor || null, limit);
+
+                res.json({
+                    success: true,
+                    transactions: page.transactions,
+                    nextCursor: page.nextCursor,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                console.error('Error in transactions API:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Manual sweep endpoint
+        this.app.post('/api/sweep', apiKeyManager.requireScope('sweep'), async (req, res) => {
+            try {
+                console.log(`🔄 Manual sweep initiated via API key ${req.apiKey.key_prefix}`);
+                const result = await this.performSweep('api', auditLog.apiActor(req.apiKey));
                 
                 res.json({
                     success: true,
@@ -212,22 +334,272 @@ class TRC20WalletServer {
             }
         });
 
-        // Webhook endpoint for external notifications
+        // Runtime settings; PUT takes { key: value, ... } and applies all or none
+        this.app.get('/api/settings', apiKeyManager.requireScope('admin'), (req, res) => {
+            res.json({ success: true, settings: systemSettings.list(), timestamp: new Date().toISOString() });
+        });
+
+        this.app.put('/api/settings', apiKeyManager.requireScope('admin'), async (req, res) => {
+            try {
+                const changes = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+                try {
+                    if (Object.keys(changes).length === 0) {
+                        throw new Error('Send the settings to change as { "key": value }');
+                    }
+                    for (const [key, value] of Object.entries(changes)) {
+                        systemSettings.parse(key, value);
+                    }
+                } catch (error) {
+                    return res.status(400).json({ success: false, error: error.message });
+                }
+
+                const changed = await systemSettings.update(changes, auditLog.apiActor(req.apiKey));
+
+                res.json({
+                    success: true,
+                    changed,
+                    settings: systemSettings.list(),
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                console.error('Error updating settings:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Audit log export, newest first, with cursor pagination. ?verify=true also checks the hash chain.
+        this.app.get('/api/audit', apiKeyManager.requireScope('admin'), async (req, res) => {
+            try {
+                const input = {
+                    actor: req.query.actor,
+                    action: req.query.action,
+                    channel: req.query.channel,
+                    from: req.query.from,
+                    to: req.query.to
+                };
+
+                let filters;
+                try {
+                    auditLog.decodeCursor(req.query.cursor);
+                    filters = auditLog.resolveFilters(input);
+                } catch (error) {
+                    return res.status(400).json({ success: false, error: error.message });
+                }
+
+                const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+                const page = await auditLog.getCursorPage(filters, req.query.cursor || null, limit);
+                const verification = req.query.verify === 'true' ? await auditLog.verify() : undefined;
+
+                await auditLog.record(auditLog.apiActor(req.apiKey), 'audit.export', {
+                    parameters: { filters: input, cursor: req.query.cursor || null, count: page.entries.length, verified: verification ? verification.valid : undefined }
+                });
+
+                res.json({
+                    success: true,
+                    entries: page.entries,
+                    nextCursor: page.nextCursor,
+                    verification,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                console.error('Error in audit API:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Invoices: a fresh address per payment request with an expected amount and expiry
+        this.app.post('/api/invoices', apiKeyManager.requireScope('invoices'), async (req, res) => {
+            try {
+                const { userId, token, amount, expiresInMinutes, description } = req.body;
+
+                if (!userId || !token || amount === undefined) {
+                    return res.status(400).json({ error: 'userId, token and amount are required' });
+                }
+
+                let user = await database.getUserByTelegramId(userId);
+                if (!user) {
+                    await database.createUser(userId);
+                    user = await database.getUserByTelegramId(userId);
+                }
+
+                const invoice = await invoiceManager.createInvoice(user.id, String(token).toUpperCase(), String(amount), {
+                    expiresInMinutes,
+                    description,
+                    apiKeyId: req.apiKey.id,
+                    by: auditLog.apiActor(req.apiKey)
+                });
+
+                res.json({ success: true, invoice, timestamp: new Date().toISOString() });
+
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Only the API key that created an invoice can read it
+        this.app.get('/api/invoices/:id', apiKeyManager.requireScope('invoices'), async (req, res) => {
+            try {
+                const invoice = await invoiceManager.getInvoice(req.params.id, req.apiKey.id);
+                if (!invoice) {
+                    return res.status(404).json({ error: 'Invoice not found' });
+                }
+
+                res.json({ success: true, invoice, timestamp: new Date().toISOString() });
+
+            } catch (error) {
+                console.error('Error in invoice API:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Merchant webhook endpoints, scoped to the API key that registered them. API keys
+        // belong to no user, so every endpoint sees another user's events (or all of them):
+        // the webhook routes take the admin scope.
+        this.app.post('/api/webhooks', apiKeyManager.requireScope('admin'), async (req, res) => {
+            try {
+                const { url, events, userId } = req.body;
+
+                let user = null;
+                if (userId) {
+                    user = await database.getUserByTelegramId(userId);
+                    if (!user) {
+                        return res.status(404).json({ error: 'User not found' });
+                    }
+                }
+
+                const endpoint = await webhookManager.registerEndpoint(
+                    url,
+                    Array.isArray(events) && events.length > 0 ? events : ['*'],
+                    user ? user.id : null,
+                    req.apiKey.id
+                );
+
+                res.json({
+                    success: true,
+                    endpoint: { ...endpoint, userId: userId || null },
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        this.app.get('/api/webhooks', apiKeyManager.requireScope('admin'), async (req, res) => {
+            try {
+                const endpoints = await database.getWebhookEndpoints(req.apiKey.id);
+                res.json({
+                    success: true,
+                    endpoints: endpoints.map(endpoint => ({ ...endpoint, events: endpoint.events.split(',') })),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                console.error('Error listing webhooks:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        this.app.delete('/api/webhooks/:id', apiKeyManager.requireScope('admin'), async (req, res) => {
+            try {
+                const removed = await database.deactivateWebhookEndpoint(parseInt(req.params.id), req.apiKey.id);
+                if (!removed) {
+                    return res.status(404).json({ error: 'Webhook endpoint not found' });
+                }
+                res.json({ success: true, timestamp: new Date().toISOString() });
+            } catch (error) {
+                console.error('Error removing webhook:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Delivery log, optionally filtered by ?status=pending|delivered|failed
+        this.app.get('/api/webhooks/deliveries', apiKeyManager.requireScope('admin'), async (req, res) => {
+            try {
+                const deliveries = await database.getWebhookDeliveries(
+                    { status: req.query.status, apiKeyId: req.apiKey.id },
+                    Math.min(parseInt(req.query.limit) || 20, 100)
+                );
+                res.json({ success: true, deliveries, timestamp: new Date().toISOString() });
+            } catch (error) {
+                console.error('Error listing webhook deliveries:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        this.app.post('/api/webhooks/deliveries/:id/replay', apiKeyManager.requireScope('admin'), async (req, res) => {
+            try {
+                const replayed = await webhookManager.replay(parseInt(req.params.id), req.apiKey.id);
+                if (!replayed) {
+                    return res.status(404).json({ error: 'Delivery not found' });
+                }
+                res.json({ success: true, timestamp: new Date().toISOString() });
+            } catch (error) {
+                console.error('Error replaying webhook delivery:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Inbound deposit notifications from a chain watcher. The payload is only a hint:
+        // the transaction is verified on chain before anything is recorded.
         this.app.post('/webhook/transaction', async (req, res) => {
             try {
+                const nonce = await inboundWebhookProcessor.verify(req.headers, req.rawBody);
+
                 const { txHash, address, amount, type } = req.body;
-                
-                // Verify webhook authenticity if needed
-                // const signature = req.headers['x-signature'];
-                
                 console.log('📥 Webhook received:', { txHash, address, amount, type });
-                
-                // Process webhook data and notify user if needed
-                // Implementation depends on your webhook provider
-                
-                res.json({ success: true, received: true });
+
+                const { deposit, created } = await inboundWebhookProcessor.process(req.body, nonce);
+                if (created) {
+                    await this.notifyDeposit(deposit);
+                }
+
+                res.json({
+                    success: true,
+                    received: true,
+                    created,
+                    transaction: {
+                        txHash: deposit.txHash,
+                        address: deposit.to,
+                        token: deposit.symbol,
+                        amount: deposit.amount,
+                        blockNumber: deposit.blockNumber
+                    }
+                });
                 
             } catch (error) {
+                if (error.statusCode) {
+                    console.warn(`⚠️  Webhook rejected: ${error.message}`);
+                    return res.status(error.statusCode).json({ success: false, error: error.message });
+                }
                 console.error('Webhook error:', error);
                 res.status(500).json({ error: error.message });
             }
@@ -252,13 +624,10 @@ class TRC20WalletServer {
     }
 
     setupAutoSweep() {
-        const sweepInterval = process.env.SWEEP_INTERVAL_MINUTES || 5;
-        console.log(`⏰ Auto-sweep scheduled every ${sweepInterval} minutes`);
+        this.scheduleSweep(systemSettings.get('sweep_interval_minutes'));
 
-        // Run sweep every X minutes
-        cron.schedule(`*/${sweepInterval} * * * *`, async () => {
-            await this.performSweep();
-        });
+        // Reschedule when an admin changes the interval
+        systemSettings.onChange('sweep_interval_minutes', minutes => this.scheduleSweep(minutes));
 
         // Daily stats report (optional)
         cron.schedule('0 0 * * *', async () => {
@@ -271,96 +640,257 @@ class TRC20WalletServer {
         });
     }
 
-    async performSweep() {
+    // Run sweep every X minutes, replacing any earlier schedule
+    scheduleSweep(minutes) {
+        if (this.sweepTask) {
+            this.sweepTask.stop();
+        }
+
+        console.log(`⏰ Auto-sweep scheduled every ${minutes} minutes`);
+        this.sweepTask = cron.schedule(`*/${minutes} * * * *`, async () => {
+            await this.performSweep();
+        });
+    }
+
+    setupDepositScanner() {
+        console.log('⏰ Deposit scanner scheduled every minute');
+
+        cron.schedule('* * * * *', async () => {
+            await this.performDepositScan();
+        });
+    }
+
+    async performDepositScan() {
+        const deposits = await depositScanner.scan();
+
+        for (const deposit of deposits) {
+            await this.notifyDeposit(deposit);
+        }
+
+        return deposits;
+    }
+
+    // Tell the owner and merchant webhooks about a newly detected deposit
+    async notifyDeposit(deposit) {
         try {
-            console.log('🔄 Starting auto-sweep process...');
-            const startTime = Date.now();
+            const user = await database.getUserById(deposit.address.user_id);
 
-            // Get all active addresses
-            const addresses = await database.getAllActiveAddresses();
-            console.log(`📊 Checking ${addresses.length} addresses for sweep...`);
+            await webhookManager.emit('deposit.detected', {
+                txHash: deposit.txHash,
+                userId: user ? user.telegram_id : null,
+                address: deposit.to,
+                fromAddress: deposit.from,
+                toAddress: deposit.to,
+                token: deposit.symbol,
+                amount: deposit.amount,
+                blockNumber: deposit.blockNumber
+            }, deposit.address.user_id);
 
-            let totalSweptAmount = 0;
-            let sweepTransactions = [];
-            let errorCount = 0;
+            if (user) {
+                await telegramBot.notifyUser(user.id, 'deposit', 'depositDetected', {
+                    amount: formatAmount(deposit.amount, deposit.symbol),
+                    address: deposit.to,
+                    txHash: deposit.txHash
+                }, [deposit.amount]);
+            }
 
-            for (const address of addresses) {
-                try {
-                    // Check if address has sufficient balance to sweep
-                    const accountInfo = await walletManager.getAccountInfo(address.address);
-                    
-                    if (accountInfo.usdtBalance >= parseFloat(process.env.MIN_SWEEP_AMOUNT || 1)) {
-                        console.log(`💰 Sweeping ${accountInfo.usdtBalance} USDT from ${address.address}`);
-                        
-                        // Perform sweep
-                        const sweepResult = await walletManager.sweepToMasterWallet(address);
-                        
-                        if (sweepResult.transactions.length > 0) {
-                            totalSweptAmount += sweepResult.totalSwept;
-                            sweepTransactions.push(...sweepResult.transactions);
-
-                            // Record transactions in database
-                            for (const tx of sweepResult.transactions) {
-                                await database.createTransaction(
-                                    address.id,
-                                    tx.txHash,
-                                    address.address,
-                                    process.env.MASTER_ADDRESS,
-                                    tx.amount,
-                                    tx.type === 'USDT' ? process.env.USDT_CONTRACT_ADDRESS : null,
-                                    'sweep',
-                                    tx.status
-                                );
-                            }
-
-                            // Notify user about sweep
-                            const user = await database.getUserByTelegramId(address.user_id);
-                            if (user) {
-                                await telegramBot.sendNotification(
-                                    user.telegram_id,
-                                    `✅ Auto-sweep completed!\n\n💰 Amount: ${sweepResult.totalSwept.toFixed(6)} tokens\n📍 From: ${address.address.substring(0, 10)}...\n🏦 To: Master Wallet\n\n🔗 Transactions: ${sweepResult.transactions.length}`,
-                                    { parse_mode: 'Markdown' }
-                                );
-                            }
-                        }
+            // Nobody should be paying an archived address any more
+            if (!deposit.address.is_active) {
+                await this.alertStrayDeposit(deposit, user);
+            }
+        } catch (error) {
+            console.error(`❌ Error notifying deposit ${deposit.txHash}:`, error);
+        }
+    }
+
+    setupConfirmationTracker() {
+        console.log('⏰ Confirmation tracker scheduled every minute');
+
+        cron.schedule('* * * * *', async () => {
+            await this.performConfirmationCheck();
+        });
+    }
+
+    async performConfirmationCheck() {
+        const changes = await confirmationTracker.checkPending();
+
+        for (const change of changes) {
+            const tx = change.transaction;
+
+            // Gas funding is internal plumbing, not something users need to hear about
+            if (tx.tx_type === 'gas_funding') {
+                continue;
+            }
+
+            try {
+                const symbol = await walletManager.getTokenSymbol(tx.token_contract);
+                await webhookManager.emitTransactionEvent(`${tx.tx_type}.${change.status}`, tx, symbol, {
+                    status: change.status,
+                    reason: change.reason,
+                    blockNumber: change.blockNumber
+                });
+
+                if (change.status === 'confirmed') {
+                    const transition = await invoiceManager.applyConfirmedDeposit(tx);
+                    if (transition) {
+                        await this.notifyInvoiceTransition(transition);
                     }
+                }
 
-                    // Small delay to avoid rate limits
-                    await new Promise(resolve => setTimeout(resolve, 1000));
+                if (!tx.user_id) {
+                    continue;
+                }
 
-                } catch (error) {
-                    console.error(`❌ Error sweeping address ${address.address}:`, error);
+                // Failures are always worth hearing about, whatever the amount
+                const confirmed = change.status === 'confirmed';
+                await telegramBot.notifyUser(tx.user_id, tx.tx_type, confirmed ? 'txConfirmed' : 'txFailed', language => ({
+                    type: notificationManager.label(language, 'types', tx.tx_type),
+                    amount: formatAmount(tx.amount, symbol),
+                    address: tx.address || tx.to_address,
+                    txHash: tx.tx_hash,
+                    reason: change.reason
+                }), confirmed ? [tx.amount] : []);
+            } catch (error) {
+                console.error(`❌ Error notifying status of ${tx.tx_hash}:`, error);
+            }
+        }
+
+        return changes;
+    }
+
+    setupInvoiceExpiry() {
+        cron.schedule('* * * * *', async () => {
+            for (const transition of await invoiceManager.expireDue()) {
+                await this.notifyInvoiceTransition(transition);
+            }
+        });
+    }
+
+    // Deliver notifications held back by quiet hours or Telegram rate limits
+    setupNotificationQueue() {
+        cron.schedule('* * * * *', async () => {
+            try {
+                const result = await telegramBot.flushNotificationQueue();
+                if (result.sent + result.failed > 0) {
+                    console.log(`📨 Queued notifications: ${result.sent} sent, ${result.failed} failed`);
+                }
+            } catch (error) {
+                console.error('❌ Error flushing notification queue:', error);
+            }
+        });
+    }
+
+    async alertStrayDeposit(deposit, user) {
+        const details = `💰 Amount: ${formatAmount(deposit.amount, deposit.symbol)}\n📍 Address: ${deposit.to}\n🏷️ Label: ${deposit.address.label || 'none'}\n🔗 Tx: ${deposit.txHash}`;
+        console.warn(`⚠️  Stray deposit ${deposit.txHash} to archived address ${deposit.to}`);
+
+        if (user) {
+            await telegramBot.notifyUser(user.id, 'deposit', 'strayDeposit', {
+                amount: formatAmount(deposit.amount, deposit.symbol),
+                address: deposit.to,
+                label: deposit.address.label,
+                txHash: deposit.txHash
+            });
+        }
+
+        for (const adminId of await adminManager.getAdminTelegramIds()) {
+            await telegramBot.sendNotification(
+                adminId,
+                `⚠️ Stray deposit to archived address\n\n👤 User: ${user ? user.telegram_id : 'unknown'}\n${details}`
+            );
+        }
+    }
+
+    // Tell the invoice owner and merchant webhooks that an invoice changed status
+    async notifyInvoiceTransition({ invoice, from, to, userId }) {
+        try {
+            await webhookManager.emit(`invoice.${to}`, { ...invoice, previousStatus: from }, userId);
+
+            await telegramBot.notifyUser(userId, 'deposit', 'invoiceStatus', language => ({
+                statusLine: notificationManager.label(language, 'invoiceStatuses', to),
+                id: invoice.id,
+                received: formatAmount(invoice.amountReceived, invoice.token),
+                expected: formatAmount(invoice.amountExpected, invoice.token),
+                address: invoice.address
+            }));
+        } catch (error) {
+            console.error(`❌ Error notifying invoice ${invoice.id}:`, error);
+        }
+    }
+
+    // Queue a sweep job per address and run the queue; jobs are leased per address in the
+    // database, so overlapping runs (cron, API, other processes) never sweep an address twice
+    async performSweep(source = 'cron', by = auditLog.cron) {
+        try {
+            console.log('🔄 Starting auto-sweep process...');
+            const startTime = Date.now();
+
+            const queued = await sweepQueue.enqueueAll(source);
+            const finished = await sweepQueue.processQueue();
+            if (finished === null) {
+                console.log('⏳ Sweep workers already running; queued jobs will be picked up');
+                await auditLog.record(by, 'sweep.run', { parameters: { source, queued, alreadyRunning: true } });
+                return { success: true, queued, alreadyRunning: true };
+            }
+
+            const totalSweptAmount = {};
+            let transactionCount = 0;
+            let errorCount = 0;
+
+            for (const { address, result, error } of finished) {
+                if (error) {
                     errorCount++;
+                    continue;
                 }
+                if (result.transactions.length === 0) {
+                    continue;
+                }
+
+                addTokenAmounts(totalSweptAmount, result.sweptByToken);
+                transactionCount += result.transactions.length;
+
+                // addresses.user_id is the owner's users.id, not a Telegram id
+                await telegramBot.notifyUser(address.user_id, 'sweep', 'sweepCompleted', {
+                    amounts: formatTokenAmounts(result.sweptByToken),
+                    address: address.address,
+                    count: result.transactions.length
+                }, Object.values(result.sweptByToken));
             }
 
-            // Update sweep stats
-            this.sweepStats = {
-                totalSwept: this.sweepStats.totalSwept + totalSweptAmount,
-                lastSweepTime: new Date().toISOString(),
-                sweepCount: this.sweepStats.sweepCount + 1,
-                errors: this.sweepStats.errors + errorCount
-            };
+            // Retry webhook deliveries that are due, alongside the sweep
+            try {
+                const webhookResult = await webhookManager.deliverDue();
+                if (webhookResult.delivered + webhookResult.failed > 0) {
+                    console.log(`🪝 Webhooks: ${webhookResult.delivered} delivered, ${webhookResult.failed} failed`);
+                }
+            } catch (error) {
+                console.error('❌ Error delivering webhooks:', error);
+            }
 
             const endTime = Date.now();
             const duration = (endTime - startTime) / 1000;
 
             console.log(`✅ Sweep completed in ${duration}s`);
-            console.log(`📊 Swept ${totalSweptAmount.toFixed(6)} tokens in ${sweepTransactions.length} transactions`);
+            console.log(`📊 Swept ${formatTokenAmounts(totalSweptAmount)} in ${transactionCount} transactions across ${finished.length} jobs`);
             console.log(`❌ Errors: ${errorCount}`);
 
+            await auditLog.record(by, 'sweep.run', {
+                parameters: { source, queued, jobs: finished.length, transactions: transactionCount, errors: errorCount }
+            });
+
             return {
                 success: true,
-                addressesChecked: addresses.length,
+                queued,
+                jobsProcessed: finished.length,
                 totalSwept: totalSweptAmount,
-                transactionCount: sweepTransactions.length,
+                transactionCount,
                 errors: errorCount,
                 duration: duration
             };
 
         } catch (error) {
             console.error('❌ Critical error in sweep process:', error);
-            this.sweepStats.errors++;
+            await auditLog.record(by, 'sweep.run', { parameters: { source }, error });
             throw error;
         }
     }
@@ -371,6 +901,7 @@ class TRC20WalletServer {
             
             const stats = await database.getSystemStats();
             const masterWalletStats = await database.getMasterWalletStats();
+            const sweepStats = await sweepQueue.getStats();
             
             const reportMessage = `
 📊 *Daily Report - ${new Date().toLocaleDateString()}*
@@ -379,31 +910,29 @@ class TRC20WalletServer {
 • Users: ${stats.totalUsers}
 • Addresses: ${stats.totalAddresses} 
 • Transactions: ${stats.totalTransactions}
-• Total Balance: ${stats.totalBalance.toFixed(6)} USDT
+• Owed to Users: ${formatTokenAmounts(stats.userBalances)}
 
 *Sweep Statistics:*
-• Total Swept: ${this.sweepStats.totalSwept.toFixed(6)} tokens
-• Sweep Count: ${this.sweepStats.sweepCount}
-• Errors: ${this.sweepStats.errors}
-• Last Sweep: ${this.sweepStats.lastSweepTime}
+• Total Swept: ${formatTokenAmounts(sweepStats.totalSwept)}
+• Jobs Completed: ${sweepStats.jobs.completed}
+• Jobs Failed: ${sweepStats.jobs.failed}
+• Jobs Queued: ${sweepStats.jobs.queued + sweepStats.jobs.running}
+• Last Sweep: ${sweepStats.lastSweepTime ? new Date(sweepStats.lastSweepTime).toISOString() : 'Never'}
 
 *Master Wallet:*
-• Balance: ${masterWalletStats?.current_balance || 0} USDT
-• Total Received: ${masterWalletStats?.total_received || 0} USDT
+• Balance: ${formatAmount(masterWalletStats?.current_balance || 0, 'USDT')}
+• Total Received: ${formatAmount(masterWalletStats?.total_received || 0, 'USDT')}
 
 System is running smoothly! 🚀
             `;
 
             // Send to admin users
-            if (process.env.ADMIN_IDS) {
-                const adminIds = process.env.ADMIN_IDS.split(',');
-                for (const adminId of adminIds) {
-                    await telegramBot.sendNotification(
-                        parseInt(adminId),
-                        reportMessage,
-                        { parse_mode: 'Markdown' }
-                    );
-                }
+            for (const adminId of await adminManager.getAdminTelegramIds()) {
+                await telegramBot.sendNotification(
+                    adminId,
+                    reportMessage,
+                    { parse_mode: 'Markdown' }
+                );
             }
 
         } catch (error) {
@@ -423,12 +952,79 @@ System is running smoothly! 🚀
             connection.release();
             
             console.log(`🗑️ Cleaned up ${result.affectedRows} old transactions`);
+
+            const nonces = await inboundWebhookProcessor.cleanupNonces();
+            console.log(`🗑️ Cleaned up ${nonces} inbound webhook nonces`);
+
+            const sweepJobs = await sweepQueue.cleanup();
+            console.log(`🗑️ Cleaned up ${sweepJobs} finished sweep jobs`);
+
+            const notifications = await database.deleteNotificationsBefore(30);
+            console.log(`🗑️ Cleaned up ${notifications} delivered notifications`);
             
         } catch (error) {
             console.error('Error cleaning up data:', error);
         }
     }
 
+    // Refuse to run with stored keys that no longer decrypt to their addresses
+    async selfTestKeys() {
+        try {
+            const result = await walletManager.selfTestKeys();
+
+            if (result.failures.length > 0) {
+                console.error(`❌ Key self-test failed for ${result.failures.length} of ${result.checked} sampled addresses:`);
+                for (const failure of result.failures) {
+                    console.error(`   • #${failure.id} ${failure.address} (key v${failure.keyVersion}): ${failure.error}`);
+                }
+                console.error('❌ Check ENCRYPTION_KEY, ENCRYPTION_KEY_VERSION, OLD_ENCRYPTION_KEYS and HD_WALLET_MNEMONIC');
+                process.exit(1);
+            }
+
+            console.log(`🔐 Key self-test passed (${result.checked} addresses, key versions ${result.versions.join(', ') || 'none'})`);
+            if (result.outdated > 0) {
+                console.warn(`⚠️  ${result.outdated} private keys are under an older key version; run npm run keys:rotate`);
+            }
+        } catch (error) {
+            // Undecryptable keys would only surface later, one failed sweep at a time
+            console.error('❌ Error running key self-test:', error);
+            process.exit(1);
+        }
+    }
+
+    // Broadcasts are not resumed after a restart; close them so their counts can be reviewed
+    async recoverBroadcasts() {
+        try {
+            await database.ready;
+            const interrupted = await broadcastManager.recoverInterrupted();
+            if (interrupted > 0) {
+                console.warn(`⚠️  ${interrupted} broadcasts were cut short by a restart; see /broadcasts`);
+            }
+        } catch (error) {
+            console.error('Error recovering broadcasts:', error);
+        }
+    }
+
+    // Load stored settings, then re-read them every minute so changes made through another
+    // process reach this one
+    async loadSettings() {
+        try {
+            await database.ready;
+            await systemSettings.refresh();
+            console.log('⚙️ System settings loaded');
+        } catch (error) {
+            console.error('Error loading system settings; using defaults:', error);
+        }
+
+        cron.schedule('* * * * *', async () => {
+            try {
+                await systemSettings.refresh();
+            } catch (error) {
+                // Logged in refresh; the current values stay in effect
+            }
+        });
+    }
+
     startServer() {
         this.app.listen(this.port, () => {
             console.log('🚀 TRC20 Wallet Bot Server Started');
@@ -437,7 +1033,7 @@ System is running smoothly! 🚀
             console.log(`📊 Status endpoint: http://localhost:${this.port}/status`);
             console.log(`🏦 Master Wallet: ${process.env.MASTER_ADDRESS}`);
             console.log(`🤖 Telegram Bot: Active`);
-            console.log(`⏰ Auto-sweep: Every ${process.env.SWEEP_INTERVAL_MINUTES || 5} minutes`);
+            console.log(`⏰ Auto-sweep: Every ${systemSettings.get('sweep_interval_minutes')} minutes`);
             console.log('=' .repeat(50));
         });
 
@@ -465,11 +1061,11 @@ System is running smoothly! 🚀
     }
 
     // Public method to get server stats
-    getStats() {
+    async getStats() {
         return {
             uptime: process.uptime(),
             memory: process.memoryUsage(),
-            sweep: this.sweepStats,
+            sweep: await sweepQueue.getStats(),
             timestamp: new Date().toISOString()
         };
     }
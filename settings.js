@@ -0,0 +1,233 @@
+const database = require('./db');
+const auditLog = require('./audit');
+const { TRX_DECIMALS, MAX_DECIMALS, toBaseUnits, fromBaseUnits, compareAmounts } = require('./amounts');
+require('dotenv').config();
+
+// Settings admins can change at runtime. Values live in system_settings under the same
+// key; the env variable, where there is one, only replaces the built-in default for
+// settings nobody has changed yet.
+const DEFINITIONS = {
+    sweep_interval_minutes: {
+        type: 'integer',
+        min: 1,
+        max: 59,
+        default: 5,
+        env: 'SWEEP_INTERVAL_MINUTES',
+        description: 'Minutes between auto-sweep runs'
+    },
+    default_min_sweep_amount: {
+        type: 'amount',
+        decimals: MAX_DECIMALS,
+        default: '1',
+        env: 'MIN_SWEEP_AMOUNT',
+        description: 'Minimum sweep amount for tokens added without one'
+    },
+    trx_sweep_reserve: {
+        type: 'amount',
+        decimals: TRX_DECIMALS,
+        default: '1',
+        description: 'TRX left on deposit addresses for future gas'
+    },
+    min_trx_sweep: {
+        type: 'amount',
+        decimals: TRX_DECIMALS,
+        default: '0.1',
+        description: 'Smallest TRX leftover worth sweeping'
+    },
+    auto_gas_topup: {
+        type: 'boolean',
+        default: true,
+        env: 'AUTO_GAS_TOPUP',
+        description: 'Send TRX for gas from the master wallet when an address cannot pay for a sweep'
+    },
+    gas_safety_margin: {
+        type: 'number',
+        min: 0,
+        max: 5,
+        default: 0.2,
+        env: 'GAS_SAFETY_MARGIN',
+        description: 'Extra fraction added to estimated gas (0.2 = 20%)'
+    },
+    fallback_sweep_gas: {
+        type: 'amount',
+        decimals: TRX_DECIMALS,
+        default: '15',
+        description: 'TRX a token sweep needs when its gas cannot be estimated'
+    },
+    bot_commands_per_minute: {
+        type: 'integer',
+        min: 1,
+        max: 600,
+        default: 10,
+        description: 'Bot commands each user may send per minute'
+    }
+};
+
+class SystemSettings {
+    constructor() {
+        this.definitions = DEFINITIONS;
+        // Compare defaults in the same form as parsed values. A bad env value must not stop
+        // every entry point from loading, so it is reported and the built-in default kept.
+        for (const [key, definition] of Object.entries(DEFINITIONS)) {
+            definition.default = this.parse(key, definition.default);
+
+            const envValue = definition.env ? process.env[definition.env] : undefined;
+            if (envValue !== undefined && envValue !== '') {
+                try {
+                    definition.default = this.parse(key, envValue);
+                } catch (error) {
+                    console.warn(`⚠️  Ignoring ${definition.env}: ${error.message}; using ${definition.default}`);
+                }
+            }
+        }
+        this.values = {}; // Stored values; defaults apply to the rest
+        this.listeners = [];
+    }
+
+    // Turn text from the bot, or a JSON value from the API, into the setting's type
+    parse(key, input) {
+        const definition = DEFINITIONS[key];
+        if (!definition) {
+            throw new Error(`Unknown setting ${key}`);
+        }
+
+        const text = String(input).trim();
+        let value;
+
+        if (definition.type === 'boolean') {
+            if (['true', 'on', 'yes', '1'].includes(text.toLowerCase())) {
+                value = true;
+            } else if (['false', 'off', 'no', '0'].includes(text.toLowerCase())) {
+                value = false;
+            } else {
+                throw new Error(`${key} must be on or off`);
+            }
+        } else if (definition.type === 'amount') {
+            try {
+                value = fromBaseUnits(toBaseUnits(text, definition.decimals), definition.decimals);
+            } catch (error) {
+                throw new Error(`${key} must be an amount with at most ${definition.decimals} decimals`);
+            }
+            if (compareAmounts(value, 0) < 0) {
+                throw new Error(`${key} cannot be negative`);
+            }
+        } else {
+            value = Number(text);
+            if (text === '' || !Number.isFinite(value) || (definition.type === 'integer' && !Number.isInteger(value))) {
+                throw new Error(`${key} must be ${definition.type === 'integer' ? 'a whole number' : 'a number'}`);
+            }
+            if (value < definition.min || value > definition.max) {
+                throw new Error(`${key} must be between ${definition.min} and ${definition.max}`);
+            }
+        }
+
+        return value;
+    }
+
+    get(key) {
+        if (!DEFINITIONS[key]) {
+            throw new Error(`Unknown setting ${key}`);
+        }
+        return key in this.values ? this.values[key] : DEFINITIONS[key].default;
+    }
+
+    // Every setting with its current value, for the bot and the API
+    list() {
+        return Object.entries(DEFINITIONS).map(([key, definition]) => ({
+            key,
+            value: this.get(key),
+            default: definition.default,
+            type: definition.type,
+            description: definition.description
+        }));
+    }
+
+    // listener(value, previous) runs whenever key changes, here or in another process
+    onChange(key, listener) {
+        this.listeners.push({ key, listener });
+    }
+
+    notify(key, value, previous) {
+        for (const entry of this.listeners.filter(entry => entry.key === key)) {
+            try {
+                entry.listener(value, previous);
+            } catch (error) {
+                console.error(`❌ Error applying setting ${key}:`, error);
+            }
+        }
+    }
+
+    // Read stored values and announce any that changed since the last read
+    async refresh() {
+        try {
+            for (const key of Object.keys(DEFINITIONS)) {
+                const stored = await database.getSetting(key);
+                const previous = this.get(key);
+
+                if (stored === null) {
+                    delete this.values[key];
+                } else {
+                    try {
+                        this.values[key] = this.parse(key, stored);
+                    } catch (error) {
+                        console.warn(`⚠️  Ignoring stored setting ${key}: ${error.message}`);
+                        delete this.values[key];
+                    }
+                }
+
+                if (this.get(key) !== previous) {
+                    this.notify(key, this.get(key), previous);
+                }
+            }
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            throw error;
+        }
+    }
+
+    // Validate every change, then store them all in one transaction: either every change
+    // applies or none does. changes is { key: value }; by ({ actor, channel }) is recorded
+    // in the audit log. Listeners hear about changes once they are stored. Returns the
+    // changed settings.
+    async update(changes, by) {
+        const entries = Object.entries(changes || {});
+        if (entries.length === 0) {
+            throw new Error('No settings given');
+        }
+
+        const changed = entries.map(([key, input]) => {
+            const value = this.parse(key, input);
+            return { key, value, previous: this.get(key) };
+        });
+
+        try {
+            await database.setSettings(changed.map(({ key, value }) => ({
+                key,
+                value: String(value),
+                description: DEFINITIONS[key].description
+            })));
+        } catch (error) {
+            for (const { key, value, previous } of changed) {
+                await auditLog.record(by, 'system_settings.update', { target: key, parameters: { value, previous }, error });
+            }
+            throw error;
+        }
+
+        for (const { key, value, previous } of changed) {
+            this.values[key] = value;
+            await auditLog.record(by, 'system_settings.update', { target: key, parameters: { value, previous } });
+            console.log(`⚙️ Setting ${key} changed from ${previous} to ${value} by ${by.actor}`);
+        }
+        for (const { key, value, previous } of changed) {
+            if (value !== previous) {
+                this.notify(key, value, previous);
+            }
+        }
+
+        return changed;
+    }
+}
+
+// Export singleton instance
+const systemSettings = new SystemSettings();
+module.exports = systemSettings;
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const os = require('os');
+const database = require('./db');
+const walletManager = require('./wallet');
+const auditLog = require('./audit');
+const { formatAmount, fromBaseUnits } = require('./amounts');
+require('dotenv').config();
+
+// Retry delays grow as base * 2^attempt, capped
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 60 * 60;
+
+// Pause between jobs on each worker to stay under node rate limits
+const JOB_DELAY_MS = 1000;
+
+// Address ids per statement when marking or queueing
+const ID_BATCH_SIZE = 1000;
+
+class SweepQueue {
+    constructor() {
+        this.concurrency = Math.max(parseInt(process.env.SWEEP_CONCURRENCY) || 3, 1);
+        this.maxAttempts = parseInt(process.env.SWEEP_MAX_ATTEMPTS) || 3;
+        // Must outlast a gas top-up plus waiting for the token transfers; renewed while a job runs
+        this.leaseSeconds = parseInt(process.env.SWEEP_LEASE_SECONDS) || 600;
+        this.fullScanHours = parseInt(process.env.SWEEP_FULL_SCAN_HOURS) || 24;
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+        this.auditActor = { actor: `sweep-worker:${this.workerId}`, channel: 'cron' };
+        this.isProcessing = false;
+    }
+
+    // Queue a sweep of every address, archived ones included, that holds something worth
+    // sweeping. Only addresses with activity since their last balance check are looked up,
+    // plus a full pass every fullScanHours in case a deposit was missed. Addresses that
+    // already have a queued or running job are skipped.
+    async enqueueAll(source = 'cron') {
+        const checkedAt = Math.floor(Date.now() / 1000);
+        const candidates = await database.getSweepCandidates(this.fullScanHours);
+        if (candidates.length === 0) {
+            return 0;
+        }
+
+        const balances = await walletManager.getAccountInfos(candidates.map(address => address.address));
+        const due = [];
+        const idle = [];
+        for (const address of candidates) {
+            const accountInfo = balances[address.address];
+            // Not marked checked, so a failed lookup is retried on the next run
+            if (accountInfo.error) {
+                continue;
+            }
+            const sweepableTokens = await walletManager.getSweepableTokens(accountInfo);
+            (sweepableTokens.length > 0 ? due : idle).push(address.id);
+        }
+
+        let queued = 0;
+        for (let i = 0; i < Math.max(due.length, idle.length); i += ID_BATCH_SIZE) {
+            await database.markBalancesChecked(idle.slice(i, i + ID_BATCH_SIZE), checkedAt);
+            queued += await database.enqueueSweepJobs(source, this.maxAttempts, due.slice(i, i + ID_BATCH_SIZE));
+        }
+
+        console.log(`🧺 Checked ${candidates.length} addresses, queued ${queued} sweep jobs (${source})`);
+        return queued;
+    }
+
+    // Queue one address without waiting for activity, e.g. on an admin's request.
+    // Returns false when it already has a queued or running job.
+    async enqueueAddress(addressId, source) {
+        return await database.enqueueSweepJobs(source, this.maxAttempts, [addressId]) > 0;
+    }
+
+    // Work through due jobs with bounded concurrency until none are left.
+    // Returns the jobs this process ran, or null if it was already processing.
+    async processQueue() {
+        if (this.isProcessing) {
+            return null;
+        }
+
+        this.isProcessing = true;
+        const finished = [];
+
+        try {
+            const expired = await database.failExpiredSweepJobs();
+            if (expired > 0) {
+                console.log(`⚠️  ${expired} sweep jobs failed after their worker stopped responding`);
+            }
+
+            const workers = [];
+            for (let i = 0; i < this.concurrency; i++) {
+                workers.push(this.runWorker(finished));
+            }
+            await Promise.all(workers);
+
+            return finished;
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    async runWorker(finished) {
+        for (;;) {
+            let job;
+            try {
+                job = await database.claimSweepJob(this.workerId, this.leaseSeconds);
+            } catch (error) {
+                console.error('❌ Error claiming sweep job:', error);
+                return;
+            }
+            if (!job) {
+                return;
+            }
+
+            finished.push(await this.runJob(job));
+            await new Promise(resolve => setTimeout(resolve, JOB_DELAY_MS));
+        }
+    }
+
+    // Run one leased job: { job, address, result } on success, { job, address, error } otherwise
+    async runJob(job) {
+        let address = null;
+        let result = null;
+
+        const renewal = setInterval(() => {
+            database.renewSweepJobLease(job.id, this.workerId, this.leaseSeconds)
+                .then(renewed => {
+                    if (!renewed) {
+                        console.warn(`⚠️  Lost the lease on sweep job ${job.id}`);
+                    }
+                })
+                .catch(error => console.error(`❌ Error renewing lease on sweep job ${job.id}:`, error));
+        }, this.leaseSeconds * 1000 / 3);
+
+        try {
+            address = await database.getAddressById(job.address_id);
+            if (!address) {
+                throw new Error(`Address ${job.address_id} not found`);
+            }
+
+            result = await this.sweepAddress(address);
+            await database.completeSweepJob(job.id, this.workerId, JSON.stringify(result));
+            await auditLog.record(this.auditActor, 'sweep.address', {
+                target: address.address,
+                parameters: {
+                    jobId: job.id,
+                    source: job.source,
+                    attempt: job.attempts,
+                    sweptByToken: result.sweptByToken,
+                    transactions: result.transactions.map(tx => tx.txHash),
+                    skipped: result.skipped
+                }
+            });
+
+            return { job, address, result };
+        } catch (error) {
+            console.error(`❌ Sweep job ${job.id} failed on attempt ${job.attempts}/${job.max_attempts}:`, error);
+            await auditLog.record(this.auditActor, 'sweep.address', {
+                target: address ? address.address : `address #${job.address_id}`,
+                parameters: { jobId: job.id, source: job.source, attempt: job.attempts },
+                error
+            });
+
+            // Once anything was broadcast, running the job again could send it twice; the
+            // confirmation tracker settles what went out
+            const broadcast = Boolean(result ? result.broadcast : error.broadcast);
+            const retryIn = !broadcast && job.attempts < job.max_attempts
+                ? Math.min(RETRY_BASE_SECONDS * 2 ** (job.attempts - 1), RETRY_MAX_SECONDS)
+                : null;
+            try {
+                await database.failSweepJob(job.id, this.workerId, error.message, retryIn);
+            } catch (dbError) {
+                // The lease expires and another worker picks the job up
+            }
+
+            return { job, address, error };
+        } finally {
+            clearInterval(renewal);
+        }
+    }
+
+    // Sweep one address; returns { sweptByToken, transactions, skipped, broadcast }
+    async sweepAddress(address) {
+        // Until an earlier sweep confirms, its funds can still show on the address
+        if (await database.hasPendingSweep(address.id)) {
+            return { sweptByToken: {}, transactions: [], skipped: 'Previous sweep still pending' };
+        }
+
+        const checkedAt = Math.floor(Date.now() / 1000);
+        const accountInfo = await walletManager.getAccountInfo(address.address, 0);
+        if (accountInfo.error) {
+            throw new Error(`Balance lookup failed: ${accountInfo.error}`);
+        }
+
+        const sweepableTokens = await walletManager.getSweepableTokens(accountInfo);
+        if (sweepableTokens.length === 0) {
+            await database.markBalancesChecked([address.id], checkedAt);
+            return { sweptByToken: {}, transactions: [], skipped: null };
+        }
+
+        console.log(`💰 Sweeping ${sweepableTokens.map(token => formatAmount(fromBaseUnits(accountInfo.tokenBalances[token.symbol], token.decimals), token.symbol)).join(', ')} from ${address.address}`);
+
+        // Transfers are recorded in transactions as they are broadcast
+        const sweepResult = await walletManager.sweepToMasterWallet(address, accountInfo, this.auditActor);
+
+        return { sweptByToken: sweepResult.sweptByToken, transactions: sweepResult.transactions, skipped: null, broadcast: sweepResult.broadcast };
+    }
+
+    // Queue counts, last sweep and confirmed totals; survives restarts
+    async getStats() {
+        const jobs = await database.getSweepJobStats();
+
+        return {
+            totalSwept: await database.getSweptTotals(),
+            lastSweepTime: jobs.lastSweepTime,
+            jobs: {
+                queued: jobs.queued,
+                running: jobs.running,
+                completed: jobs.completed,
+                failed: jobs.failed
+            },
+            lastError: jobs.lastError,
+            concurrency: this.concurrency,
+            isProcessing: this.isProcessing
+        };
+    }
+
+    async cleanup(days = 30) {
+        return await database.deleteSweepJobsBefore(days);
+    }
+}
+
+// Export singleton instance
+const sweepQueue = new SweepQueue();
+module.exports = sweepQueue;
@@ -1,9 +1,39 @@
 const TronWeb = require('tronweb');
 const bip39 = require('bip39');
 const HDKey = require('hdkey');
-const CryptoJS = require('crypto-js');
+const database = require('./db');
+const keyRing = require('./keyring');
+const walletInitializer = require('./walletinit');
+const auditLog = require('./audit');
+const systemSettings = require('./settings');
+const { TRX_DECIMALS, MAX_DECIMALS, toBaseUnits, fromBaseUnits } = require('./amounts');
 require('dotenv').config();
 
+// Approximate serialized size in bytes of a signed TRC20 transfer
+const TRC20_TRANSFER_BANDWIDTH = 345;
+
+// How long the token registry is cached before re-reading the database
+const TOKEN_CACHE_TTL = 60 * 1000;
+
+// Base58 form of the zero address; the balance checker reads it as native TRX
+const TRX_BALANCE_TOKEN = 'T9yD14Nj9j7xAB4dbGeiX9h8unkKHxuWwb';
+
+// Run fn over items with at most limit calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    });
+    await Promise.all(workers);
+
+    return results;
+}
+
 class WalletManager {
     constructor() {
         this.tronWeb = new TronWeb({
@@ -14,35 +44,138 @@ class WalletManager {
 
         this.masterAddress = process.env.MASTER_ADDRESS;
         this.masterPrivateKey = process.env.MASTER_PRIVATE_KEY;
-        this.encryptionKey = process.env.ENCRYPTION_KEY;
-        this.usdtContractAddress = process.env.USDT_CONTRACT_ADDRESS;
+        // 'derived' keeps only the derivation index and re-derives signing keys from the mnemonic
+        this.keyStorage = process.env.KEY_STORAGE_MODE === 'derived' ? 'derived' : 'encrypted';
+        this.reclaimGasTRX = process.env.RECLAIM_GAS_TRX === 'true';
+        // Long enough for a transaction to reach confirmationDepth blocks (3 s each)
+        this.txWaitTimeout = (parseInt(process.env.TX_WAIT_TIMEOUT_SECONDS) || 180) * 1000;
+        // Blocks on top of a transaction before it counts as confirmed, here and in the confirmation tracker
+        this.confirmationDepth = parseInt(process.env.CONFIRMATION_DEPTH) || 19;
+        this.maxFeeLimit = (parseInt(process.env.MAX_FEE_LIMIT_TRX) || 100) * 1000000; // Sun
+        this.feeParameters = null;
+        this.contracts = new Map();
+        this.hdRoot = null;
+        this.hdMnemonic = null;
+        this.tokens = null;
+        this.tokensLoadedAt = 0;
+
+        // Balance lookups: a BalanceChecker-style contract answers many addresses in one call;
+        // without one, addresses are looked up individually. Results are cached briefly.
+        this.balanceCheckerAddress = process.env.BALANCE_CHECKER_ADDRESS || null;
+        this.balanceBatchSize = parseInt(process.env.BALANCE_BATCH_SIZE) || 100;
+        this.balanceConcurrency = parseInt(process.env.BALANCE_CONCURRENCY) || 4;
+        this.balanceCacheTtl = (parseInt(process.env.BALANCE_CACHE_TTL_SECONDS) || 15) * 1000;
+        this.balanceCache = new Map();
         
-        // Initialize USDT contract
-        this.initializeContract();
+        // Load the token registry
+        this.initializeTokens();
     }
 
-    async initializeContract() {
+    async initializeTokens() {
         try {
-            this.usdtContract = await this.tronWeb.contract().at(this.usdtContractAddress);
-            console.log('✅ USDT contract initialized');
+            const tokens = await this.getTokens();
+            console.log(`✅ Token registry loaded: ${tokens.map(token => token.symbol).join(', ') || 'no tokens'}`);
+        } catch (error) {
+            console.error('❌ Error loading token registry:', error);
+        }
+    }
+
+    // All registered tokens, enabled or not, cached briefly
+    async getAllTokens() {
+        if (!this.tokens || Date.now() - this.tokensLoadedAt > TOKEN_CACHE_TTL) {
+            this.tokens = await database.getTokens(false);
+            this.tokensLoadedAt = Date.now();
+        }
+        return this.tokens;
+    }
+
+    // Tokens currently accepted for deposits, sweeps and withdrawals
+    async getTokens() {
+        const tokens = await this.getAllTokens();
+        return tokens.filter(token => token.is_enabled);
+    }
+
+    async getTokenByContract(contractAddress) {
+        const tokens = await this.getAllTokens();
+        return tokens.find(token => token.contract_address === contractAddress) || null;
+    }
+
+    async getTokenBySymbol(symbol) {
+        const tokens = await this.getAllTokens();
+        return tokens.find(token => token.symbol === symbol) || null;
+    }
+
+    // Display symbol for a transaction's token_contract (null means native TRX)
+    async getTokenSymbol(contractAddress) {
+        if (!contractAddress) {
+            return 'TRX';
+        }
+        const token = await this.getTokenByContract(contractAddress);
+        return token ? token.symbol : contractAddress.substring(0, 8) + '...';
+    }
+
+    // Add a TRC20 token to the registry, reading symbol and decimals from the contract.
+    // minSweepAmount defaults to the default_min_sweep_amount setting.
+    async registerToken(contractAddress, minSweepAmount = systemSettings.get('default_min_sweep_amount')) {
+        try {
+            if (!this.isValidAddress(contractAddress)) {
+                throw new Error('Invalid contract address');
+            }
+
+            const contract = await this.getContract(contractAddress);
+            const symbol = await contract.symbol().call();
+            const decimals = Number((await contract.decimals().call()).toString());
+
+            if (!symbol || !Number.isInteger(decimals)) {
+                throw new Error('Contract does not look like a TRC20 token');
+            }
+
+            // Ledger amounts are stored at 18 decimals
+            if (decimals > MAX_DECIMALS) {
+                throw new Error(`Tokens with more than ${MAX_DECIMALS} decimals are not supported`);
+            }
+
+            // Throws if the minimum is finer than the token can represent
+            const minSweep = fromBaseUnits(toBaseUnits(minSweepAmount, decimals), decimals);
+
+            await database.createToken(contractAddress, symbol, decimals, minSweep);
+            this.tokens = null;
+
+            return await this.getTokenByContract(contractAddress);
         } catch (error) {
-            console.error('❌ Error initializing USDT contract:', error);
+            console.error('Error registering token:', error);
+            throw error;
         }
     }
 
+    async setTokenEnabled(symbol, enabled) {
+        const updated = await database.setTokenEnabled(symbol, enabled);
+        this.tokens = null;
+        return updated;
+    }
+
+    async getContract(contractAddress) {
+        if (!this.contracts.has(contractAddress)) {
+            this.contracts.set(contractAddress, await this.tronWeb.contract().at(contractAddress));
+        }
+        return this.contracts.get(contractAddress);
+    }
+
     // Generate HD wallet addresses
     generateHDWallet(derivationIndex) {
         try {
-            // Generate mnemonic if not exists (for first time setup)
-            let mnemonic = process.env.HD_WALLET_MNEMONIC;
+            // Never fall back to a random seed: addresses from it could not be recovered
+            const mnemonic = process.env.HD_WALLET_MNEMONIC;
             if (!mnemonic) {
-                mnemonic = bip39.generateMnemonic();
-                console.log('🔑 Generated new mnemonic (SAVE THIS SECURELY):', mnemonic);
+                throw new Error('HD_WALLET_MNEMONIC is not set. Run npm run wallet:setup to create a wallet');
             }
 
-            // Generate seed from mnemonic
-            const seed = bip39.mnemonicToSeedSync(mnemonic);
-            const hdkey = HDKey.fromMasterSeed(seed);
+            // Seed derivation is slow, so the master key is kept per mnemonic
+            if (this.hdMnemonic !== mnemonic) {
+                this.hdRoot = HDKey.fromMasterSeed(bip39.mnemonicToSeedSync(mnemonic));
+                this.hdMnemonic = mnemonic;
+            }
+            const hdkey = this.hdRoot;
 
             // Derive child key using derivation path
             const derivationPath = `m/44'/195'/0'/0/${derivationIndex}`;
@@ -64,200 +197,695 @@ class WalletManager {
         }
     }
 
-    // Encrypt private key
-    encryptPrivateKey(privateKey) {
+    // Generate and store a new deposit address at the next free derivation index.
+    // by ({ actor, channel }) is who asked for it, for the audit log.
+    async createUserAddress(userId, label = null, by = auditLog.system) {
         try {
-            return CryptoJS.AES.encrypt(privateKey, this.encryptionKey).toString();
+            // Only hand out addresses from the wallet whose fingerprint was recorded at setup
+            await walletInitializer.verify();
+
+            const user = await database.getUserById(userId);
+            if (!user || user.is_disabled) {
+                throw new Error(user ? 'Account is disabled' : 'User not found');
+            }
+
+            const created = await database.createAddressWithNextIndex(userId, label, (derivationIndex) => {
+                const walletData = this.generateHDWallet(derivationIndex);
+                if (this.keyStorage === 'derived') {
+                    return { address: walletData.address, encryptedPrivateKey: null, keyVersion: null };
+                }
+
+                const { encrypted, keyVersion } = this.encryptPrivateKey(walletData.privateKey, walletData.address);
+                return {
+                    address: walletData.address,
+                    encryptedPrivateKey: encrypted,
+                    keyVersion
+                };
+            });
+
+            await auditLog.record(by, 'address.generate', {
+                target: created.address,
+                parameters: { userId, label, derivationIndex: created.derivationIndex }
+            });
+            return created;
+        } catch (error) {
+            console.error('Error creating user address:', error);
+            await auditLog.record(by, 'address.generate', { parameters: { userId, label }, error });
+            throw error;
+        }
+    }
+
+    // Encrypt a private key under the current key version, bound to its address.
+    // Returns { encrypted, keyVersion }.
+    encryptPrivateKey(privateKey, address) {
+        try {
+            return keyRing.encrypt(privateKey, address);
         } catch (error) {
             console.error('Error encrypting private key:', error);
             throw error;
         }
     }
 
-    // Decrypt private key
-    decryptPrivateKey(encryptedPrivateKey) {
+    // Decrypt the private key of an addresses row; throws on a wrong key instead of
+    // returning something unusable
+    decryptPrivateKey(addressData) {
         try {
-            const bytes = CryptoJS.AES.decrypt(encryptedPrivateKey, this.encryptionKey);
-            return bytes.toString(CryptoJS.enc.Utf8);
+            const privateKey = keyRing.decrypt(addressData.private_key_encrypted, addressData.key_version, addressData.address);
+            if (!/^[0-9a-fA-F]{64}$/.test(privateKey)) {
+                throw new Error(`Decrypted key for ${addressData.address} is not a private key`);
+            }
+            return privateKey;
         } catch (error) {
             console.error('Error decrypting private key:', error);
             throw error;
         }
     }
 
-    // Get TRX balance
+    // Re-derive an address's private key from the mnemonic and its derivation index
+    derivePrivateKey(addressData) {
+        if (!process.env.HD_WALLET_MNEMONIC) {
+            throw new Error('HD_WALLET_MNEMONIC must be set to derive signing keys');
+        }
+
+        const walletData = this.generateHDWallet(addressData.derivation_index);
+        if (walletData.address !== addressData.address) {
+            throw new Error(`Derivation index ${addressData.derivation_index} does not derive ${addressData.address}`);
+        }
+        return walletData.privateKey;
+    }
+
+    // Signing key for an address: the stored key if it still has one, otherwise derived
+    getSigningKey(addressData) {
+        return addressData.private_key_encrypted
+            ? this.decryptPrivateKey(addressData)
+            : this.derivePrivateKey(addressData);
+    }
+
+    // Check an address's key (stored or derived) still yields the address
+    verifyAddressKey(addressData) {
+        const privateKey = this.getSigningKey(addressData);
+        if (this.tronWeb.address.fromPrivateKey(privateKey) !== addressData.address) {
+            throw new Error('Decrypted key derives a different address');
+        }
+        return true;
+    }
+
+    // Startup check: decrypt (or derive) a sample of keys under every key version in use.
+    // Returns { checked, failures, versions, outdated }.
+    async selfTestKeys(samplePerVersion = 5) {
+        const result = { checked: 0, failures: [], versions: [], outdated: 0 };
+
+        for (const { key_version: keyVersion, count } of await database.getKeyVersionCounts()) {
+            result.versions.push(keyVersion === null ? 'derived' : keyVersion);
+            if (keyVersion !== null && keyRing.needsRotation(keyVersion)) {
+                result.outdated += count;
+            }
+
+            for (const addressData of await database.getAddressKeySample(keyVersion, samplePerVersion)) {
+                result.checked++;
+                try {
+                    this.verifyAddressKey(addressData);
+                } catch (error) {
+                    result.failures.push({ id: addressData.id, address: addressData.address, keyVersion, error: error.message });
+                }
+            }
+        }
+
+        return result;
+    }
+
+    // Get TRX balance in sun. Throws when the node cannot be asked, so a failed lookup
+    // never reads (or is cached) as an empty address.
     async getTRXBalance(address) {
         try {
             const balance = await this.tronWeb.trx.getBalance(address);
-            return this.tronWeb.fromSun(balance);
+            return BigInt(balance);
         } catch (error) {
             console.error('Error getting TRX balance:', error);
-            return 0;
+            throw error;
         }
     }
 
-    // Get TRC20 token balance (USDT)
-    async getUSDTBalance(address) {
+    // Get TRC20 token balance in the token's base units; throws like getTRXBalance
+    async getTokenBalance(address, token) {
         try {
-            if (!this.usdtContract) {
-                await this.initializeContract();
-            }
-            
-            const balance = await this.usdtContract.balanceOf(address).call();
-            return parseFloat(this.tronWeb.toDecimal(balance)) / 1000000; // USDT has 6 decimals
+            const contract = await this.getContract(token.contract_address);
+            const balance = await contract.balanceOf(address).call();
+            return BigInt(balance._hex || balance.toString(10));
         } catch (error) {
-            console.error('Error getting USDT balance:', error);
-            return 0;
+            console.error(`Error getting ${token.symbol} balance:`, error);
+            throw error;
         }
     }
 
-    // Get account info
-    async getAccountInfo(address) {
+    // Get account info: TRX plus every enabled token, keyed by symbol, all in base units.
+    // maxAge (ms) bounds how stale a cached answer may be; pass 0 to force a lookup.
+    async getAccountInfo(address, maxAge = this.balanceCacheTtl) {
+        const infos = await this.getAccountInfos([address], maxAge);
+        return infos[address];
+    }
+
+    // Account info for many addresses, keyed by address, from the cache where fresh
+    // enough and otherwise in batches with bounded concurrency
+    async getAccountInfos(addresses, maxAge = this.balanceCacheTtl) {
+        const infos = {};
+        const missing = [];
+        const now = Date.now();
+
+        for (const address of new Set(addresses)) {
+            const cached = this.balanceCache.get(address);
+            if (cached && now - cached.fetchedAt <= maxAge) {
+                infos[address] = cached.info;
+            } else {
+                missing.push(address);
+            }
+        }
+
+        if (missing.length === 0) {
+            return infos;
+        }
+
+        const tokens = await this.getTokens();
+        const batchSize = this.balanceCheckerAddress ? this.balanceBatchSize : 1;
+        const batches = [];
+        for (let i = 0; i < missing.length; i += batchSize) {
+            batches.push(missing.slice(i, i + batchSize));
+        }
+
+        await mapWithConcurrency(batches, this.balanceConcurrency, async batch => {
+            const fetchedAt = Date.now();
+            for (const info of await this.fetchAccountInfos(batch, tokens)) {
+                infos[info.address] = info;
+                if (!info.error) {
+                    this.balanceCache.set(info.address, { info, fetchedAt });
+                }
+            }
+        });
+
+        this.pruneBalanceCache();
+        return infos;
+    }
+
+    async fetchAccountInfos(addresses, tokens) {
+        if (this.balanceCheckerAddress) {
+            try {
+                return await this.fetchBatchedAccountInfos(addresses, tokens);
+            } catch (error) {
+                console.error(`❌ Batched balance lookup of ${addresses.length} addresses failed, looking up individually:`, error);
+            }
+        }
+
+        return await Promise.all(addresses.map(address => this.fetchAccountInfo(address, tokens)));
+    }
+
+    // One constant call to balances(address[],address[]), which returns the balance of
+    // every (address, token) pair in address-major order
+    async fetchBatchedAccountInfos(addresses, tokens) {
+        const tokenAddresses = [TRX_BALANCE_TOKEN, ...tokens.map(token => token.contract_address)];
+
+        const response = await this.tronWeb.transactionBuilder.triggerConstantContract(
+            this.balanceCheckerAddress,
+            'balances(address[],address[])',
+            {},
+            [
+                { type: 'address[]', value: addresses },
+                { type: 'address[]', value: tokenAddresses }
+            ],
+            this.masterAddress
+        );
+
+        if (!response || !response.result || !response.result.result || !response.constant_result) {
+            throw new Error('Balance checker call failed');
+        }
+
+        const [values] = this.tronWeb.utils.abi.decodeParams([], ['uint256[]'], '0x' + response.constant_result[0]);
+        if (values.length !== addresses.length * tokenAddresses.length) {
+            throw new Error(`Balance checker returned ${values.length} values, expected ${addresses.length * tokenAddresses.length}`);
+        }
+
+        return addresses.map((address, i) => {
+            const offset = i * tokenAddresses.length;
+            const tokenBalances = {};
+            tokens.forEach((token, j) => {
+                tokenBalances[token.symbol] = BigInt(values[offset + j + 1].toString());
+            });
+
+            return {
+                address,
+                trxBalance: BigInt(values[offset].toString()),
+                tokenBalances
+            };
+        });
+    }
+
+    // Two kinds of RPC call per address: TRX balance and balanceOf for each token
+    async fetchAccountInfo(address, tokens) {
+        const tokenBalances = {};
+
         try {
-            const [trxBalance, usdtBalance] = await Promise.all([
+            const [trxBalance, ...balances] = await Promise.all([
                 this.getTRXBalance(address),
-                this.getUSDTBalance(address)
+                ...tokens.map(token => this.getTokenBalance(address, token))
             ]);
 
+            tokens.forEach((token, i) => {
+                tokenBalances[token.symbol] = balances[i];
+            });
+
             return {
                 address,
-                trxBalance: parseFloat(trxBalance),
-                usdtBalance: parseFloat(usdtBalance),
-                totalValue: parseFloat(trxBalance) + parseFloat(usdtBalance)
+                trxBalance,
+                tokenBalances
             };
         } catch (error) {
             console.error('Error getting account info:', error);
             return {
                 address,
-                trxBalance: 0,
-                usdtBalance: 0,
-                totalValue: 0
+                trxBalance: 0n,
+                tokenBalances,
+                error: error.message
             };
         }
     }
 
-    // Transfer TRX
-    async transferTRX(fromPrivateKey, toAddress, amount) {
+    // Forget cached balances, e.g. after a transfer touched the addresses
+    invalidateBalances(addresses) {
+        for (const address of addresses) {
+            this.balanceCache.delete(address);
+        }
+    }
+
+    pruneBalanceCache() {
+        const now = Date.now();
+        for (const [address, cached] of this.balanceCache) {
+            if (now - cached.fetchedAt > this.balanceCacheTtl) {
+                this.balanceCache.delete(address);
+            }
+        }
+    }
+
+    // Transfer TRX; amount is in sun. Returns the txid; see broadcastSigned for onSigned
+    // and the errors it throws.
+    async transferTRX(fromPrivateKey, toAddress, amount, onSigned = null) {
         try {
-            const tronWebInstance = new TronWeb({
-                fullHost: process.env.TRON_NODE_URL,
-                headers: { "TRON-PRO-API-KEY": process.env.TRON_GRID_API_KEY },
-                privateKey: fromPrivateKey
-            });
+            const tronWebInstance = this.signerFor(fromPrivateKey);
 
-            const transaction = await tronWebInstance.trx.sendTransaction(
-                toAddress,
-                tronWebInstance.toSun(amount)
-            );
+            let signed;
+            try {
+                // No TRX supply fits outside a safe integer, but refuse rather than round
+                const sun = BigInt(amount);
+                if (sun > BigInt(Number.MAX_SAFE_INTEGER)) {
+                    throw new Error(`TRX amount out of range: ${sun}`);
+                }
+
+                const fromAddress = tronWebInstance.address.fromPrivateKey(fromPrivateKey);
+                const transaction = await tronWebInstance.transactionBuilder.sendTrx(toAddress, Number(sun), fromAddress);
+                signed = await tronWebInstance.trx.sign(transaction, fromPrivateKey);
+            } catch (error) {
+                error.notBroadcast = true;
+                throw error;
+            }
 
-            return transaction;
+            return await this.broadcastSigned(tronWebInstance, signed, onSigned);
         } catch (error) {
             console.error('Error transferring TRX:', error);
             throw error;
         }
     }
 
-    // Transfer USDT
-    async transferUSDT(fromPrivateKey, toAddress, amount) {
+    // Transfer a registered TRC20 token; amount is in the token's base units. Returns the
+    // txid; see broadcastSigned for onSigned and the errors it throws.
+    async transferToken(fromPrivateKey, toAddress, amount, token, feeLimit = null, onSigned = null) {
         try {
-            const tronWebInstance = new TronWeb({
-                fullHost: process.env.TRON_NODE_URL,
-                headers: { "TRON-PRO-API-KEY": process.env.TRON_GRID_API_KEY },
-                privateKey: fromPrivateKey
-            });
+            const tronWebInstance = this.signerFor(fromPrivateKey);
 
-            const contract = await tronWebInstance.contract().at(this.usdtContractAddress);
-            
-            // Convert amount to contract format (6 decimals for USDT)
-            const amountInContractFormat = Math.floor(amount * 1000000);
+            let signed;
+            try {
+                const fromAddress = tronWebInstance.address.fromPrivateKey(fromPrivateKey);
 
-            const transaction = await contract.transfer(
-                toAddress,
-                amountInContractFormat
-            ).send({
-                feeLimit: 100000000 // 100 TRX fee limit
-            });
+                // Size the fee limit from an energy simulation unless the caller already did
+                if (!feeLimit) {
+                    const gasEstimate = await this.estimateTokenGas(token, fromAddress, toAddress, amount);
+                    feeLimit = gasEstimate.feeLimit;
+                }
+
+                const built = await tronWebInstance.transactionBuilder.triggerSmartContract(
+                    token.contract_address,
+                    'transfer(address,uint256)',
+                    { feeLimit, callValue: 0 },
+                    [{ type: 'address', value: toAddress }, { type: 'uint256', value: amount.toString() }],
+                    fromAddress
+                );
+                if (!built.result || !built.result.result || !built.transaction) {
+                    throw new Error(`Could not build ${token.symbol} transfer`);
+                }
+                signed = await tronWebInstance.trx.sign(built.transaction, fromPrivateKey);
+            } catch (error) {
+                error.notBroadcast = true;
+                throw error;
+            }
+
+            return await this.broadcastSigned(tronWebInstance, signed, onSigned);
+        } catch (error) {
+            console.error(`Error transferring ${token.symbol}:`, error);
+            throw error;
+        }
+    }
+
+    signerFor(privateKey) {
+        return new TronWeb({
+            fullHost: process.env.TRON_NODE_URL,
+            headers: { "TRON-PRO-API-KEY": process.env.TRON_GRID_API_KEY },
+            privateKey
+        });
+    }
 
-            return transaction;
+    // Broadcast a signed transaction and return its txid. onSigned(txHash) runs first so
+    // callers can record the transaction before anything can reach the chain. Errors carry
+    // txHash, and notBroadcast when the transaction provably never went out (onSigned failed
+    // or the node rejected it). Without notBroadcast the outcome is unknown: the transaction
+    // may still land, so leave it to the confirmation tracker.
+    async broadcastSigned(tronWebInstance, signed, onSigned = null) {
+        const txHash = signed.txID;
+
+        if (onSigned) {
+            try {
+                await onSigned(txHash);
+            } catch (error) {
+                error.notBroadcast = true;
+                error.txHash = txHash;
+                throw error;
+            }
+        }
+
+        let response;
+        try {
+            response = await tronWebInstance.trx.sendRawTransaction(signed);
+        } catch (error) {
+            error.txHash = txHash;
+            throw error;
+        }
+
+        // A duplicate means an earlier broadcast of this same transaction got through
+        if (!response.result && response.code !== 'DUP_TRANSACTION_ERROR') {
+            const detail = response.message ? Buffer.from(response.message, 'hex').toString() : '';
+            const error = new Error(`Transfer rejected by node: ${response.code || 'unknown'}${detail ? ` (${detail})` : ''}`);
+            error.notBroadcast = true;
+            error.txHash = txHash;
+            throw error;
+        }
+
+        return txHash;
+    }
+
+    // Run send(onSigned) with its transactions row (row: { addressId, from, to, amount,
+    // tokenContract, type }) written before the broadcast. A row whose transfer provably never
+    // went out is marked failed; otherwise the confirmation tracker settles it.
+    async sendRecorded(row, send) {
+        let recordedHash = null;
+        const onSigned = async (txHash) => {
+            await database.createTransaction(row.addressId, txHash, row.from, row.to, row.amount, row.tokenContract, row.type, 'pending');
+            recordedHash = txHash;
+        };
+
+        try {
+            return await send(onSigned);
         } catch (error) {
-            console.error('Error transferring USDT:', error);
+            if (error.notBroadcast && recordedHash) {
+                try {
+                    await database.settleTransaction(recordedHash, 'failed');
+                } catch (settleError) {
+                    // Left pending; the tracker fails it once it is clearly not on chain
+                }
+            }
             throw error;
         }
     }
 
-    // Auto-sweep function
-    async sweepToMasterWallet(addressData) {
+    // Auto-sweep function. by ({ actor, channel }) is recorded with the key access.
+    // Every transfer is recorded in transactions before it is broadcast. Errors thrown after
+    // anything was broadcast carry broadcast = true, so the caller does not run the sweep again.
+    async sweepToMasterWallet(addressData, accountInfo = null, by = auditLog.system) {
+        let broadcast = false;
         try {
-            const { address, private_key_encrypted } = addressData;
-            const privateKey = this.decryptPrivateKey(private_key_encrypted);
+            const { address } = addressData;
+
+            // Every use of a deposit address's private key is audited, successful or not
+            const keyAction = addressData.private_key_encrypted ? 'key.decrypt' : 'key.derive';
+            let privateKey;
+            try {
+                privateKey = this.getSigningKey(addressData);
+            } catch (error) {
+                await auditLog.record(by, keyAction, { target: address, parameters: { purpose: 'sweep' }, error });
+                throw error;
+            }
+            await auditLog.record(by, keyAction, {
+                target: address,
+                parameters: { purpose: 'sweep', keyVersion: addressData.key_version }
+            });
 
             // Get balances
-            const accountInfo = await this.getAccountInfo(address);
-            const { trxBalance, usdtBalance } = accountInfo;
+            if (!accountInfo) {
+                accountInfo = await this.getAccountInfo(address, 0);
+            }
+            const { trxBalance, tokenBalances } = accountInfo;
 
             const transactions = [];
-            let totalSwept = 0;
+            const sweptByToken = {};
+            let trxAvailable = trxBalance;
+            let gasFunding = null;
+            let lastTokenTxHash = null;
 
-            // Sweep USDT first (if available)
-            if (usdtBalance > parseFloat(process.env.MIN_SWEEP_AMOUNT || 1)) {
+            // A transfer that failed without notBroadcast may still land: keep it as pending
+            const mayHaveLanded = error => !error.notBroadcast && Boolean(error.txHash);
+
+            // Estimate every token transfer up front so gas is topped up once
+            const plans = [];
+            for (const token of await this.getSweepableTokens(accountInfo)) {
+                const amount = tokenBalances[token.symbol];
+                const gasEstimate = await this.estimateTokenGas(token, address, this.masterAddress, amount);
+                plans.push({ token, amount, gasEstimate });
+            }
+
+            const gasRequired = plans.reduce((total, plan) => total + plan.gasEstimate.estimatedGas, 0n);
+
+            // Top up gas from the master wallet when the address cannot pay for the transfers
+            if (plans.length > 0 && trxAvailable < gasRequired && systemSettings.get('auto_gas_topup')) {
                 try {
-                    // Ensure address has enough TRX for gas
-                    if (trxBalance >= 15) {
-                        const usdtTx = await this.transferUSDT(privateKey, this.masterAddress, usdtBalance);
-                        transactions.push({
-                            type: 'USDT',
-                            amount: usdtBalance,
-                            txHash: usdtTx.txid || usdtTx.transaction?.txID,
-                            status: 'pending'
-                        });
-                        totalSwept += usdtBalance;
-                    } else {
-                        console.log(`⚠️  Insufficient TRX for gas in ${address}`);
-                    }
+                    gasFunding = await this.fundGas(addressData, gasRequired - trxAvailable);
+                    trxAvailable += gasFunding.sun;
+                    broadcast = true;
                 } catch (error) {
-                    console.error(`❌ Error sweeping USDT from ${address}:`, error);
+                    broadcast = broadcast || mayHaveLanded(error);
+                    console.error(`❌ Error funding gas for ${address}:`, error);
                 }
             }
 
-            // Sweep remaining TRX (keep 1 TRX for future gas)
-            const trxToSweep = trxBalance - 1;
-            if (trxToSweep > 0.1) {
+            // Sweep tokens first
+            for (const plan of plans) {
+                const { token, amount, gasEstimate } = plan;
+
+                // Ensure address has enough TRX for gas
+                if (trxAvailable < gasEstimate.estimatedGas) {
+                    console.log(`⚠️  Insufficient TRX for ${token.symbol} gas in ${address}`);
+                    continue;
+                }
+
+                const sweptAmount = fromBaseUnits(amount, token.decimals);
+                let txHash;
                 try {
-                    const trxTx = await this.transferTRX(privateKey, this.masterAddress, trxToSweep);
+                    txHash = await this.sendRecorded(
+                        { addressId: addressData.id, from: address, to: this.masterAddress, amount: sweptAmount, tokenContract: token.contract_address, type: 'sweep' },
+                        onSigned => this.transferToken(privateKey, this.masterAddress, amount, token, gasEstimate.feeLimit, onSigned)
+                    );
+                } catch (error) {
+                    console.error(`❌ Error sweeping ${token.symbol} from ${address}:`, error);
+                    if (!mayHaveLanded(error)) {
+                        continue;
+                    }
+                    txHash = error.txHash;
+                }
+
+                lastTokenTxHash = txHash;
+                broadcast = true;
+                transactions.push({
+                    type: token.symbol,
+                    tokenContract: token.contract_address,
+                    amount: sweptAmount,
+                    txHash,
+                    status: 'pending'
+                });
+                sweptByToken[token.symbol] = sweptAmount;
+                trxAvailable -= gasEstimate.estimatedGas;
+            }
+
+            // Sweep remaining TRX, keeping the trx_sweep_reserve setting for future gas. After a token
+            // sweep that TRX pays for its energy, so only reclaim what is left once the transfers are on chain.
+            const reserve = toBaseUnits(systemSettings.get('trx_sweep_reserve'), TRX_DECIMALS);
+            let trxToSweep = trxAvailable - reserve;
+            if (lastTokenTxHash) {
+                trxToSweep = 0n;
+                if (this.reclaimGasTRX) {
+                    try {
+                        await this.waitForTransaction(lastTokenTxHash);
+                        trxToSweep = await this.getTRXBalance(address) - reserve;
+                    } catch (error) {
+                        console.error(`❌ Error waiting for token sweep from ${address}:`, error);
+                    }
+                }
+            }
+
+            if (trxToSweep > toBaseUnits(systemSettings.get('min_trx_sweep'), TRX_DECIMALS)) {
+                const sweptAmount = fromBaseUnits(trxToSweep, TRX_DECIMALS);
+                let trxTxHash = null;
+                try {
+                    trxTxHash = await this.sendRecorded(
+                        { addressId: addressData.id, from: address, to: this.masterAddress, amount: sweptAmount, tokenContract: null, type: 'sweep' },
+                        onSigned => this.transferTRX(privateKey, this.masterAddress, trxToSweep, onSigned)
+                    );
+                } catch (error) {
+                    console.error(`❌ Error sweeping TRX from ${address}:`, error);
+                    trxTxHash = mayHaveLanded(error) ? error.txHash : null;
+                }
+
+                if (trxTxHash) {
+                    broadcast = true;
                     transactions.push({
                         type: 'TRX',
-                        amount: trxToSweep,
-                        txHash: trxTx.txid || trxTx.transaction?.txID,
+                        tokenContract: null,
+                        amount: sweptAmount,
+                        txHash: trxTxHash,
                         status: 'pending'
                     });
-                } catch (error) {
-                    console.error(`❌ Error sweeping TRX from ${address}:`, error);
+                    sweptByToken.TRX = sweptAmount;
                 }
             }
 
+            if (transactions.length > 0 || gasFunding) {
+                this.invalidateBalances([address]);
+            }
+
             return {
                 address,
                 transactions,
-                totalSwept
+                sweptByToken,
+                gasFunding,
+                broadcast
             };
 
         } catch (error) {
             console.error('Error in sweep operation:', error);
+            error.broadcast = broadcast;
             throw error;
         }
     }
 
-    // Get transaction info
+    // Enabled tokens whose balance in accountInfo reaches their minimum sweep amount
+    async getSweepableTokens(accountInfo) {
+        const tokens = await this.getTokens();
+        return tokens.filter(token =>
+            (accountInfo.tokenBalances[token.symbol] || 0n) >= toBaseUnits(token.min_sweep_amount, token.decimals)
+        );
+    }
+
+    // Send TRX for gas (in sun) from the master wallet and wait until it is confirmed
+    async fundGas(addressData, sun) {
+        try {
+            const amount = fromBaseUnits(sun, TRX_DECIMALS);
+            console.log(`⛽ Funding ${amount} TRX gas to ${addressData.address}`);
+
+            const txHash = await this.sendRecorded(
+                { addressId: addressData.id, from: this.masterAddress, to: addressData.address, amount, tokenContract: null, type: 'gas_funding' },
+                onSigned => this.transferTRX(this.masterPrivateKey, addressData.address, sun, onSigned)
+            );
+
+            try {
+                await this.waitForTransaction(txHash);
+            } catch (error) {
+                // Broadcast, but not yet usable; the tracker settles the funding row
+                error.txHash = txHash;
+                throw error;
+            }
+            return { txHash, amount, sun };
+        } catch (error) {
+            console.error('Error funding gas:', error);
+            throw error;
+        }
+    }
+
+    // Poll until a transaction has confirmationDepth blocks on top of it, so a block that
+    // is later dropped cannot take spent funds with it; throws if it failed or timed out
+    async waitForTransaction(txHash, timeoutMs = this.txWaitTimeout) {
+        const deadline = Date.now() + timeoutMs;
+        let txInfo = null;
+
+        while (Date.now() < deadline) {
+            let info = txInfo;
+            let latestBlock = null;
+            try {
+                if (!info) {
+                    info = await this.getTransactionInfo(txHash);
+                }
+                if (info && info.blockNumber) {
+                    latestBlock = await this.getCurrentBlockNumber();
+                }
+            } catch (error) {
+                // Node hiccup; poll again
+            }
+
+            if (!txInfo && info && info.blockNumber) {
+                const receiptResult = info.receipt && info.receipt.result;
+                if (info.result === 'FAILED' || (receiptResult && receiptResult !== 'SUCCESS')) {
+                    throw new Error(`Transaction ${txHash} failed: ${receiptResult || info.resMessage || 'FAILED'}`);
+                }
+                txInfo = info;
+            }
+            if (txInfo && latestBlock !== null && latestBlock - txInfo.blockNumber >= this.confirmationDepth) {
+                return txInfo;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 3000));
+        }
+
+        throw new Error(txInfo
+            ? `Timed out waiting for ${this.confirmationDepth} confirmations of transaction ${txHash}`
+            : `Timed out waiting for transaction ${txHash}`);
+    }
+
+    // Get transaction info; without a blockNumber the transaction is not in a block (yet).
+    // Throws when the node cannot be asked, so a failed lookup never reads as "not on chain".
     async getTransactionInfo(txHash) {
         try {
             const txInfo = await this.tronWeb.trx.getTransactionInfo(txHash);
             return txInfo;
         } catch (error) {
             console.error('Error getting transaction info:', error);
+            throw error;
+        }
+    }
+
+    // Get a transaction with its raw contract data
+    async getTransaction(txHash) {
+        try {
+            return await this.tronWeb.trx.getTransaction(txHash);
+        } catch (error) {
+            console.error('Error getting transaction:', error);
             return null;
         }
     }
 
+    // Get latest block number
+    async getCurrentBlockNumber() {
+        const block = await this.tronWeb.trx.getCurrentBlock();
+        return block.block_header.raw_data.number;
+    }
+
+    // Get blocks (with transactions) from start to end, inclusive
+    async getBlockRange(start, end) {
+        const blocks = await this.tronWeb.trx.getBlockRange(start, end);
+        return blocks.sort((a, b) => a.block_header.raw_data.number - b.block_header.raw_data.number);
+    }
+
     // Validate TRON address
     isValidAddress(address) {
         try {
@@ -284,21 +912,122 @@ class WalletManager {
         }
     }
 
-    // Estimate gas for USDT transfer
-    async estimateUSDTGas() {
+    // Get chain fee parameters (sun per energy unit and per bandwidth byte), cached
+    async getChainFeeParameters() {
+        const now = Date.now();
+        if (this.feeParameters && now - this.feeParameters.fetchedAt < 10 * 60 * 1000) {
+            return this.feeParameters;
+        }
+
+        const parameters = await this.tronWeb.trx.getChainParameters();
+        const lookup = (key, fallback) => {
+            const parameter = parameters.find(param => param.key === key);
+            return parameter && parameter.value ? parameter.value : fallback;
+        };
+
+        this.feeParameters = {
+            energyFee: lookup('getEnergyFee', 420),
+            bandwidthFee: lookup('getTransactionFee', 1000),
+            fetchedAt: now
+        };
+        return this.feeParameters;
+    }
+
+    // Energy and bandwidth an account can spend without burning TRX
+    async getAvailableResources(address) {
+        try {
+            const resources = await this.tronWeb.trx.getAccountResources(address);
+            const energy = (resources.EnergyLimit || 0) - (resources.EnergyUsed || 0);
+            const bandwidth = Math.max(
+                (resources.freeNetLimit || 0) - (resources.freeNetUsed || 0),
+                (resources.NetLimit || 0) - (resources.NetUsed || 0)
+            );
+
+            return {
+                energy: Math.max(energy, 0),
+                bandwidth: Math.max(bandwidth, 0)
+            };
+        } catch (error) {
+            console.error('Error getting account resources:', error);
+            return { energy: 0, bandwidth: 0 };
+        }
+    }
+
+    // Estimate the TRX burn and a safe feeLimit for a token transfer by simulating it on chain
+    async estimateTokenGas(token, fromAddress, toAddress, amount, options = {}) {
+        const { useAccountResources = true } = options;
+
         try {
+            const [feeParameters, simulation, resources] = await Promise.all([
+                this.getChainFeeParameters(),
+                this.tronWeb.transactionBuilder.triggerConstantContract(
+                    token.contract_address,
+                    'transfer(address,uint256)',
+                    {},
+                    [
+                        { type: 'address', value: toAddress },
+                        { type: 'uint256', value: amount.toString() }
+                    ],
+                    fromAddress
+                ),
+                useAccountResources
+                    ? this.getAvailableResources(fromAddress)
+                    : { energy: 0, bandwidth: 0 }
+            ]);
+
+            if (!simulation || !simulation.result || !simulation.result.result) {
+                throw new Error('Energy simulation failed');
+            }
+
+            const energyRequired = simulation.energy_used || 0;
+            const bandwidthRequired = TRC20_TRANSFER_BANDWIDTH;
+
+            const energyBurnSun = Math.max(energyRequired - resources.energy, 0) * feeParameters.energyFee;
+            const bandwidthBurnSun = resources.bandwidth >= bandwidthRequired ? 0 : bandwidthRequired * feeParameters.bandwidthFee;
+            const burnSun = energyBurnSun + bandwidthBurnSun;
+
+            // feeLimit caps the energy burn; keep a margin for state changes between simulation and execution
+            const gasSafetyMargin = systemSettings.get('gas_safety_margin');
+            const feeLimit = Math.min(
+                Math.ceil(energyRequired * feeParameters.energyFee * (1 + gasSafetyMargin)),
+                this.maxFeeLimit
+            );
+
             return {
-                estimatedGas: 15, // TRX
-                feeLimit: 100000000 // Sun (100 TRX)
+                energyRequired,
+                bandwidthRequired,
+                energyPrice: feeParameters.energyFee,
+                estimatedBurn: BigInt(burnSun), // Sun
+                estimatedGas: BigInt(Math.ceil(burnSun * (1 + gasSafetyMargin))), // Sun to hold before sending
+                feeLimit // Sun
             };
         } catch (error) {
             console.error('Error estimating gas:', error);
+            const fallbackGas = toBaseUnits(systemSettings.get('fallback_sweep_gas'), TRX_DECIMALS);
             return {
-                estimatedGas: 15,
-                feeLimit: 100000000
+                energyRequired: null,
+                bandwidthRequired: TRC20_TRANSFER_BANDWIDTH,
+                energyPrice: null,
+                estimatedBurn: fallbackGas,
+                estimatedGas: fallbackGas,
+                feeLimit: this.maxFeeLimit
             };
         }
     }
+
+    // Estimated cost of sweeping a token (the first enabled one by default) from a deposit
+    // address that has no staked resources
+    async estimateSweepCost(token = null) {
+        if (!token) {
+            [token] = await this.getTokens();
+        }
+        if (!token) {
+            return null;
+        }
+
+        const estimate = await this.estimateTokenGas(token, this.masterAddress, this.masterAddress, 10n ** BigInt(token.decimals), { useAccountResources: false });
+        return { ...estimate, symbol: token.symbol };
+    }
 }
 
 // Export singleton instance
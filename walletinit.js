@@ -0,0 +1,93 @@
+const bip39 = require('bip39');
+const HDKey = require('hdkey');
+const database = require('./db');
+const auditLog = require('./audit');
+require('dotenv').config();
+
+const FINGERPRINT_SETTING = 'hd_wallet_fingerprint';
+
+class WalletInitializer {
+    constructor() {
+        this.verifiedFingerprint = null;
+    }
+
+    // BIP32 master key fingerprint: identifies a seed without revealing anything usable
+    fingerprint(mnemonic) {
+        if (!bip39.validateMnemonic(mnemonic)) {
+            throw new Error('HD_WALLET_MNEMONIC is not a valid BIP39 mnemonic');
+        }
+
+        const hdkey = HDKey.fromMasterSeed(bip39.mnemonicToSeedSync(mnemonic));
+        return hdkey.fingerprint.toString(16).padStart(8, '0');
+    }
+
+    // Generate a new mnemonic and record its fingerprint. The mnemonic is returned to the
+    // caller to show once and is never stored.
+    async setup() {
+        if (process.env.HD_WALLET_MNEMONIC) {
+            throw new Error('HD_WALLET_MNEMONIC is already set; use --import to record its fingerprint');
+        }
+
+        const stored = await database.getSetting(FINGERPRINT_SETTING);
+        if (stored) {
+            throw new Error(`Wallet is already initialised (fingerprint ${stored})`);
+        }
+
+        const mnemonic = bip39.generateMnemonic(256);
+        const fingerprint = this.fingerprint(mnemonic);
+        await database.setSetting(FINGERPRINT_SETTING, fingerprint, 'BIP32 fingerprint of HD_WALLET_MNEMONIC');
+        await auditLog.record(auditLog.cli, 'wallet.setup', { target: fingerprint });
+        console.log(`🔑 Recorded wallet fingerprint ${fingerprint}`);
+
+        return { mnemonic, fingerprint };
+    }
+
+    // Record the fingerprint of the configured mnemonic, for wallets set up before
+    // fingerprints existed
+    async importConfigured() {
+        const mnemonic = process.env.HD_WALLET_MNEMONIC;
+        if (!mnemonic) {
+            throw new Error('HD_WALLET_MNEMONIC must be set to import it');
+        }
+
+        const fingerprint = this.fingerprint(mnemonic);
+        const stored = await database.getSetting(FINGERPRINT_SETTING);
+        if (stored && stored !== fingerprint) {
+            throw new Error(`HD_WALLET_MNEMONIC (fingerprint ${fingerprint}) does not match the recorded wallet ${stored}`);
+        }
+
+        await database.setSetting(FINGERPRINT_SETTING, fingerprint, 'BIP32 fingerprint of HD_WALLET_MNEMONIC');
+        await auditLog.record(auditLog.cli, 'wallet.import', { target: fingerprint });
+        console.log(`🔑 Recorded wallet fingerprint ${fingerprint}`);
+        return fingerprint;
+    }
+
+    // Check the configured mnemonic against the recorded fingerprint; throws when either
+    // is missing or they differ. Cached once it passes.
+    async verify() {
+        if (this.verifiedFingerprint) {
+            return this.verifiedFingerprint;
+        }
+
+        const mnemonic = process.env.HD_WALLET_MNEMONIC;
+        if (!mnemonic) {
+            throw new Error('HD_WALLET_MNEMONIC is not set. Run npm run wallet:setup to create a wallet');
+        }
+
+        const fingerprint = this.fingerprint(mnemonic);
+        const stored = await database.getSetting(FINGERPRINT_SETTING);
+        if (!stored) {
+            throw new Error('No wallet fingerprint recorded. Run npm run wallet:setup -- --import to record the configured mnemonic');
+        }
+        if (stored !== fingerprint) {
+            throw new Error(`HD_WALLET_MNEMONIC (fingerprint ${fingerprint}) does not match the recorded wallet ${stored}`);
+        }
+
+        this.verifiedFingerprint = fingerprint;
+        return fingerprint;
+    }
+}
+
+// Export singleton instance
+const walletInitializer = new WalletInitializer();
+module.exports = walletInitializer;
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const dns = require('dns').promises;
+const net = require('net');
+const database = require('./db');
+require('dotenv').config();
+
+// Events an endpoint can subscribe to; 'withdrawal.*' style prefixes and '*' are accepted too
+const WEBHOOK_EVENTS = [
+    'deposit.detected',
+    'deposit.confirmed',
+    'deposit.failed',
+    'sweep.confirmed',
+    'sweep.failed',
+    'withdrawal.sent',
+    'withdrawal.confirmed',
+    'withdrawal.failed',
+    'invoice.partially_paid',
+    'invoice.paid',
+    'invoice.overpaid',
+    'invoice.expired'
+];
+
+// Loopback, private, link-local and other non-public ranges webhooks must not reach, since
+// the server itself sends the requests
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges too
+function isPrivateAddress(address) {
+    return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Retry delays grow as base * 2^attempt, capped
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+class WebhookManager {
+    constructor() {
+        this.events = WEBHOOK_EVENTS;
+        this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 10;
+        this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+        this.isDelivering = false;
+    }
+
+    // Register an endpoint and return it with its signing secret, which is only shown here
+    async registerEndpoint(url, events = ['*'], userId = null, apiKeyId = null) {
+        try {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (error) {
+                throw new Error('Invalid webhook URL');
+            }
+            if (parsed.protocol !== 'https:' && process.env.WEBHOOK_ALLOW_HTTP !== 'true') {
+                throw new Error('Webhook URL must use https');
+            }
+            await this.assertPublicHost(parsed.hostname);
+
+            const invalid = events.filter(event => !this.isValidEventPattern(event));
+            if (events.length === 0 || invalid.length > 0) {
+                throw new Error(`Invalid events: ${invalid.join(', ') || 'none given'}`);
+            }
+
+            const secret = crypto.randomBytes(32).toString('hex');
+            const id = await database.createWebhookEndpoint(url, secret, events, userId, apiKeyId);
+            console.log(`🪝 Registered webhook endpoint ${id} for ${url}`);
+
+            return { id, url, events, userId, secret };
+        } catch (error) {
+            console.error('Error registering webhook endpoint:', error);
+            throw error;
+        }
+    }
+
+    // Throw unless every address the host resolves to is public. WEBHOOK_ALLOW_PRIVATE=true
+    // turns the check off for local testing.
+    async assertPublicHost(hostname) {
+        if (process.env.WEBHOOK_ALLOW_PRIVATE === 'true') {
+            return;
+        }
+
+        const host = hostname.replace(/^\[|\]$/g, '');
+        let addresses;
+        if (net.isIP(host)) {
+            addresses = [host];
+        } else {
+            try {
+                addresses = (await dns.lookup(host, { all: true })).map(entry => entry.address);
+            } catch (error) {
+                throw new Error(`Webhook host ${host} does not resolve`);
+            }
+        }
+
+        if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+            throw new Error('Webhook URL must point to a public host');
+        }
+    }
+
+    isValidEventPattern(pattern) {
+        if (pattern === '*') {
+            return true;
+        }
+        if (pattern.endsWith('.*')) {
+            const prefix = pattern.slice(0, -1);
+            return WEBHOOK_EVENTS.some(event => event.startsWith(prefix));
+        }
+        return WEBHOOK_EVENTS.includes(pattern);
+    }
+
+    subscribes(endpoint, eventType) {
+        return endpoint.events.split(',').some(pattern =>
+            pattern === '*' ||
+            pattern === eventType ||
+            (pattern.endsWith('.*') && eventType.startsWith(pattern.slice(0, -1)))
+        );
+    }
+
+    // Queue an event for every subscribed endpoint, then try to send it straight away
+    async emit(eventType, data, userId = null) {
+        try {
+            const endpoints = (await database.getWebhookEndpointsForUser(userId))
+                .filter(endpoint => this.subscribes(endpoint, eventType));
+            if (endpoints.length === 0) {
+                return null;
+            }
+
+            const event = {
+                id: crypto.randomUUID(),
+                type: eventType,
+                createdAt: new Date().toISOString(),
+                data
+            };
+            const payload = JSON.stringify(event);
+
+            for (const endpoint of endpoints) {
+                await database.createWebhookDelivery(endpoint.id, event.id, eventType, payload);
+            }
+
+            this.deliverDue().catch(error => console.error('❌ Error delivering webhooks:', error));
+            return event.id;
+        } catch (error) {
+            // Never let webhook bookkeeping break the caller's flow
+            console.error(`❌ Error emitting ${eventType} webhook:`, error);
+            return null;
+        }
+    }
+
+    // Webhook payload for a row of the transactions table
+    async emitTransactionEvent(eventType, tx, symbol, extra = {}) {
+        const user = tx.user_id ? await database.getUserById(tx.user_id) : null;
+
+        return await this.emit(eventType, {
+            txHash: tx.tx_hash,
+            userId: user ? user.telegram_id : null,
+            address: tx.address || tx.to_address,
+            fromAddress: tx.from_address,
+            toAddress: tx.to_address,
+            token: symbol,
+            amount: tx.amount,
+            blockNumber: tx.block_number,
+            ...extra
+        }, tx.user_id || null);
+    }
+
+    // HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replayed requests
+    sign(secret, timestamp, body) {
+        const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        return `t=${timestamp},v1=${signature}`;
+    }
+
+    // Send every delivery whose next attempt is due (at-least-once: receivers dedupe by event id)
+    async deliverDue() {
+        if (this.isDelivering) {
+            return { delivered: 0, failed: 0 };
+        }
+
+        this.isDelivering = true;
+        const result = { delivered: 0, failed: 0 };
+
+        try {
+            const deliveries = await database.getDueWebhookDeliveries();
+
+            for (const delivery of deliveries) {
+                if (await this.attemptDelivery(delivery)) {
+                    result.delivered++;
+                } else {
+                    result.failed++;
+                }
+            }
+
+            return result;
+        } finally {
+            this.isDelivering = false;
+        }
+    }
+
+    async attemptDelivery(delivery) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        let statusCode = null;
+        let errorMessage = null;
+
+        try {
+            // Checked again on every attempt: DNS may have changed since registration
+            await this.assertPublicHost(new URL(delivery.url).hostname);
+
+            // The payload string is sent as-is, so it matches the signature byte for byte
+            const response = await axios.post(delivery.url, delivery.payload, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'TRC20-Wallet-Bot-Webhooks/1.0',
+                    'X-Webhook-Id': delivery.event_id,
+                    'X-Webhook-Event': delivery.event_type,
+                    'X-Webhook-Signature': this.sign(delivery.secret, timestamp, delivery.payload)
+                },
+                timeout: this.timeoutMs,
+                maxRedirects: 0,
+                validateStatus: () => true
+            });
+
+            statusCode = response.status;
+            if (statusCode >= 200 && statusCode < 300) {
+                await database.recordWebhookAttempt(delivery.id, 'delivered', statusCode, null);
+                return true;
+            }
+            errorMessage = `HTTP ${statusCode}`;
+        } catch (error) {
+            errorMessage = error.message;
+        }
+
+        const attempts = delivery.attempts + 1;
+        if (attempts >= this.maxAttempts) {
+            console.error(`❌ Webhook delivery ${delivery.id} to ${delivery.url} gave up after ${attempts} attempts: ${errorMessage}`);
+            await database.recordWebhookAttempt(delivery.id, 'failed', statusCode, errorMessage);
+        } else {
+            const retryIn = Math.min(RETRY_BASE_SECONDS * 2 ** delivery.attempts, RETRY_MAX_SECONDS);
+            await database.recordWebhookAttempt(delivery.id, 'pending', statusCode, errorMessage, retryIn);
+        }
+        return false;
+    }
+
+    // Re-send a delivery from the log, e.g. after the receiver fixed an outage
+    async replay(deliveryId, apiKeyId = null) {
+        const replayed = await database.replayWebhookDelivery(deliveryId, apiKeyId);
+        if (replayed) {
+            console.log(`🔁 Replaying webhook delivery ${deliveryId}`);
+            this.deliverDue().catch(error => console.error('❌ Error delivering webhooks:', error));
+        }
+        return replayed;
+    }
+}
+
+// Export singleton instance
+const webhookManager = new WebhookManager();
+module.exports = webhookManager;
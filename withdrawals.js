@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const database = require('./db');
+const walletManager = require('./wallet');
+const webhookManager = require('./webhooks');
+const auditLog = require('./audit');
+const { TRX_DECIMALS, toBaseUnits, fromBaseUnits, compareAmounts } = require('./amounts');
+require('dotenv').config();
+
+// Approximate serialized size in bytes of a signed TRX transfer
+const TRX_TRANSFER_BANDWIDTH = 268;
+
+class WithdrawalManager {
+    // Validate a withdrawal request and estimate its network fee (paid by the master wallet).
+    // Amounts are decimal strings.
+    async previewWithdrawal(userId, token, toAddress, amount) {
+        const { tokenData, baseUnits } = await this.validateRequest(token, toAddress, amount);
+        amount = fromBaseUnits(baseUnits, tokenData ? tokenData.decimals : TRX_DECIMALS);
+
+        const available = await database.getUserBalance(userId, token);
+        let networkFeeSun;
+
+        if (tokenData) {
+            const gasEstimate = await walletManager.estimateTokenGas(tokenData, walletManager.masterAddress, toAddress, baseUnits);
+            networkFeeSun = gasEstimate.estimatedBurn;
+        } else {
+            const resources = await walletManager.getAvailableResources(walletManager.masterAddress);
+            const feeParameters = await walletManager.getChainFeeParameters();
+            networkFeeSun = resources.bandwidth >= TRX_TRANSFER_BANDWIDTH
+                ? 0n
+                : BigInt(TRX_TRANSFER_BANDWIDTH * feeParameters.bandwidthFee);
+        }
+
+        return {
+            token,
+            toAddress,
+            amount,
+            available,
+            networkFee: fromBaseUnits(networkFeeSun, TRX_DECIMALS), // TRX
+            sufficient: compareAmounts(available, amount) >= 0
+        };
+    }
+
+    // Debit the user's balance in the ledger and send funds from the master wallet.
+    // by ({ actor, channel }) is who asked for it; the outcome goes to the audit log.
+    async executeWithdrawal(userId, token, toAddress, amount, by = auditLog.system) {
+        const parameters = { userId, token, amount };
+        try {
+            const result = await this.sendWithdrawal(userId, token, toAddress, amount);
+            await auditLog.record(by, 'withdrawal.send', {
+                target: toAddress,
+                parameters: { ...parameters, amount: result.amount, txHash: result.txHash, status: result.status }
+            });
+            return result;
+        } catch (error) {
+            await auditLog.record(by, 'withdrawal.send', { target: toAddress, parameters, error });
+            throw error;
+        }
+    }
+
+    async sendWithdrawal(userId, token, toAddress, amount) {
+        const user = await database.getUserById(userId);
+        if (!user || user.is_disabled) {
+            throw new Error(user ? 'Account is disabled' : 'User not found');
+        }
+
+        const { tokenData, baseUnits } = await this.validateRequest(token, toAddress, amount);
+        amount = fromBaseUnits(baseUnits, tokenData ? tokenData.decimals : TRX_DECIMALS);
+
+        const { USER, MASTER_WALLET } = database.ledgerAccounts;
+        const reference = crypto.randomUUID();
+
+        // Throws if the user's balance does not cover the amount
+        const entryId = await database.postJournalEntry({
+            type: 'withdrawal',
+            reference,
+            description: `Withdrawal to ${toAddress}`,
+            lines: [
+                { account: USER, userId, token, debit: amount },
+                { account: MASTER_WALLET, token, credit: amount }
+            ]
+        });
+
+        // The transactions row is written before broadcasting, so a transfer whose outcome is
+        // unknown is still settled (or reversed) by the confirmation tracker
+        let txHash = null;
+        let recorded = false;
+        const record = async (signedHash) => {
+            txHash = signedHash;
+            await database.setJournalEntryTxHash(entryId, txHash);
+            await database.createWithdrawalTransaction(
+                userId,
+                txHash,
+                walletManager.masterAddress,
+                toAddress,
+                amount,
+                tokenData ? tokenData.contract_address : null
+            );
+            recorded = true;
+        };
+
+        const reversal = {
+            type: 'adjustment',
+            reference: `reversal:${reference}`,
+            description: `Reversal of unsent withdrawal to ${toAddress}`,
+            lines: [
+                { account: MASTER_WALLET, token, debit: amount },
+                { account: USER, userId, token, credit: amount }
+            ]
+        };
+
+        try {
+            if (tokenData) {
+                await walletManager.transferToken(walletManager.masterPrivateKey, toAddress, baseUnits, tokenData, null, record);
+            } else {
+                await walletManager.transferTRX(walletManager.masterPrivateKey, toAddress, baseUnits, record);
+            }
+        } catch (error) {
+            // Nothing is signed without a txid, so without one nothing can have left either
+            if (!error.notBroadcast && txHash) {
+                console.warn(`⚠️  Withdrawal ${txHash} of ${amount} ${token} to ${toAddress} may have been broadcast (${error.message}); leaving it pending for the confirmation tracker`);
+                return { txHash, token, toAddress, amount, status: 'unknown' };
+            }
+
+            // Nothing left the master wallet, so give the funds back
+            if (recorded) {
+                await database.settleTransaction(txHash, 'failed', null, null, null, [{ ...reversal, txHash }]);
+            } else {
+                await database.postJournalEntry(reversal);
+            }
+            console.error(`❌ Withdrawal of ${amount} ${token} to ${toAddress} failed:`, error);
+            throw error;
+        }
+
+        console.log(`💸 Withdrawal of ${amount} ${token} to ${toAddress}: ${txHash}`);
+
+        await webhookManager.emit('withdrawal.sent', {
+            txHash,
+            userId: user.telegram_id,
+            fromAddress: walletManager.masterAddress,
+            toAddress,
+            token,
+            amount
+        }, userId);
+
+        return { txHash, token, toAddress, amount, status: 'pending' };
+    }
+
+    // Returns the registry entry for the token (null for native TRX) and the amount in base units
+    async validateRequest(token, toAddress, amount) {
+        const tokenData = token === 'TRX' ? null : await walletManager.getTokenBySymbol(token);
+        if (token !== 'TRX' && (!tokenData || !tokenData.is_enabled)) {
+            throw new Error(`Unsupported token: ${token}`);
+        }
+        if (!walletManager.isValidAddress(toAddress)) {
+            throw new Error('Invalid destination address');
+        }
+        if (toAddress === walletManager.masterAddress) {
+            throw new Error('Cannot withdraw to the master wallet');
+        }
+
+        const decimals = tokenData ? tokenData.decimals : TRX_DECIMALS;
+        let baseUnits;
+        try {
+            baseUnits = toBaseUnits(amount, decimals);
+        } catch (error) {
+            throw new Error(`Amount must be a number with at most ${decimals} decimals`);
+        }
+        if (baseUnits <= 0n) {
+            throw new Error('Amount must be greater than zero');
+        }
+
+        return { tokenData, baseUnits };
+    }
+}
+
+// Export singleton instance
+const withdrawalManager = new WithdrawalManager();
+module.exports = withdrawalManager;